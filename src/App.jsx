@@ -1,10 +1,30 @@
 import { useEffect, useRef, useState } from "react";
-import * as THREE from "three";
 import { Engine } from "./engine/Engine";
 import Sidebar from "./ui/Sidebar";
 import MenuBar from "./ui/MenuBar";
+import ImportErrors from "./ui/ImportErrors";
+import LayerPanel from "./ui/LayerPanel";
+import DrcPanel from "./ui/DrcPanel";
+import RoutePanel from "./ui/RoutePanel";
+import { DEFAULT_ROUTE_OPTIONS } from "./interaction/RouteTool";
+import { DEFAULT_GRID, fromUnit, nearestGrid } from "./engine/Units";
 import { serializeBoard } from "./persistence/serialize";
 import { loadBoard } from "./persistence/hydrate";
+import { formatValidationError } from "./persistence/schema";
+import { importKicad } from "./persistence/kicad";
+import { exportGerbers } from "./fabrication/gerber";
+import { DEFAULT_DRILL_OPTIONS, exportDrills } from "./fabrication/excellon";
+import { createZip, readZip } from "./fabrication/zip";
+import { FABRICATION_EXTENSIONS, importFabrication, isFabricationFile } from "./fabrication/importFabrication";
+
+// Files the Import button takes: design JSON, a KiCad board, or a fab package
+const IMPORT_ACCEPT = [
+  ".json",
+  "application/json",
+  ".kicad_pcb",
+  ".zip",
+  ...FABRICATION_EXTENSIONS.map((ext) => `.${ext}`),
+].join(",");
 
 /**
  * App
@@ -20,6 +40,21 @@ export default function App() {
   const mountRef = useRef(null);
   const engineRef = useRef(null);
   const [selected, setSelected] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [layers, setLayers] = useState([]);
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false });
+  // Last design rule check: { violations, active: index | null } | null
+  const [drc, setDrc] = useState(null);
+  // Trace routing: settings, and the router status while routing (null otherwise)
+  const [routeOptions, setRouteOptions] = useState(DEFAULT_ROUTE_OPTIONS);
+  const [routeStatus, setRouteStatus] = useState(null);
+  // Display unit of lengths, and the placement grid (pitch in mm)
+  const [unit, setUnit] = useState("mm");
+  const [grid, setGrid] = useState(DEFAULT_GRID);
+  // Unrouted connections per net (airwires, see Engine.refreshRatsnest)
+  const [unrouted, setUnrouted] = useState([]);
+  // Drill file format of the fabrication outputs
+  const [drill, setDrill] = useState(DEFAULT_DRILL_OPTIONS);
   const fileInputRef = useRef(null);
 
   useEffect(() => {
@@ -28,6 +63,10 @@ export default function App() {
 
     const engine = new Engine(container);
     engineRef.current = engine;
+    engine.history.onChange = () => {
+      setHistory({ canUndo: engine.history.canUndo, canRedo: engine.history.canRedo });
+    };
+    engine.onRatsnestChange = setUnrouted;
 
     // Initialize default FR4 board
     engine.setBoard({ width: 100, height: 80, thickness: 1.6 });
@@ -51,8 +90,8 @@ export default function App() {
 
     // Simple demo traces
     engine.addTraces([
-      { start: [-20, 0.81, -20], end: [20, 0.81, 20], width: 1.0 },
-      { start: [-20, 0.81, 20], end: [20, 0.81, -20], width: 0.7 },
+      { points: [[-20, 0.81, -20], [20, 0.81, 20]], width: 1.0 },
+      { points: [[-20, 0.81, 20], [20, 0.81, -20]], width: 0.7 },
     ]);
 
     // Setup interaction with selection callback
@@ -61,6 +100,7 @@ export default function App() {
       setSelected(newSelection);
     });
 
+    setLayers(engine.getLayers());
     engine.start();
 
     // React 18 StrictMode: effects may run twice in dev.
@@ -75,81 +115,155 @@ export default function App() {
   }, []);
 
   const handlePropertyUpdate = (update) => {
-    if (!selected || !engineRef.current) return;
+    const engine = engineRef.current;
+    if (!selected || !engine) return;
     const current = selected;
 
-    // Pad instance on InstancedMesh
-    if (current.type === "pad" && current.object && current.instanceId != null && current.instanceId >= 0) {
-      const instanceMesh = current.object;
-      const instanceId = current.instanceId;
-      const dummy = new THREE.Object3D();
+    // A multi-selection applies the same update to every item (bulk edit)
+    const items = current.type === "multiple" ? current.items : [current];
+    const targets = items.map((item) => (item.type === "pad" ? item.id : item.object));
+    // Undo step for the edit; repeated edits of the same field coalesce
+    const before = engine.snapshot(targets);
 
-      instanceMesh.getMatrixAt(instanceId, dummy.matrix);
-      dummy.matrix.decompose(dummy.position, dummy.quaternion, dummy.scale);
+    if (update.align) {
+      engine.alignEntities(targets, update.align);
+    } else if (typeof update.rotation === "number") {
+      // Each pad / component turns about its own centre, components with their pads
+      engine.setEntityRotation(targets, update.rotation);
+    } else {
+      // Typed positions land on the placement grid like dragged ones
+      const snapped = { ...update };
+      if (typeof update.x === "number") snapped.x = engine.snapToGrid(update.x);
+      if (typeof update.z === "number") snapped.z = engine.snapToGrid(update.z);
+      targets.forEach((target) => applyUpdate(engine, target, snapped));
+      engine.refreshDependents(targets);
+    }
+    engine.interactionManager?.refreshSelection();
 
-      if (typeof update.x === "number") dummy.position.x = update.x;
-      if (typeof update.z === "number") dummy.position.z = update.z;
-      // Lock to board surface
-      dummy.position.y = 0.8;
+    const fields = update.align ? "align" : Object.keys(update.body ?? update).join(",");
+    const key = `${items.map((item) => item.id).join("|")}:${fields}`;
+    engine.recordEdit(`Edit ${current.id}`, before, engine.snapshot(targets), key);
+  };
 
-      let width = current.size ? current.size[0] : dummy.scale.x;
-      let height = current.size ? current.size[1] : dummy.scale.y;
+  const changeGrid = (next) => {
+    setGrid(next);
+    engineRef.current?.setPlacementGrid(next);
+  };
 
-      if (typeof update.width === "number") width = update.width;
-      if (typeof update.height === "number") height = update.height;
+  // Switching units moves the grid to the closest preset of the new unit
+  const changeUnit = (next) => {
+    setUnit(next);
+    changeGrid({ ...grid, pitch: fromUnit(nearestGrid(grid.pitch, next), next) });
+  };
 
-      dummy.scale.set(width, height, dummy.scale.z);
+  const runDrc = () => {
+    if (!engineRef.current) return;
+    setDrc({ violations: engineRef.current.runDrc(), active: null });
+  };
 
-      dummy.updateMatrix();
-      instanceMesh.setMatrixAt(instanceId, dummy.matrix);
-      instanceMesh.instanceMatrix.needsUpdate = true;
+  const toggleRouting = () => {
+    const manager = engineRef.current?.interactionManager;
+    if (!manager) return;
+    if (manager.router) {
+      manager.stopRouting();
+      setRouteStatus(null);
+    } else {
+      manager.startRouting(routeOptions, setRouteStatus);
+    }
+  };
 
-      if (instanceMesh.userData.idMap && instanceMesh.userData.idMap[instanceId]) {
-        instanceMesh.userData.idMap[instanceId].position = [
-          dummy.position.x,
-          dummy.position.y,
-          dummy.position.z,
-        ];
-        instanceMesh.userData.idMap[instanceId].size = [width, height];
-      }
+  // Pour a zone on the net of the selection, on its side of the board
+  const addZone = () => {
+    const engine = engineRef.current;
+    if (!engine || !selected?.net) return;
+    const zone = engine.addZone({
+      net: selected.net,
+      layer: selected.side === "bottom" ? "bottom" : "top",
+    });
+    engine.interactionManager?.setSelection([zone]);
+  };
 
-      setSelected({
-        ...current,
-        position: [dummy.position.x, dummy.position.y, dummy.position.z],
-        size: [width, height],
-        area: width * height,
-      });
-    } else if (current.type === "trace" && current.object) {
-      const trace = current.object;
+  const refillZones = () => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    engine.refillZones();
+    engine.interactionManager?.refreshSelection();
+  };
 
-      if (typeof update.x === "number") trace.position.x = update.x;
-      if (typeof update.z === "number") trace.position.z = update.z;
-      trace.position.y = 0.81;
+  // Gerber files of every layer and the drill files, as one zip
+  const exportFabrication = () => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    const files = [
+      ...exportGerbers(engine, { name: "pcb_design" }),
+      ...exportDrills(engine, { name: "pcb_design", ...drill }),
+    ];
+    download(new Blob([createZip(files)], { type: "application/zip" }), "pcb_design_fab.zip");
+  };
 
-      setSelected({
-        ...current,
-        position: [trace.position.x, trace.position.y, trace.position.z],
+  // A design file (.json), a KiCad board (.kicad_pcb), or the Gerber /
+  // drill files of a fab package (loose or zipped), rebuilt into a design
+  const importFiles = async (fileList) => {
+    const engine = engineRef.current;
+    const files = [...fileList];
+    if (!engine || !files.length) return;
+    const title = files.length === 1 ? files[0].name : `${files.length} files`;
+    const single = files.length === 1 ? files[0].name.toLowerCase() : "";
+    try {
+      let warnings = [];
+      if (single.endsWith(".json")) {
+        loadBoard(engine, JSON.parse(await files[0].text()));
+      } else {
+        const result = single.endsWith(".kicad_pcb")
+          ? importKicad(await files[0].text())
+          : importFabrication(await readFabricationFiles(files));
+        loadBoard(engine, result.data);
+        warnings = result.warnings;
+      }
+      setSelected(null);
+      setDrc(null);
+      setLayers(engine.getLayers());
+      setImportError(warnings.length ? { title: `Imported ${title} with warnings`, errors: warnings } : null);
+    } catch (err) {
+      setImportError({
+        title: `Could not import ${title}`,
+        errors: err.errors ? err.errors.map(formatValidationError) : [err.message || String(err)],
       });
     }
   };
 
+  const closeDrc = () => {
+    engineRef.current?.setDrcMarkers([]);
+    setDrc(null);
+  };
+
   return (
     <div className="h-screen w-screen overflow-hidden bg-black relative">
       <MenuBar
+        canUndo={history.canUndo}
+        canRedo={history.canRedo}
+        onUndo={() => engineRef.current?.undo()}
+        onRedo={() => engineRef.current?.redo()}
+        onRunDrc={runDrc}
+        routing={routeStatus !== null}
+        onToggleRouting={toggleRouting}
+        onAddZone={addZone}
+        canAddZone={typeof selected?.net === "string" && selected.net.length > 0}
+        onRefillZones={refillZones}
+        unit={unit}
+        grid={grid}
+        onUnitChange={changeUnit}
+        onGridChange={changeGrid}
+        unrouted={unrouted}
         onExport={() => {
           if (!engineRef.current) return;
           const data = serializeBoard(engineRef.current);
           const json = JSON.stringify(data, null, 2);
-          const blob = new Blob([json], { type: "application/json" });
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement("a");
-          a.href = url;
-          a.download = "pcb_design.json";
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
+          download(new Blob([json], { type: "application/json" }), "pcb_design.json");
         }}
+        onExportFabrication={exportFabrication}
+        drill={drill}
+        onDrillChange={setDrill}
         onImport={() => {
           if (fileInputRef.current) {
             fileInputRef.current.click();
@@ -201,39 +315,129 @@ export default function App() {
 
           loadBoard(engine, demo);
           setSelected(null);
+          setDrc(null);
+          setLayers(engine.getLayers());
         }}
       />
 
       <input
         ref={fileInputRef}
         type="file"
-        accept="application/json"
+        accept={IMPORT_ACCEPT}
+        multiple
         className="hidden"
         onChange={(e) => {
-          const file = e.target.files && e.target.files[0];
-          if (!file || !engineRef.current) return;
-
-          const reader = new FileReader();
-          reader.onload = (event) => {
-            try {
-              const text = event.target?.result;
-              if (!text) return;
-              const data = JSON.parse(text);
-              loadBoard(engineRef.current, data);
-              setSelected(null);
-            } catch {
-              // Swallow parse errors for now; could surface toast in future
-            } finally {
-              // Reset input so same file can be chosen again if needed
-              e.target.value = "";
-            }
-          };
-          reader.readAsText(file);
+          const files = [...(e.target.files || [])];
+          // Reset input so same file can be chosen again if needed
+          e.target.value = "";
+          importFiles(files);
         }}
       />
 
       <div ref={mountRef} className="h-full w-full" />
-      <Sidebar selected={selected} onUpdate={handlePropertyUpdate} />
+      <Sidebar selected={selected} unit={unit} onUpdate={handlePropertyUpdate} />
+      <LayerPanel
+        layers={layers}
+        onToggle={(id, visible) => {
+          if (!engineRef.current) return;
+          engineRef.current.setLayerVisibility(id, visible);
+          setLayers(engineRef.current.getLayers());
+        }}
+        onOpacity={(id, opacity) => {
+          if (!engineRef.current) return;
+          engineRef.current.setLayerOpacity(id, opacity);
+          setLayers(engineRef.current.getLayers());
+        }}
+      />
+      {routeStatus && (
+        <RoutePanel
+          options={routeOptions}
+          status={routeStatus}
+          layers={layers.filter((layer) => layer.kind === "copper")}
+          onChange={(options) => {
+            setRouteOptions(options);
+            engineRef.current?.interactionManager?.router?.setOptions(options);
+          }}
+          onClose={toggleRouting}
+        />
+      )}
+      <DrcPanel
+        violations={drc?.violations}
+        activeIndex={drc?.active ?? null}
+        onSelect={(index) => {
+          if (!engineRef.current || !drc) return;
+          engineRef.current.focusViolation(drc.violations[index], index);
+          setDrc({ ...drc, active: index });
+        }}
+        onRun={runDrc}
+        onClose={closeDrc}
+      />
+      <ImportErrors
+        title={importError?.title}
+        errors={importError?.errors}
+        onDismiss={() => setImportError(null)}
+      />
     </div>
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Apply a Sidebar update ({ x?, z?, width?, height?, side?, body? }) to one
+ * engine target (pad id or trace / zone / component mesh). Dependents
+ * (silkscreen, board holes, zone fills) are refreshed by the caller.
+ */
+function applyUpdate(engine, target, update) {
+  const num = (value, fallback) => (typeof value === "number" ? value : fallback);
+
+  if (!target?.isObject3D) {
+    // Pad instance, locked to its board surface
+    const found = engine.findPad(target);
+    if (!found) return;
+    const { pad } = found;
+    engine.updatePad(target, {
+      position: [num(update.x, pad.position[0]), engine.getSurfaceY(pad.side), num(update.z, pad.position[2])],
+      size: [num(update.width, pad.size[0]), num(update.height, pad.size[1])],
+    });
+  } else if (engine.traces.includes(target) || engine.zones.includes(target)) {
+    engine.moveEntities([{ target, x: num(update.x, target.position.x), z: num(update.z, target.position.z) }], {
+      refresh: false,
+    });
+  } else if (engine.components.includes(target)) {
+    // Component body and the pads it owns
+    engine.moveEntities([{ target, x: num(update.x, target.position.x), z: num(update.z, target.position.z) }], {
+      refresh: false,
+    });
+    if (update.side && update.side !== target.userData.side) {
+      engine.flipComponent(target);
+    } else if (update.body) {
+      engine.setComponentBody(target, update.body);
+    }
+  }
+}
+
+// Save a blob through a temporary link
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Text of the fabrication files among the chosen files, zips unpacked
+async function readFabricationFiles(files) {
+  const decoder = new TextDecoder();
+  const read = await Promise.all(
+    files.map(async (file) => {
+      if (!file.name.toLowerCase().endsWith(".zip")) return [{ name: file.name, content: await file.text() }];
+      const entries = await readZip(await file.arrayBuffer());
+      return entries
+        .filter((entry) => isFabricationFile(entry.name))
+        .map((entry) => ({ name: entry.name, content: decoder.decode(entry.content) }));
+    })
+  );
+  return read.flat();
+}
@@ -1,36 +1,93 @@
 import * as THREE from "three";
+import { isOnBoard, outlineBounds, resolveOutline } from "./Outline";
 
 const DEFAULT_BOARD_CONFIG = {
   width: 100,
   height: 80,
   thickness: 1.6,
+  color: 0x004d00, // Dark FR4 green
 };
 
+// Minimum substrate left between a drilled hole and the board edge
+const EDGE_MARGIN = 0.05;
+
 /**
  * Creates an FR4 PCB substrate mesh.
  *
- * Geometry: BoxGeometry (width x thickness x height)
- * Material: Dark green FR4, rough, non-metallic.
- * Positioned at the origin (0, 0, 0), centered.
+ * Geometry: the board outline (`config.outline`, see Outline.js; the
+ * width × height rectangle by default) extruded to `thickness`, with its
+ * cutouts and `holes` (Array<{ x, z, radius }>) drilled through it
+ * Material: Dark green FR4 (or `config.color`, e.g. the solder mask colour), rough, non-metallic.
+ * Positioned at the origin (0, 0, 0), centered on Y.
+ *
+ * userData: boardConfig ({ width, height, thickness, outline? } as exported),
+ * outline ({ contour, cutouts } polygons) and bounds (see outlineBounds).
  */
 export function createBoard(config = {}) {
-  const { width, height, thickness } = { ...DEFAULT_BOARD_CONFIG, ...config };
+  const merged = { ...DEFAULT_BOARD_CONFIG, ...config };
+  const { thickness, color, outline, holes = [] } = merged;
+  const shape = resolveOutline(merged);
+  // A custom outline path defines the board extent
+  const bounds = outlineBounds(shape.contour);
+  const width = Array.isArray(outline?.path) ? bounds.width : merged.width;
+  const height = Array.isArray(outline?.path) ? bounds.height : merged.height;
 
-  const geometry = new THREE.BoxGeometry(width, thickness, height);
+  const geometry = createBoardGeometry(shape, thickness, holes);
 
   const material = new THREE.MeshStandardMaterial({
-    color: 0x004d00, // Dark FR4 green
+    color,
     roughness: 0.9,
     metalness: 0.05,
   });
 
   const board = new THREE.Mesh(geometry, material);
-  // BoxGeometry is centered by default, so (0, 0, 0) is already correct.
+  // Outline coordinates are board coordinates, so the mesh stays at the origin.
   board.position.set(0, 0, 0);
 
   // Tag for future filtering / persistence
   board.userData.type = "board";
-  board.userData.boardConfig = { width, height, thickness };
+  board.userData.boardConfig = { width, height, thickness, ...(outline ? { outline } : {}) };
+  board.userData.outline = shape;
+  board.userData.bounds = bounds;
 
   return board;
 }
+
+/**
+ * Substrate geometry: the outline ({ contour, cutouts } from resolveOutline)
+ * in XZ, `thickness` along Y and centred on Y = 0, with circular holes.
+ * Holes that would cut the board edge or a cutout are left out.
+ */
+export function createBoardGeometry({ contour, cutouts }, thickness, holes = []) {
+  const shape = new THREE.Shape(contour.map(([x, z]) => new THREE.Vector2(x, z)));
+  cutouts.forEach((cutout) => {
+    shape.holes.push(new THREE.Path(cutout.map(([x, z]) => new THREE.Vector2(x, z))));
+  });
+
+  holes.forEach(({ x, z, radius }) => {
+    if (!(radius > 0) || !isOnBoard([x, z], { contour, cutouts }, radius + EDGE_MARGIN)) return;
+    const hole = new THREE.Path();
+    hole.absarc(x, z, radius, 0, Math.PI * 2, true);
+    shape.holes.push(hole);
+  });
+
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: thickness,
+    bevelEnabled: false,
+    curveSegments: 24,
+  });
+  // Shape Y → world Z, extrusion → world -Y; then centre vertically
+  geometry.rotateX(Math.PI / 2);
+  geometry.translate(0, thickness / 2, 0);
+  return geometry;
+}
+
+/**
+ * Re-drill an existing board mesh (holes: Array<{ x, z, radius }>).
+ */
+export function setBoardHoles(board, holes = []) {
+  if (!board || !board.userData.outline) return;
+  const previous = board.geometry;
+  board.geometry = createBoardGeometry(board.userData.outline, board.userData.boardConfig.thickness, holes);
+  if (previous) previous.dispose();
+}
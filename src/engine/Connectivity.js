@@ -0,0 +1,170 @@
+import { padLocal } from "./Rotation";
+
+/**
+ * Connectivity
+ * ------------
+ * Net connectivity of the board copper. Items are pads, trace segments and
+ * plated vias; two items are joined when their copper touches on a shared
+ * layer (pads with a hole and vias are on every layer):
+ * - a trace end or corner on a pad, on another trace or inside a via's ring
+ * - a via inside a pad
+ * - a zone and the copper of its net that its fill reaches; each separate
+ *   area of fill (`regions`, see ZoneFill.js) joins its own items, the zone
+ *   itself going with the first
+ *
+ * Joined items form islands. An island belongs to the net its items declare
+ * (`net`); items without one inherit it from their island, and a trace
+ * without one from the pads named by its `from` / `to`.
+ *
+ * items: Array<
+ *   | { kind: "pad", target, net?, side, center: [x, z], size: [w, h], rotation?: degrees,
+ *       drilled: boolean }
+ *   | { kind: "trace", target, net?, layer, points: [x, z][], width, from?, to? }
+ *   | { kind: "via", target, net?, center: [x, z], radius }
+ *   | { kind: "zone", target, net, layer, regions: target[][] }
+ * >
+ * `target` is whatever identifies the item to the caller (pad id, mesh).
+ */
+
+/**
+ * Build the connectivity graph of the given items:
+ * {
+ *   nets: Map<name, { name, members: target[], islands: target[][] }>,
+ *   netOf: Map<target, name>,
+ *   islandOf: Map<target, number>,   items sharing a number are joined by copper
+ *   shorts: Array<{ nets: string[], members: target[] }>  islands joining different nets
+ * }
+ */
+export function buildConnectivity(items) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+
+  const traces = [];
+  items.forEach((item, i) => {
+    if (item.kind === "trace") traces.push(i);
+  });
+
+  traces.forEach((t) => {
+    const trace = items[t];
+    trace.points.forEach((point) => {
+      items.forEach((other, o) => {
+        if (o !== t && touchesEnd(other, point, trace)) union(t, o);
+      });
+    });
+  });
+  items.forEach((via, v) => {
+    if (via.kind !== "via") return;
+    items.forEach((pad, p) => {
+      if (pad.kind === "pad" && insidePad(pad, via.center, 0)) union(v, p);
+    });
+  });
+  const indexOf = new Map(items.map((item, i) => [item.target, i]));
+  items.forEach((zone, z) => {
+    if (zone.kind !== "zone") return;
+    zone.regions.forEach((region, r) => {
+      const first = r === 0 ? z : indexOf.get(region[0]);
+      region.forEach((target) => {
+        if (indexOf.has(target) && first !== undefined) union(first, indexOf.get(target));
+      });
+    });
+  });
+
+  // Declared nets; traces fall back to the pads they name
+  const padNets = new Map(
+    items.filter((item) => item.kind === "pad" && item.net).map((pad) => [pad.target, pad.net])
+  );
+  const declared = items.map((item) =>
+    item.net || (item.kind === "trace" ? padNets.get(item.from) || padNets.get(item.to) : undefined)
+  );
+
+  const islands = new Map();
+  const islandOf = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    islandOf.set(item.target, root);
+    if (!islands.has(root)) islands.set(root, []);
+    islands.get(root).push(i);
+  });
+
+  const nets = new Map();
+  const netOf = new Map();
+  const shorts = [];
+  const netEntry = (name) => {
+    if (!nets.has(name)) nets.set(name, { name, members: [], islands: [] });
+    return nets.get(name);
+  };
+
+  islands.forEach((members) => {
+    const names = [...new Set(members.map((i) => declared[i]).filter(Boolean))];
+    if (!names.length) return;
+    if (names.length > 1) {
+      shorts.push({ nets: names, members: members.map((i) => items[i].target) });
+    }
+
+    const island = [];
+    members.forEach((i) => {
+      const { target } = items[i];
+      // A member declaring another net stays on it (the island is a short)
+      const name = declared[i] || names[0];
+      netOf.set(target, name);
+      netEntry(name).members.push(target);
+      if (name === names[0]) island.push(target);
+      else netEntry(name).islands.push([target]);
+    });
+    netEntry(names[0]).islands.push(island);
+  });
+
+  return { nets, netOf, islandOf, shorts };
+}
+
+// Whether `item` has copper at a trace end / corner (on the trace's layer)
+function touchesEnd(item, point, trace) {
+  const reach = trace.width / 2;
+  if (item.kind === "pad") {
+    return (item.drilled || item.side === trace.layer) && insidePad(item, point, reach);
+  }
+  if (item.kind === "via") {
+    return distance(point, item.center) <= item.radius + reach;
+  }
+  if (item.kind === "trace") {
+    return (
+      item.layer === trace.layer &&
+      distanceToPolyline(point, item.points) <= reach + item.width / 2
+    );
+  }
+  return false;
+}
+
+function insidePad(pad, point, margin) {
+  const [u, v] = padLocal(pad, point);
+  return Math.abs(u) <= pad.size[0] / 2 + margin && Math.abs(v) <= pad.size[1] / 2 + margin;
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function distanceToPolyline(p, points) {
+  let best = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    best = Math.min(best, distanceToSegment(p, points[i - 1], points[i]));
+  }
+  return best;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dz = b[1] - a[1];
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dz) / lengthSq)) : 0;
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dz));
+}
@@ -0,0 +1,444 @@
+import { isOnBoard } from "./Outline";
+import { padCorners } from "./Rotation";
+import { DEFAULT_RULES, RULE_KEYS } from "../persistence/schema";
+
+/**
+ * Design rule check
+ * -----------------
+ * Checks the board copper against manufacturing rules:
+ * - clearance between copper of different nets on a shared layer, zone
+ *   fills included
+ * - minimum trace width
+ * - minimum drill and annular ring of through-hole pads, vias and holes
+ * - clearance between copper and the board edge (outline and cutouts)
+ * - shorts: copper joining items of different nets (see Connectivity.js)
+ *
+ * Rules come from `board.rules` of the design file; a net class overrides
+ * them for the nets it lists. Between two nets the larger clearance applies.
+ *
+ * rules?: {
+ *   clearance?, min_trace_width?, min_drill?, min_annular_ring?, edge_clearance?,   (mm)
+ *   net_classes?: Array<{ name: string, nets: string[], ...the same keys }>
+ * }
+ *
+ * items: the copper items of Connectivity.js plus
+ *   - label: name shown in messages
+ *   - drill?, ring?: hole diameter / annular ring of drilled pads and vias
+ *   - { kind: "hole", target, label, center: [x, z], drill } for unplated holes
+ *   - fill?: the raster a zone is filled with, { mask, columns, rows, bounds }
+ *     (see zoneFillRaster in primitives/Zones.js); zones without one are skipped
+ */
+
+export const DRC_RULES = {
+  SHORT: "short",
+  CLEARANCE: "clearance",
+  TRACE_WIDTH: "trace_width",
+  DRILL: "drill",
+  ANNULAR_RING: "annular_ring",
+  EDGE_CLEARANCE: "edge_clearance",
+};
+
+// Slack for floating point noise in the comparisons (mm)
+const TOLERANCE = 1e-6;
+
+/**
+ * Run every check. `connectivity` is the result of buildConnectivity for
+ * the same items and `outline` the board's { contour, cutouts } (or null).
+ * Returns Array<{ rule, message, targets: target[], location: [x, z] }>,
+ * grouped by rule.
+ */
+export function checkDesignRules(items, { connectivity, outline = null, rules } = {}) {
+  const rulesOf = resolveRules(rules);
+  const netOf = (item) => connectivity?.netOf.get(item.target) ?? null;
+  const copper = items
+    .filter((item) => item.kind !== "hole" && item.kind !== "zone")
+    .map((item) => ({ item, shape: shapeOf(item) }));
+  const violations = [];
+  const report = (rule, message, targets, location) => violations.push({ rule, message, targets, location });
+
+  // Shorts
+  const byTarget = new Map(items.map((item) => [item.target, item]));
+  (connectivity?.shorts ?? []).forEach((short) => {
+    const members = short.members.map((target) => byTarget.get(target)).filter(Boolean);
+    report(
+      DRC_RULES.SHORT,
+      `Short between ${short.nets.join(", ")}`,
+      short.members,
+      averagePoint(members.map((item) => centerOf(item)))
+    );
+  });
+
+  // Copper to copper clearance (sweep along X, so only nearby pairs are measured)
+  const reach = Math.max(...[rulesOf(null), ...rulesOf.classes].map((r) => r.clearance));
+  const sorted = copper.slice().sort((a, b) => a.shape.bounds.minX - b.shape.bounds.minX);
+  sorted.forEach((a, i) => {
+    for (let j = i + 1; j < sorted.length; j++) {
+      const b = sorted[j];
+      if (b.shape.bounds.minX > a.shape.bounds.maxX + reach) break;
+      if (!nearby(a.shape.bounds, b.shape.bounds, reach) || !sharesLayer(a.item, b.item)) continue;
+
+      const netA = netOf(a.item);
+      const netB = netOf(b.item);
+      // Joined copper is either one net or a short (reported above)
+      if (connectivity?.islandOf.get(a.item.target) === connectivity?.islandOf.get(b.item.target)) continue;
+      if (netA && netA === netB) continue;
+
+      const required = Math.max(rulesOf(netA).clearance, rulesOf(netB).clearance);
+      const { distance, point } = shapeDistance(a.shape, b.shape);
+      const gap = distance - a.shape.radius - b.shape.radius;
+      if (gap >= required - TOLERANCE) continue;
+      report(
+        DRC_RULES.CLEARANCE,
+        gap <= 0
+          ? `${describe(a.item, netA)} overlaps ${describe(b.item, netB)}`
+          : `Clearance ${mm(gap)} < ${mm(required)} between ${describe(a.item, netA)} and ${describe(b.item, netB)}`,
+        [a.item.target, b.item.target],
+        point
+      );
+    }
+  });
+
+  // Zone fill to copper of other nets, each copper cell measured from its
+  // nearest point as ZoneFill.js clears them
+  items.forEach((zone) => {
+    if (zone.kind !== "zone" || !zone.fill) return;
+    const netZone = netOf(zone);
+    copper.forEach(({ item, shape }) => {
+      if (!sharesLayer(zone, item)) return;
+      const net = netOf(item);
+      if (connectivity?.islandOf.get(zone.target) === connectivity?.islandOf.get(item.target)) return;
+      if (netZone && netZone === net) return;
+
+      const required = Math.max(rulesOf(netZone).clearance, rulesOf(net).clearance);
+      const nearest = fillGap(zone.fill, shape, required);
+      if (!nearest || nearest.gap >= required - TOLERANCE) return;
+      const fill = `${describe(zone, netZone)} fill`;
+      report(
+        DRC_RULES.CLEARANCE,
+        nearest.gap <= 0
+          ? `${fill} overlaps ${describe(item, net)}`
+          : `Clearance ${mm(nearest.gap)} < ${mm(required)} between ${fill} and ${describe(item, net)}`,
+        [zone.target, item.target],
+        nearest.point
+      );
+    });
+  });
+
+  // Trace width
+  items.forEach((item) => {
+    if (item.kind !== "trace") return;
+    const required = rulesOf(netOf(item)).min_trace_width;
+    if (item.width >= required - TOLERANCE) return;
+    report(
+      DRC_RULES.TRACE_WIDTH,
+      `${item.label} is ${mm(item.width)} wide (min ${mm(required)})`,
+      [item.target],
+      centerOf(item)
+    );
+  });
+
+  // Drill and annular ring
+  items.forEach((item) => {
+    if (!(item.drill > 0)) return;
+    const { min_drill, min_annular_ring } = rulesOf(netOf(item));
+    if (item.drill < min_drill - TOLERANCE) {
+      report(
+        DRC_RULES.DRILL,
+        `${item.label} drill ${mm(item.drill)} (min ${mm(min_drill)})`,
+        [item.target],
+        centerOf(item)
+      );
+    }
+    const ring = annularRing(item);
+    if (ring !== null && ring < min_annular_ring - TOLERANCE) {
+      report(
+        DRC_RULES.ANNULAR_RING,
+        `${item.label} annular ring ${mm(Math.max(0, ring))} (min ${mm(min_annular_ring)})`,
+        [item.target],
+        centerOf(item)
+      );
+    }
+  });
+
+  // Copper to board edge
+  if (outline) {
+    const edges = [outline.contour, ...outline.cutouts].flatMap((polygon) => polygonEdges(polygon));
+    copper.forEach(({ item, shape }) => {
+      const required = rulesOf(netOf(item)).edge_clearance;
+      const center = centerOf(item);
+      if (!isOnBoard(center, outline)) {
+        report(DRC_RULES.EDGE_CLEARANCE, `${item.label} is off the board`, [item.target], center);
+        return;
+      }
+      let best = { distance: Infinity, point: center };
+      edges.forEach((edge) => {
+        const d = shapeDistance(shape, { points: edge, radius: 0, closed: false });
+        if (d.distance < best.distance) best = d;
+      });
+      const gap = best.distance - shape.radius;
+      if (gap >= required - TOLERANCE) return;
+      report(
+        DRC_RULES.EDGE_CLEARANCE,
+        `${item.label} is ${mm(Math.max(0, gap))} from the board edge (min ${mm(required)})`,
+        [item.target],
+        best.point
+      );
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Rules lookup for a board's `rules`: a function net → rules (the net's
+ * class or the board defaults), with the classes as `.classes`.
+ */
+export function resolveRules(rules = {}) {
+  const base = { ...DEFAULT_RULES, ...pickRules(rules), name: "Default" };
+  const byNet = new Map();
+  const classes = (Array.isArray(rules?.net_classes) ? rules.net_classes : []).map((netClass) => {
+    const classRules = { ...base, ...pickRules(netClass), name: netClass.name ?? "" };
+    (Array.isArray(netClass.nets) ? netClass.nets : []).forEach((net) => byNet.set(String(net), classRules));
+    return classRules;
+  });
+  const lookup = (net) => (net != null && byNet.get(String(net))) || base;
+  lookup.classes = classes;
+  return lookup;
+}
+
+function pickRules(source) {
+  const picked = {};
+  RULE_KEYS.forEach((key) => {
+    if (typeof source?.[key] === "number" && Number.isFinite(source[key])) picked[key] = source[key];
+  });
+  return picked;
+}
+
+// Copper of a drilled pad / via around its hole, or null for bare holes
+function annularRing(item) {
+  if (item.kind === "pad") return (Math.min(item.size[0], item.size[1]) - item.drill) / 2;
+  if (item.kind === "via") return item.ring ?? null;
+  return null;
+}
+
+// Copper layer of an item; null for drilled items, which are on every layer
+function copperLayer(item) {
+  if (item.kind === "pad") return item.drilled ? null : item.side;
+  if (item.kind === "trace" || item.kind === "zone") return item.layer;
+  return null;
+}
+
+function sharesLayer(a, b) {
+  const la = copperLayer(a);
+  const lb = copperLayer(b);
+  return la === null || lb === null || la === lb;
+}
+
+function describe(item, net) {
+  return net ? `${item.label} (${net})` : item.label;
+}
+
+function mm(value) {
+  return `${Number(value.toFixed(3))} mm`;
+}
+
+function centerOf(item) {
+  if (item.kind === "trace") {
+    const i = Math.floor((item.points.length - 1) / 2);
+    return midpoint(item.points[i], item.points[i + 1]);
+  }
+  return item.center;
+}
+
+function averagePoint(points) {
+  if (!points.length) return [0, 0];
+  const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+// Copper outline of an item: a point, polyline or convex polygon, grown by `radius`
+function shapeOf(item) {
+  let points;
+  let radius = 0;
+  if (item.kind === "pad") {
+    points = padCorners(item);
+  } else if (item.kind === "trace") {
+    points = item.points;
+    radius = item.width / 2;
+  } else {
+    points = [item.center];
+    radius = item.radius;
+  }
+  // Pads are closed outlines, traces open polylines
+  return { points, radius, closed: item.kind === "pad", bounds: boundsOf(points, radius) };
+}
+
+function boundsOf(points, radius) {
+  const xs = points.map((p) => p[0]);
+  const zs = points.map((p) => p[1]);
+  return {
+    minX: Math.min(...xs) - radius,
+    maxX: Math.max(...xs) + radius,
+    minZ: Math.min(...zs) - radius,
+    maxZ: Math.max(...zs) + radius,
+  };
+}
+
+/**
+ * Smallest gap between the copper cells of a zone fill and a shape, a cell
+ * counting from its nearest point (centre less half its diagonal):
+ * { gap, point } or null when no copper is within `margin`. Polylines are
+ * scanned a segment at a time, each row only across the cells within reach
+ * of the segment, so a long diagonal trace does not sweep the whole raster.
+ */
+function fillGap(fill, shape, margin) {
+  const { mask, columns, rows, bounds } = fill;
+  const cellX = (bounds.maxX - bounds.minX) / columns;
+  const cellZ = (bounds.maxZ - bounds.minZ) / rows;
+  const corner = Math.hypot(cellX, cellZ) / 2;
+  const reach = margin + corner;
+  const parts = shape.closed
+    ? [shape]
+    : polygonEdges(shape.points, false).map((edge) => ({
+        ...shape,
+        points: edge,
+        bounds: boundsOf(edge, shape.radius),
+      }));
+
+  let best = null;
+  parts.forEach((part) => {
+    if (!nearby(part.bounds, bounds, reach)) return;
+    const j0 = Math.max(0, Math.floor((part.bounds.minZ - reach - bounds.minZ) / cellZ));
+    const j1 = Math.min(rows - 1, Math.floor((part.bounds.maxZ + reach - bounds.minZ) / cellZ));
+    for (let j = j0; j <= j1; j++) {
+      const z = bounds.minZ + (j + 0.5) * cellZ;
+      const span = part.closed
+        ? [part.bounds.minX - reach, part.bounds.maxX + reach]
+        : rowSpan(part.points[0], part.points[1], z, part.radius + reach);
+      if (!span) continue;
+      const i0 = Math.max(0, Math.floor((span[0] - bounds.minX) / cellX));
+      const i1 = Math.min(columns - 1, Math.floor((span[1] - bounds.minX) / cellX));
+      for (let i = i0; i <= i1; i++) {
+        if (!mask[j * columns + i]) continue;
+        const center = [bounds.minX + (i + 0.5) * cellX, z];
+        const { distance } = shapeDistance(part, { points: [center], radius: 0, closed: false });
+        const gap = distance - part.radius - corner;
+        if (gap < margin && (!best || gap < best.gap)) best = { gap, point: center };
+      }
+    }
+  });
+  return best;
+}
+
+// X range [min, max] of the points on the row at `z` within `reach` of the
+// segment a–b, or null when the row passes further away
+function rowSpan(a, b, z, reach) {
+  const dz = b[1] - a[1];
+  let t0 = 0;
+  let t1 = 1;
+  if (Math.abs(dz) < TOLERANCE) {
+    if (Math.abs(a[1] - z) > reach) return null;
+  } else {
+    const from = (z - reach - a[1]) / dz;
+    const to = (z + reach - a[1]) / dz;
+    t0 = Math.max(0, Math.min(from, to));
+    t1 = Math.min(1, Math.max(from, to));
+    if (t0 > t1) return null;
+  }
+  const x0 = a[0] + t0 * (b[0] - a[0]);
+  const x1 = a[0] + t1 * (b[0] - a[0]);
+  return [Math.min(x0, x1) - reach, Math.max(x0, x1) + reach];
+}
+
+function nearby(a, b, margin) {
+  return (
+    a.minX - margin <= b.maxX && b.minX - margin <= a.maxX && a.minZ - margin <= b.maxZ && b.minZ - margin <= a.maxZ
+  );
+}
+
+/**
+ * Distance between the cores of two shapes (radius not included) and the
+ * point halfway between their closest points.
+ */
+function shapeDistance(a, b) {
+  const inside = pointInside(a, b.points) || pointInside(b, a.points);
+  if (inside) return { distance: 0, point: inside };
+
+  let best = { distance: Infinity, point: a.points[0] };
+  polygonEdges(a.points, a.closed).forEach(([p, q]) => {
+    polygonEdges(b.points, b.closed).forEach(([r, s]) => {
+      const d = segmentDistance(p, q, r, s);
+      if (d.distance < best.distance) best = d;
+    });
+  });
+  return best;
+}
+
+// First of `points` inside the convex polygon of `shape` (if it is one)
+function pointInside(shape, points) {
+  if (!shape.closed) return null;
+  return points.find((p) => insideConvex(p, shape.points)) || null;
+}
+
+function insideConvex(p, polygon) {
+  let sign = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const c = cross(polygon[i], polygon[(i + 1) % polygon.length], p);
+    if (Math.abs(c) < TOLERANCE) continue;
+    if (sign === 0) sign = Math.sign(c);
+    else if (Math.sign(c) !== sign) return false;
+  }
+  return true;
+}
+
+// Edges of a point (one degenerate edge), an open polyline or a closed polygon
+function polygonEdges(points, closed = true) {
+  if (points.length === 1) return [[points[0], points[0]]];
+  if (!closed || points.length === 2) return points.slice(1).map((p, i) => [points[i], p]);
+  return points.map((p, i) => [p, points[(i + 1) % points.length]]);
+}
+
+function segmentDistance(p, q, r, s) {
+  const crossing = intersection(p, q, r, s);
+  if (crossing) return { distance: 0, point: crossing };
+
+  let best = { distance: Infinity, point: p };
+  [
+    [p, r, s],
+    [q, r, s],
+    [r, p, q],
+    [s, p, q],
+  ].forEach(([point, a, b]) => {
+    const closest = closestOnSegment(point, a, b);
+    const distance = Math.hypot(point[0] - closest[0], point[1] - closest[1]);
+    if (distance < best.distance) best = { distance, point: midpoint(point, closest) };
+  });
+  return best;
+}
+
+function intersection(p, q, r, s) {
+  const d1 = [q[0] - p[0], q[1] - p[1]];
+  const d2 = [s[0] - r[0], s[1] - r[1]];
+  const denominator = d1[0] * d2[1] - d1[1] * d2[0];
+  if (Math.abs(denominator) < 1e-12) return null;
+  const t = ((r[0] - p[0]) * d2[1] - (r[1] - p[1]) * d2[0]) / denominator;
+  const u = ((r[0] - p[0]) * d1[1] - (r[1] - p[1]) * d1[0]) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return [p[0] + t * d1[0], p[1] + t * d1[1]];
+}
+
+function closestOnSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dz = b[1] - a[1];
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dz) / lengthSq)) : 0;
+  return [a[0] + t * dx, a[1] + t * dz];
+}
+
+function cross(a, b, p) {
+  return (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+}
+
+function midpoint(a, b) {
+  return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
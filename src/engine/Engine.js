@@ -1,9 +1,22 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
-import { createBoard } from "./Board";
-import { createPads } from "../primitives/Pads";
-import { createTrace } from "../primitives/Traces";
+import { createBoard, setBoardHoles } from "./Board";
+import { createPads, padDrill, setPadInstance } from "../primitives/Pads";
+import { createDrilledHole, createPadPlating, DEFAULT_ANNULAR_RING } from "../primitives/Holes";
+import { createTrace, setTracePoints, tracePath } from "../primitives/Traces";
+import { createZone, setZoneFill, setZonePoints, zoneFillRaster, zoneOutline } from "../primitives/Zones";
+import { createSilkscreen } from "../primitives/Silkscreen";
+import { BODY_SHAPES, createBody, resolveBodyMaterial, updateBody } from "../primitives/Bodies";
+import { BOARD_SIDES, boardSurfaceY, TRACE_LIFT } from "./Layers";
+import { createStackup, LAYER_KINDS } from "./Stackup";
+import { buildConnectivity } from "./Connectivity";
+import { checkDesignRules } from "./Drc";
+import { buildRatsnest } from "./Ratsnest";
+import { fillZone } from "./ZoneFill";
+import { DEFAULT_GRID, snapValue } from "./Units";
+import { normalizeAngle, rotatePoint } from "./Rotation";
 import { InteractionManager } from "../interaction/InteractionManager";
+import { CommandHistory } from "../interaction/History";
 
 /**
  * Engine
@@ -50,17 +63,43 @@ export class Engine {
     directionalLight.position.set(40, 80, 40);
     this.scene.add(directionalLight);
 
-    // Simple world-space grid to visualize scale/origin
-    const grid = new THREE.GridHelper(200, 20, 0x444444, 0x222222);
-    grid.position.y = -0.001; // Slightly below origin to avoid overlap with board
-    this.scene.add(grid);
-
     // Keep reference to current board and components for replacement / cleanup
     this.board = null;
     this.padsGroup = null;
+    // Barrels / back-side rings of through-hole pads (rebuilt by refreshHoles)
+    this.padPlating = null;
     this.traces = [];
+    // Copper pours (see addZones / refillZones)
+    this.zones = [];
     this.components = [];
+    this.silkscreen = null;
+    this.silkscreenItems = [];
+    this.silkscreenColor = "#ffffff";
+    this.stackup = createStackup();
+    // Per-layer display state: { [layerId]: { visible, opacity } }
+    this.layerState = {};
+    // Placement grid (see setPlacementGrid) and the visible grid drawn on
+    // the board at its pitch (refitted to each board)
+    this.placementGrid = { ...DEFAULT_GRID };
+    this.grid = null;
+    this._gridBounds = { width: 160, height: 160, center: [0, 0] };
+    this._fitGrid();
     this.interactionManager = null;
+    // Undo / redo of edits (see snapshot / recordEdit / deleteEntities)
+    this.history = new CommandHistory();
+    // Net connectivity (built on demand, dropped when the copper changes)
+    // and the highlighted net: { net, members: Set<target> } | null
+    this._connectivity = null;
+    this._netHighlight = null;
+    // Markers of the last design rule check (see runDrc / focusViolation)
+    this.drcMarkers = null;
+    // Airwires of the unrouted connections (see refreshRatsnest), rebuilt
+    // once per frame after pads or copper changed, and the unrouted count
+    // per net, handed to onRatsnestChange whenever it changes
+    this.ratsnest = null;
+    this.unrouted = [];
+    this.onRatsnestChange = null;
+    this._ratsnestDirty = true;
 
     // Internal state
     this._animationFrameId = null;
@@ -74,9 +113,38 @@ export class Engine {
     this._setupResizeHandling();
   }
 
+  /**
+   * Board thickness of the current board (defaults to 1.6 mm).
+   */
+  getBoardThickness() {
+    return this.board?.userData?.boardConfig?.thickness ?? 1.6;
+  }
+
+  /**
+   * World Y of the given board face ("top" | "bottom"), optionally lifted
+   * away from the substrate.
+   */
+  getSurfaceY(side = BOARD_SIDES.TOP, lift = 0) {
+    return boardSurfaceY(side, this.getBoardThickness(), lift);
+  }
+
+  /**
+   * World Y of a copper layer of the current stackup ("top", "inner1", ...,
+   * "bottom"). Outer layers may be lifted away from the substrate.
+   */
+  getCopperY(layerId = "top", lift = 0) {
+    if (layerId === "top" || layerId === "bottom") return this.getSurfaceY(layerId, lift);
+    const layer = this.stackup.layers.find((l) => l.id === layerId);
+    return layer ? layer.y : this.getSurfaceY(BOARD_SIDES.TOP, lift);
+  }
+
   /**
    * Add or replace instanced SMD pads.
-   * padArray: Array<{ id?, position: [x,y,z], size: [w,h] }>
+   * padArray: Array<{ id?, position: [x,y,z], size: [w,h], side?: "top" | "bottom",
+   *                   rotation?: degrees about the board normal }>
+   *
+   * Pads are split into one instanced mesh per board side so each copper
+   * layer can be shown / hidden on its own.
    */
   addPads(padArray) {
     if (this.padsGroup) {
@@ -85,14 +153,42 @@ export class Engine {
       this.padsGroup = null;
     }
 
-    const group = createPads(padArray);
+    const group = new THREE.Group();
+    group.userData.type = "pads";
+    [BOARD_SIDES.TOP, BOARD_SIDES.BOTTOM].forEach((side) => {
+      const onSide = padArray.filter((p) => (p.side ?? BOARD_SIDES.TOP) === side);
+      if (!onSide.length) return;
+      const sideGroup = createPads(onSide.map((p) => ({ ...p, drill: padDrill(p.raw || p) })));
+      sideGroup.userData.layer = side;
+      group.add(sideGroup);
+    });
+
     this.padsGroup = group;
     this.scene.add(group);
+    this._applyLayerState(group);
+    this._copperChanged();
+  }
+
+  /**
+   * Instanced copper pad meshes (one per board side that has pads).
+   */
+  getPadMeshes() {
+    const meshes = [];
+    if (this.padsGroup) {
+      this.padsGroup.traverse((obj) => {
+        if (obj.userData.type === "pads_copper") meshes.push(obj);
+      });
+    }
+    return meshes;
   }
 
   /**
-   * Add multiple traces.
-   * traceArray: Array<{ start: [x,y,z], end: [x,y,z], width: number }>
+   * Add multiple traces, one mesh per polyline.
+   * traceArray: Array<{ points: Array<[x,y,z]>, width: number, side?: "top" | "bottom",
+   *                     layer?: copper layer id ("top", "inner1", ..., "bottom") }>
+   *
+   * Inner-layer traces are drawn double sided so they can be inspected from
+   * either face once the substrate is hidden or made translucent.
    */
   addTraces(traceArray) {
     // Dispose previous traces
@@ -105,63 +201,1188 @@ export class Engine {
     }
 
     traceArray.forEach((t) => {
-      const mesh = createTrace(t.start, t.end, t.width, t.raw);
+      const mesh = this._createTraceMesh(t);
       if (mesh) {
         this.traces.push(mesh);
         this.scene.add(mesh);
+        this._applyLayerState(mesh);
       }
     });
+    this._copperChanged();
+  }
+
+  /**
+   * Add a trace drawn in the editor. `record` is a design-file trace
+   * ({ id?, path: Array<[x, z]>, width, layer?, net?, from?, to? }) and,
+   * like the traces of a loaded design, becomes one mesh. Recorded as an
+   * undo step. Returns the mesh (null for a path without length).
+   */
+  addTrace(record) {
+    const layer = record.layer ?? BOARD_SIDES.TOP;
+    const y = this.getCopperY(layer, TRACE_LIFT);
+    const mesh = this._createTraceMesh({
+      points: record.path.map(([x, z]) => [x, y, z]),
+      width: record.width,
+      side: layer === BOARD_SIDES.BOTTOM ? BOARD_SIDES.BOTTOM : BOARD_SIDES.TOP,
+      layer,
+      raw: record,
+    });
+    if (!mesh) return null;
+
+    const attach = () => this._attachObject(this.traces, mesh, this.traces.length);
+    attach();
+    this.history.push({
+      label: "Route trace",
+      undo: () => this._detachObject(this.traces, mesh),
+      redo: attach,
+    });
+    return mesh;
+  }
+
+  /**
+   * Corners of an editable polyline (a trace, or a zone's closed outline)
+   * in world space: { points: Array<[x, y, z]>, closed }, or null for
+   * other targets.
+   */
+  getVertices(mesh) {
+    if (this.traces.includes(mesh)) return { points: tracePath(mesh).points, closed: false };
+    if (this.zones.includes(mesh)) {
+      const y = mesh.position.y;
+      return { points: zoneOutline(mesh).map(([x, z]) => [x, y, z]), closed: true };
+    }
+    return null;
+  }
+
+  /**
+   * Move one corner (vertex `index`) of a trace or zone to (x, z). Pass
+   * `refresh: false` while dragging and call refreshDependents() once done.
+   */
+  moveVertex(mesh, index, x, z, { refresh = true } = {}) {
+    const points = this.getVertices(mesh)?.points.map((p) => [p[0], p[2]]);
+    if (!points?.[index]) return;
+    points[index] = [x, z];
+    this._setVertices(mesh, points);
+    if (refresh) this.refreshDependents([mesh]);
+  }
+
+  /**
+   * Add a corner at (x, z) before vertex `index` of a trace or zone.
+   */
+  insertVertex(mesh, index, x, z, { refresh = true } = {}) {
+    const points = this.getVertices(mesh)?.points.map((p) => [p[0], p[2]]);
+    if (!points || index < 0 || index > points.length) return;
+    points.splice(index, 0, [x, z]);
+    this._setVertices(mesh, points);
+    if (refresh) this.refreshDependents([mesh]);
+  }
+
+  _setVertices(mesh, points) {
+    if (this.zones.includes(mesh)) setZonePoints(mesh, points);
+    else setTracePoints(mesh, points);
+  }
+
+  /**
+   * An id for a new trace record that no existing trace uses.
+   */
+  nextTraceId(prefix = "route") {
+    return nextId(this.traces, prefix);
+  }
+
+  // Trace mesh of { points, width, side, layer?, raw } (null when empty)
+  _createTraceMesh(t) {
+    const mesh = createTrace(t.points, t.width, t.raw, t.side);
+    if (!mesh) return null;
+    const layer = t.layer ?? t.side ?? BOARD_SIDES.TOP;
+    mesh.userData.layer = layer;
+    if (layer !== BOARD_SIDES.TOP && layer !== BOARD_SIDES.BOTTOM) {
+      mesh.material.side = THREE.DoubleSide;
+    }
+    return mesh;
+  }
+
+  /**
+   * Replace the copper zones and fill them (once the pads, traces and vias
+   * they pour around are in place).
+   * zoneArray: Array<{ points: Array<[x, z]>, layer?: copper layer id,
+   *                    raw: design-file zone ({ net, clearance?, thermal_gap?, ... }) }>
+   */
+  addZones(zoneArray) {
+    this.zones.forEach((mesh) => {
+      this.scene.remove(mesh);
+      this._disposeObject(mesh);
+    });
+    this.zones = [];
+
+    zoneArray.forEach((z) => {
+      const mesh = this._createZoneMesh(z);
+      this.zones.push(mesh);
+      this.scene.add(mesh);
+      this._applyLayerState(mesh);
+    });
+    this.refillZones();
+  }
+
+  /**
+   * Add a zone drawn in the editor, as an undo step. `record` is a
+   * design-file zone ({ id?, net, layer?, path?: Array<[x, z]>, ... });
+   * without a path it covers the whole board. Returns the mesh.
+   */
+  addZone(record) {
+    const bounds = this.board?.userData.bounds ?? { width: 100, height: 80, center: [0, 0] };
+    const [cx, cz] = bounds.center;
+    const w = bounds.width / 2;
+    const h = bounds.height / 2;
+    const zone = {
+      id: nextId(this.zones, "zone"),
+      layer: BOARD_SIDES.TOP,
+      path: [
+        [cx - w, cz - h],
+        [cx + w, cz - h],
+        [cx + w, cz + h],
+        [cx - w, cz + h],
+      ],
+      ...record,
+    };
+    const mesh = this._createZoneMesh({ points: zone.path, layer: zone.layer, raw: zone });
+
+    const attach = () => {
+      this._attachObject(this.zones, mesh, this.zones.length);
+      this.refillZones([mesh]);
+    };
+    attach();
+    this.history.push({
+      label: "Add zone",
+      undo: () => this._detachObject(this.zones, mesh),
+      redo: attach,
+    });
+    return mesh;
+  }
+
+  /**
+   * Recompute the fill of the given zones (default: all of them) around
+   * the current copper (see ZoneFill.js). Zones are not refilled when other
+   * copper is edited, only on demand and when the zone itself changes.
+   */
+  refillZones(zones = this.zones) {
+    if (!zones.length) return;
+    const items = [...this._connectivityItems(), ...this._holeItems()];
+    const context = {
+      connectivity: this.getConnectivity(),
+      outline: this.board?.userData.outline ?? null,
+      rules: this.board?.userData.raw?.rules,
+    };
+    zones.forEach((mesh) => {
+      const raw = mesh.userData.raw || {};
+      setZoneFill(mesh, fillZone({ ...raw, layer: mesh.userData.layer, points: zoneOutline(mesh) }, items, context));
+    });
+    this._copperChanged();
+  }
+
+  // Zone mesh of { points: [x, z][], layer?, raw }
+  _createZoneMesh(z) {
+    const layer = z.layer ?? BOARD_SIDES.TOP;
+    const side = layer === BOARD_SIDES.BOTTOM ? BOARD_SIDES.BOTTOM : BOARD_SIDES.TOP;
+    const mesh = createZone(z.points, { y: this.getCopperY(layer), side, raw: z.raw });
+    mesh.userData.layer = layer;
+    if (layer !== BOARD_SIDES.TOP && layer !== BOARD_SIDES.BOTTOM) {
+      mesh.material.side = THREE.DoubleSide;
+    }
+    return mesh;
   }
 
   /**
    * Add a single 3D component (IC, connector, capacitor, via, etc).
-   * component: { type, id, position: [x,y,z], size?: [w,h,t], rotation?: [rx,ry,rz], radius?: number }
+   * component: { type, id, position: [x,y,z], size?: [w,h,t], rotation?: degrees, radius?: number,
+   *              side?: "top" | "bottom", source?: string, package?: string,
+   *              shape?: "box" | "cylinder", color?, material?: string, standoff?: number,
+   *              plated?: boolean, ring?: number }
+   *
+   * Bodies sit `standoff` mm above the face given by `side`; the Y of
+   * `position` is ignored for them. `rotation` turns the component about the
+   * board normal (see Rotation.js). Vias (and mounting holes) are drilled
+   * through the board centre: `radius` is the hole radius, `plated` holes
+   * get a barrel and `ring` mm annular rings. Call refreshHoles() once
+   * they are all added to drill the substrate.
+   * `source` names the design-file array the record came from ("components",
+   * "holes" or "vias") so it can be exported back to the same place.
    */
   addComponent(component) {
     if (!component) return;
 
-    const { type, id, position = [0, 0, 0], size = [4, 2, 1], rotation, radius } = component;
+    const {
+      type,
+      id,
+      position = [0, 0, 0],
+      size = [4, 2, 1],
+      rotation,
+      radius,
+      side = BOARD_SIDES.TOP,
+      shape = BODY_SHAPES.BOX,
+      color,
+      material,
+      standoff = 0,
+      plated = true,
+      ring = DEFAULT_ANNULAR_RING,
+    } = component;
 
     let mesh;
     if (type === "via") {
-      const boardThickness =
-        this.board?.userData?.boardConfig?.thickness != null
-          ? this.board.userData.boardConfig.thickness
-          : 1.6;
       const r = radius || (size[0] || 0.4);
-      const h = boardThickness + 0.4;
-      const geo = new THREE.CylinderGeometry(r, r, h, 16);
-      const mat = new THREE.MeshStandardMaterial({
-        color: 0xd0d0d0,
-        metalness: 0.8,
-        roughness: 0.3,
-      });
-      mesh = new THREE.Mesh(geo, mat);
-      mesh.rotation.x = Math.PI / 2;
+      mesh = createDrilledHole({ radius: r, thickness: this.getBoardThickness(), plated, ring });
+      mesh.userData.drill = { radius: r, plated, ring: plated ? ring : 0 };
     } else {
-      const [w, h, t] = size;
-      const geo = new THREE.BoxGeometry(w, t || 1, h);
-      const mat = new THREE.MeshStandardMaterial({
-        color: 0x222222,
-        metalness: 0.2,
-        roughness: 0.7,
-      });
-      mesh = new THREE.Mesh(geo, mat);
+      mesh = createBody({ shape, size, color, material });
+      mesh.userData.body = {
+        shape,
+        color: `#${mesh.material.color.getHexString()}`,
+        material: resolveBodyMaterial(material),
+        standoff,
+      };
     }
 
     mesh.position.set(position[0], position[1], position[2]);
-    if (rotation && rotation.length === 3) {
-      mesh.rotation.set(rotation[0], rotation[1], rotation[2]);
-    }
+    mesh.position.y = type === "via" ? 0 : this._bodyY(side, size, standoff);
+    if (typeof rotation === "number") mesh.rotation.y = THREE.MathUtils.degToRad(rotation);
 
     mesh.userData.id = id;
     mesh.userData.type = type || "component";
     mesh.userData.size = size;
+    mesh.userData.side = side;
+    mesh.userData.layer = type === "via" ? "vias" : "components";
     mesh.userData.exportable = true;
+    mesh.userData.source = component.source || "components";
+    if (component.package) mesh.userData.package = component.package;
     mesh.userData.raw = component.raw || component;
 
     this.scene.add(mesh);
     this.components.push(mesh);
+    this._applyLayerState(mesh);
+    if (mesh.userData.drill) this._copperChanged();
+  }
+
+  /**
+   * Change a component body: `size` ([w, h, t]), `color`, `material` and
+   * `standoff` (height of its underside above the board). The change is
+   * written back to the design record's `body` (or its top-level `size`
+   * when that is where the file keeps it) so it is exported.
+   */
+  setComponentBody(mesh, changes = {}) {
+    if (!mesh || !this.components.includes(mesh) || !mesh.userData.body) return;
+
+    const body = { ...mesh.userData.body };
+    if (changes.color !== undefined) body.color = changes.color;
+    if (changes.material !== undefined) body.material = resolveBodyMaterial(changes.material);
+    if (typeof changes.standoff === "number") body.standoff = Math.max(0, changes.standoff);
+    // null entries keep the current dimension (bulk edits of one axis)
+    const size = Array.isArray(changes.size)
+      ? changes.size.map((v, i) => v ?? mesh.userData.size[i])
+      : mesh.userData.size;
+
+    updateBody(mesh, { ...body, size });
+    mesh.userData.body = body;
+    mesh.userData.size = size;
+    mesh.position.y = this._bodyY(mesh.userData.side, size, body.standoff);
+
+    // Design record: cylinders as radius / height, boxes as body.size [x, height, z]
+    const raw = { ...mesh.userData.raw };
+    const rawBody = { ...raw.body };
+    if (changes.color !== undefined) rawBody.color = body.color;
+    if (changes.material !== undefined) rawBody.material = body.material;
+    if (typeof changes.standoff === "number") rawBody.standoff = body.standoff;
+    if (Array.isArray(changes.size)) {
+      if (body.shape === BODY_SHAPES.CYLINDER) {
+        rawBody.radius = size[0] / 2;
+        rawBody.height = size[2];
+      } else if (Array.isArray(raw.size) && !Array.isArray(raw.body?.size)) {
+        raw.size = size.slice();
+      } else {
+        rawBody.size = [size[0], size[2], size[1]];
+      }
+    }
+    if (Object.keys(rawBody).length) raw.body = rawBody;
+    mesh.userData.raw = raw;
+
+    this.refreshSilkscreen();
+  }
+
+  /**
+   * Drill the substrate for every via / mounting hole and through-hole pad
+   * at their current positions, and rebuild the pad barrels and back-side
+   * annular rings.
+   */
+  refreshHoles() {
+    const thickness = this.getBoardThickness();
+    const drilledPads = this.getPadRecords()
+      .map((pad) => ({ ...pad, drill: padDrill(pad.raw) }))
+      .filter((pad) => pad.drill > 0);
+
+    const holes = [
+      ...drilledPads.map((pad) => ({
+        x: pad.position[0],
+        z: pad.position[2],
+        radius: pad.drill / 2,
+      })),
+      ...this.components
+        .filter((mesh) => mesh.userData.drill)
+        .map((mesh) => ({ x: mesh.position.x, z: mesh.position.z, radius: mesh.userData.drill.radius })),
+    ];
+    setBoardHoles(this.board, holes);
+
+    if (this.padPlating) {
+      this.scene.remove(this.padPlating);
+      this._disposeObject(this.padPlating);
+      this.padPlating = null;
+    }
+    const plating = createPadPlating(drilledPads, thickness);
+    if (plating) {
+      plating.userData.layer = "vias";
+      this.padPlating = plating;
+      this.scene.add(plating);
+      this._applyLayerState(plating);
+    }
+  }
+
+  /**
+   * Centre Y of a body of the given [w, h, t] size on a board side.
+   */
+  _bodyY(side, size, standoff = 0) {
+    return this.getSurfaceY(side, (standoff || 0) + (size[2] || 1) / 2);
+  }
+
+  /**
+   * Move a component to the other side of the board. Its body is placed on
+   * the opposite face and the pads it owns (pads whose `component` is the
+   * component id) are mirrored about the body centre along X, as a footprint
+   * seen through the board would be, which also reverses their rotation.
+   */
+  flipComponent(mesh) {
+    if (!mesh || !this.components.includes(mesh)) return;
+
+    const side = mesh.userData.side === BOARD_SIDES.BOTTOM ? BOARD_SIDES.TOP : BOARD_SIDES.BOTTOM;
+    const size = mesh.userData.size || [4, 2, 1];
+    mesh.userData.side = side;
+    mesh.position.y = this._bodyY(side, size, mesh.userData.body?.standoff);
+    mesh.rotation.y = -mesh.rotation.y;
+    mesh.userData.raw = { ...mesh.userData.raw, layer: side };
+
+    const pads = this.getPadRecords();
+    let changed = false;
+    pads.forEach((pad) => {
+      if (!this._ownsPad(mesh, pad)) return;
+      const [x, , z] = pad.position;
+      pad.side = side;
+      pad.position = [2 * mesh.position.x - x, this.getSurfaceY(side), z];
+      pad.rotation = normalizeAngle(-pad.rotation);
+      pad.raw = { ...pad.raw, layer: side };
+      changed = true;
+    });
+    if (changed) {
+      this.addPads(pads);
+      this.refreshHoles();
+    }
+
+    this.refreshSilkscreen();
+  }
+
+  // Whether a pad record belongs to a component mesh (its `component` is the component id)
+  _ownsPad(mesh, pad) {
+    return (
+      !mesh.userData.drill && pad.raw?.component != null && String(pad.raw.component) === String(mesh.userData.id)
+    );
+  }
+
+  /**
+   * Ids of the pads a component owns. Moving, turning, flipping or deleting
+   * the component carries them along.
+   */
+  getComponentPads(mesh) {
+    if (!this.components.includes(mesh)) return [];
+    return this.getPadRecords()
+      .filter((pad) => this._ownsPad(mesh, pad))
+      .map((pad) => pad.id);
+  }
+
+  /**
+   * Component mesh that owns a pad (by the pad's `component`), or null.
+   */
+  componentOf(padId) {
+    const pad = this.findPad(padId)?.pad;
+    if (pad?.raw?.component == null) return null;
+    return this.components.find((mesh) => this._ownsPad(mesh, pad)) ?? null;
+  }
+
+  /**
+   * Current pad records (position / size / side / rotation / raw metadata)
+   * from the instanced pad mesh, in instance order. Suitable for passing
+   * back to addPads.
+   */
+  getPadRecords() {
+    return this.getPadMeshes().flatMap((padsMesh) =>
+      Object.values(padsMesh.userData.idMap || {}).map((pad) => ({
+        id: pad.id,
+        position: pad.position.slice(),
+        size: pad.size.slice(),
+        side: pad.side,
+        rotation: pad.rotation,
+        raw: pad.raw,
+      }))
+    );
+  }
+
+  /**
+   * Locate a pad by id: { mesh (instanced copper mesh), instanceId, pad (its
+   * idMap entry) }, or null.
+   */
+  findPad(id) {
+    for (const mesh of this.getPadMeshes()) {
+      const pad = Object.values(mesh.userData.idMap || {}).find((entry) => entry.id === id);
+      if (pad) return { mesh, instanceId: pad.instanceId, pad };
+    }
+    return null;
+  }
+
+  /**
+   * Move / resize / turn a pad in place: changes { position?, size?, side?,
+   * rotation?, raw? }.
+   * A pad moved to the other side rebuilds the pad meshes.
+   */
+  updatePad(id, changes = {}) {
+    const found = this.findPad(id);
+    if (!found) return;
+    const { mesh, pad } = found;
+
+    if (changes.side && changes.side !== pad.side) {
+      this.addPads(this.getPadRecords().map((p) => (p.id === id ? { ...p, ...changes } : p)));
+      return;
+    }
+    if (changes.position) pad.position = changes.position.slice();
+    if (changes.size) pad.size = changes.size.slice();
+    if (typeof changes.rotation === "number") pad.rotation = normalizeAngle(changes.rotation);
+    if (changes.raw) pad.raw = changes.raw;
+    setPadInstance(mesh, pad.instanceId, { ...pad, drill: padDrill(pad.raw) });
+    // Airwires follow pads dragged without a refresh
+    this._ratsnestDirty = true;
+  }
+
+  /*
+   * Entities
+   * --------
+   * Editing APIs address a pad by its id and a trace / zone / component by
+   * its mesh ("targets"), so they stay valid when the pad meshes are rebuilt.
+   */
+
+  /**
+   * World position [x, y, z] of a target, or null when it no longer exists.
+   */
+  entityPosition(target) {
+    if (target?.isObject3D) {
+      return this._ownerOf(target) ? target.position.toArray() : null;
+    }
+    return this.findPad(target)?.pad.position.slice() ?? null;
+  }
+
+  // List a mesh target belongs to (traces, zones or components), or null
+  _ownerOf(mesh) {
+    return [this.traces, this.zones, this.components].find((list) => list.includes(mesh)) ?? null;
+  }
+
+  /**
+   * Move targets in the board plane: moves Array<{ target, x, z }>. Pads and
+   * traces stay on their copper surface; a component carries the pads it
+   * owns along (unless they are moved themselves). Pass `refresh: false`
+   * while dragging and call refreshDependents() once done.
+   */
+  moveEntities(moves, { refresh = true } = {}) {
+    const moved = new Set(moves.map((m) => m.target));
+    moves.forEach(({ target, x, z }) => {
+      if (target?.isObject3D) {
+        const dx = x - target.position.x;
+        const dz = z - target.position.z;
+        if (dx || dz) {
+          this.getComponentPads(target).forEach((id) => {
+            if (moved.has(id)) return;
+            const [px, py, pz] = this.findPad(id).pad.position;
+            this.updatePad(id, { position: [px + dx, py, pz + dz] });
+          });
+        }
+        target.position.x = x;
+        target.position.z = z;
+        if (target.userData.type === "trace") {
+          target.position.y = this.getCopperY(target.userData.layer, TRACE_LIFT);
+        }
+        return;
+      }
+      const found = this.findPad(target);
+      if (found) this.updatePad(target, { position: [x, this.getSurfaceY(found.pad.side), z] });
+    });
+    if (refresh) this.refreshDependents(moves.map((m) => m.target));
+  }
+
+  /**
+   * Line the targets up on the X or Z axis. mode: "minX" | "midX" | "maxX" |
+   * "minZ" | "midZ" | "maxZ" (edge or centre of the selection's extent).
+   */
+  alignEntities(targets, mode) {
+    const placed = targets
+      .map((target) => ({ target, position: this.entityPosition(target) }))
+      .filter((t) => t.position);
+    if (placed.length < 2) return;
+
+    const axis = mode.endsWith("X") ? 0 : 2;
+    const values = placed.map((t) => t.position[axis]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const value = mode.startsWith("min") ? min : mode.startsWith("max") ? max : (min + max) / 2;
+
+    this.moveEntities(
+      placed.map(({ target, position }) => ({
+        target,
+        x: axis === 0 ? value : position[0],
+        z: axis === 2 ? value : position[2],
+      }))
+    );
+  }
+
+  /**
+   * Rotation of a target about the board normal in degrees (see
+   * Rotation.js): a pad's or a component's, null for other targets.
+   */
+  entityRotation(target) {
+    if (target?.isObject3D) {
+      if (!this.components.includes(target)) return null;
+      return normalizeAngle(THREE.MathUtils.radToDeg(target.rotation.y));
+    }
+    return this.findPad(target)?.pad.rotation ?? null;
+  }
+
+  /**
+   * Turn targets about the board normal by `degrees` (counter-clockwise
+   * seen from the top) around `center` ([x, z], default: the centre of
+   * their positions). Pads and components turn in place as well; a
+   * component takes the pads it owns along. Traces and zones turn their
+   * corners. Pass `refresh: false` while dragging and call
+   * refreshDependents() once done. Returns every target turned, owned pads
+   * included.
+   */
+  rotateEntities(targets, degrees, { center, refresh = true } = {}) {
+    const placed = targets.filter((t) => this.entityPosition(t) !== null);
+    if (!placed.length || !degrees) return placed;
+    const pivot =
+      center ??
+      placed
+        .map((t) => this.entityPosition(t))
+        .reduce((sum, p) => [sum[0] + p[0] / placed.length, sum[1] + p[2] / placed.length], [0, 0]);
+
+    const padIds = new Set(placed.filter((t) => !t?.isObject3D));
+    const turned = [...placed];
+    placed.forEach((target) => {
+      if (!target?.isObject3D) return;
+      const vertices = this.getVertices(target);
+      if (vertices) {
+        this._setVertices(
+          target,
+          vertices.points.map(([x, , z]) => rotatePoint([x, z], pivot, degrees))
+        );
+        return;
+      }
+      [target.position.x, target.position.z] = rotatePoint([target.position.x, target.position.z], pivot, degrees);
+      if (target.userData.drill) return;
+      target.rotation.y += THREE.MathUtils.degToRad(degrees);
+      this.getComponentPads(target).forEach((id) => {
+        if (padIds.has(id)) return;
+        padIds.add(id);
+        turned.push(id);
+      });
+    });
+
+    this.getPadRecords().forEach((pad) => {
+      if (!padIds.has(pad.id)) return;
+      const [x, z] = rotatePoint([pad.position[0], pad.position[2]], pivot, degrees);
+      this.updatePad(pad.id, { position: [x, pad.position[1], z], rotation: pad.rotation + degrees });
+    });
+    if (refresh) this.refreshDependents(turned);
+    return turned;
+  }
+
+  /**
+   * Set the rotation of pads and components (degrees) by turning each about
+   * its own centre; other targets are left as they are.
+   */
+  setEntityRotation(targets, degrees, { refresh = true } = {}) {
+    const turned = targets.flatMap((target) => {
+      const current = this.entityRotation(target);
+      if (current === null) return [];
+      const position = this.entityPosition(target);
+      const delta = normalizeAngle(degrees) - current;
+      return this.rotateEntities([target], delta, { center: [position[0], position[2]], refresh: false });
+    });
+    if (refresh) this.refreshDependents(turned);
+    return turned;
+  }
+
+  /**
+   * Rebuild what follows the targets: silkscreen outlines for components,
+   * board holes / plating for vias and through-hole pads (a component's
+   * own pads included), the fill of edited zones.
+   */
+  refreshDependents(targets) {
+    const meshes = targets.filter((t) => t?.isObject3D);
+    const components = meshes.filter((m) => this.components.includes(m));
+    if (components.length) this.refreshSilkscreen();
+    const padsMoved =
+      meshes.length < targets.length || components.some((m) => this.getComponentPads(m).length > 0);
+    if (padsMoved || meshes.some((m) => m.userData.drill)) this.refreshHoles();
+    this._copperChanged();
+    this.refillZones(meshes.filter((m) => this.zones.includes(m)));
+  }
+
+  /**
+   * Editable state of a target (or an array of them), to be handed back to
+   * restoreSnapshot() by undo / redo.
+   */
+  snapshot(target) {
+    if (Array.isArray(target)) return target.map((t) => this.snapshot(t)).filter(Boolean);
+
+    if (target?.isObject3D) {
+      const mesh = target;
+      if (this.traces.includes(mesh)) {
+        return {
+          kind: "trace",
+          mesh,
+          position: mesh.position.toArray(),
+          points: mesh.userData.points.map((p) => p.slice()),
+        };
+      }
+      if (this.zones.includes(mesh)) {
+        return { kind: "zone", mesh, position: mesh.position.toArray(), points: zoneOutline(mesh) };
+      }
+      if (!this.components.includes(mesh)) return null;
+      return {
+        kind: "component",
+        mesh,
+        position: mesh.position.toArray(),
+        rotation: [mesh.rotation.x, mesh.rotation.y, mesh.rotation.z],
+        side: mesh.userData.side,
+        size: mesh.userData.size?.slice(),
+        body: mesh.userData.body ? { ...mesh.userData.body } : undefined,
+        raw: mesh.userData.raw,
+        // Flipping / turning moves the pads the component owns
+        pads: this.getPadRecords().filter((pad) => this._ownsPad(mesh, pad)),
+      };
+    }
+    const pad = this.getPadRecords().find((p) => p.id === target);
+    return pad ? { kind: "pad", ...pad } : null;
+  }
+
+  /**
+   * Put entities back into the state captured by snapshot().
+   */
+  restoreSnapshot(state) {
+    const states = (Array.isArray(state) ? state : [state]).filter(Boolean);
+    if (!states.length) return;
+
+    let holes = false;
+    let silkscreen = false;
+    const zones = [];
+    states.forEach((s) => {
+      if (s.kind === "pad") {
+        this.updatePad(s.id, s);
+        holes = true;
+      } else if (s.kind === "trace") {
+        const [x, y, z] = s.position;
+        s.mesh.position.y = y;
+        setTracePoints(s.mesh, s.points.map(([px, pz]) => [px + x, pz + z]));
+      } else if (s.kind === "zone") {
+        s.mesh.position.y = s.position[1];
+        setZonePoints(s.mesh, s.points);
+        zones.push(s.mesh);
+      } else if (s.kind === "component") {
+        const { mesh } = s;
+        if (s.body) {
+          updateBody(mesh, { ...s.body, size: s.size });
+          mesh.userData.body = { ...s.body };
+        }
+        mesh.userData.side = s.side;
+        mesh.userData.size = s.size;
+        mesh.userData.raw = s.raw;
+        mesh.position.fromArray(s.position);
+        mesh.rotation.set(...s.rotation);
+
+        const saved = new Map(s.pads.map((pad) => [pad.id, pad]));
+        const pads = this.getPadRecords();
+        if (pads.some((pad) => saved.has(pad.id) && JSON.stringify(pad) !== JSON.stringify(saved.get(pad.id)))) {
+          this.addPads(pads.map((pad) => saved.get(pad.id) ?? pad));
+          holes = true;
+        }
+        holes = holes || Boolean(mesh.userData.drill);
+        silkscreen = true;
+      }
+    });
+    if (holes) this.refreshHoles();
+    if (silkscreen) this.refreshSilkscreen();
+    this._copperChanged();
+    this.refillZones(zones.filter((mesh) => this.zones.includes(mesh)));
+  }
+
+  /**
+   * Record an edit that has been applied, from the snapshots taken before
+   * and after it. Edits sharing a `key` in quick succession coalesce.
+   */
+  recordEdit(label, before, after, key) {
+    if (!before || !after) return;
+    this.history.push({
+      label,
+      key,
+      undo: () => this.restoreSnapshot(before),
+      redo: () => this.restoreSnapshot(after),
+    });
+  }
+
+  /**
+   * Delete targets (one or an array) as a single undoable step; components
+   * take the pads they own with them. Removed meshes are kept (not
+   * disposed) so the deletion can be undone.
+   * Returns false when there is nothing to delete.
+   */
+  deleteEntities(targets) {
+    const list = (Array.isArray(targets) ? targets : [targets]).filter(
+      (t) => this.entityPosition(t) !== null
+    );
+    if (!list.length) return false;
+    const label = list.length === 1 ? `Delete ${list[0]?.userData?.id ?? list[0]}` : `Delete ${list.length} items`;
+    list.slice().forEach((target) => {
+      this.getComponentPads(target).forEach((id) => {
+        if (!list.includes(id)) list.push(id);
+      });
+    });
+
+    const meshes = list.filter((t) => t?.isObject3D);
+    const padIds = new Set(list.filter((t) => !t?.isObject3D));
+    // [index, record] of the removed pads / [list, mesh, index] of the removed
+    // meshes, filled in when the deletion is (re)done
+    let removedPads = [];
+    let removedMeshes = [];
+
+    this.history.execute({
+      label,
+      redo: () => {
+        removedMeshes = meshes.map((mesh) => {
+          const owner = this._ownerOf(mesh);
+          return [owner, mesh, this._detachObject(owner, mesh)];
+        });
+        if (padIds.size) {
+          const pads = this.getPadRecords();
+          removedPads = pads.map((pad, i) => [i, pad]).filter(([, pad]) => padIds.has(pad.id));
+          this.addPads(pads.filter((pad) => !padIds.has(pad.id)));
+        }
+        this.refreshDependents(list);
+      },
+      undo: () => {
+        if (removedPads.length) {
+          const pads = this.getPadRecords();
+          removedPads.forEach(([i, pad]) => pads.splice(i, 0, pad));
+          this.addPads(pads);
+        }
+        removedMeshes
+          .slice()
+          .reverse()
+          .forEach(([owner, mesh, index]) => this._attachObject(owner, mesh, index));
+        this.refreshDependents(list);
+      },
+    });
+    return true;
+  }
+
+  _detachObject(list, mesh) {
+    const index = list.indexOf(mesh);
+    if (index >= 0) list.splice(index, 1);
+    this.scene.remove(mesh);
+    this._copperChanged();
+    return index;
+  }
+
+  _attachObject(list, mesh, index) {
+    list.splice(Math.min(index, list.length), 0, mesh);
+    this.scene.add(mesh);
+    this._applyLayerState(mesh);
+    this._copperChanged();
+  }
+
+  /**
+   * Undo / redo the last edit. The selection is cleared since it may refer
+   * to pads that were rebuilt or objects that were removed.
+   */
+  undo() {
+    if (this.history.undo()) this.interactionManager?.clearSelection();
+  }
+
+  redo() {
+    if (this.history.redo()) this.interactionManager?.clearSelection();
+  }
+
+  /**
+   * Net connectivity of the current copper (see Connectivity.js):
+   * { nets: Map<name, { name, members, islands }>, netOf: Map<target, name>, shorts }.
+   * Members are engine targets (pad ids, trace / via meshes).
+   */
+  getConnectivity() {
+    if (!this._connectivity) this._connectivity = buildConnectivity(this._connectivityItems());
+    return this._connectivity;
+  }
+
+  /**
+   * Net name of a target (pad id, trace or via mesh), or null.
+   */
+  getNetOf(target) {
+    return this.getConnectivity().netOf.get(target) ?? null;
+  }
+
+  /**
+   * Members of a net, by kind: { pads: id[], traces: mesh[], vias: mesh[], zones: mesh[] }.
+   */
+  getNetMembers(net) {
+    const members = this.getConnectivity().nets.get(net)?.members ?? [];
+    return {
+      pads: members.filter((t) => !t?.isObject3D),
+      traces: members.filter((t) => this.traces.includes(t)),
+      vias: members.filter((t) => this.components.includes(t)),
+      zones: members.filter((t) => this.zones.includes(t)),
+    };
+  }
+
+  /**
+   * Light up every pad, trace and via on `net` and dim everything else;
+   * null clears the highlight.
+   */
+  highlightNet(net) {
+    if ((this._netHighlight?.net ?? null) === (net ?? null)) return;
+    this._netHighlight = net ? { net, members: new Set() } : null;
+    this._applyNetHighlight();
+  }
+
+  // Copper items (see Connectivity.js / Drc.js) of the pads, traces, plated vias and zones
+  _connectivityItems() {
+    const pads = this._padItems();
+    const traces = this.traces.map((mesh, i) => {
+      const { points, width } = tracePath(mesh);
+      const raw = mesh.userData.raw || {};
+      return {
+        kind: "trace",
+        target: mesh,
+        label: raw.id != null ? `Trace ${raw.id}` : `Trace #${i + 1}`,
+        net: raw.net,
+        layer: mesh.userData.layer,
+        points: points.map((p) => [p[0], p[2]]),
+        width,
+        from: raw.from,
+        to: raw.to,
+      };
+    });
+    const vias = this.components
+      .filter((mesh) => mesh.userData.drill?.plated)
+      .map((mesh) => ({
+        kind: "via",
+        target: mesh,
+        label: holeLabel(mesh),
+        net: mesh.userData.raw?.net,
+        center: [mesh.position.x, mesh.position.z],
+        radius: mesh.userData.drill.radius + mesh.userData.drill.ring,
+        drill: mesh.userData.drill.radius * 2,
+        ring: mesh.userData.drill.ring,
+      }));
+    const zones = this.zones.map((mesh, i) => {
+      const raw = mesh.userData.raw || {};
+      return {
+        kind: "zone",
+        target: mesh,
+        label: raw.id != null ? `Zone ${raw.id}` : `Zone #${i + 1}`,
+        net: raw.net,
+        layer: mesh.userData.layer,
+        center: [mesh.position.x, mesh.position.z],
+        regions: mesh.userData.fill?.regions ?? [],
+        fill: zoneFillRaster(mesh),
+      };
+    });
+    return [...pads, ...traces, ...vias, ...zones];
+  }
+
+  // Pad items of _connectivityItems
+  _padItems() {
+    return this.getPadRecords().map((pad) => {
+      const drill = padDrill(pad.raw);
+      return {
+        kind: "pad",
+        target: pad.id,
+        label: String(pad.id),
+        net: pad.raw?.net,
+        side: pad.side,
+        center: [pad.position[0], pad.position[2]],
+        size: pad.size,
+        rotation: pad.rotation,
+        drilled: drill > 0,
+        drill,
+      };
+    });
+  }
+
+  // Unplated holes as Drc.js / ZoneFill.js take them
+  _holeItems() {
+    return this.components
+      .filter((mesh) => mesh.userData.drill && !mesh.userData.drill.plated)
+      .map((mesh) => ({
+        kind: "hole",
+        target: mesh,
+        label: holeLabel(mesh),
+        center: [mesh.position.x, mesh.position.z],
+        drill: mesh.userData.drill.radius * 2,
+      }));
+  }
+
+  /**
+   * Run the design rule check (see Drc.js) over the pads, traces, vias,
+   * holes and board outline, with the rules of the design file
+   * (`board.rules`). Every violation is marked in the scene.
+   * Returns Array<{ rule, message, targets, location: [x, z] }>.
+   */
+  runDrc() {
+    const violations = checkDesignRules([...this._connectivityItems(), ...this._holeItems()], {
+      connectivity: this.getConnectivity(),
+      outline: this.board?.userData.outline ?? null,
+      rules: this.board?.userData.raw?.rules,
+    });
+    this.setDrcMarkers(violations);
+    return violations;
+  }
+
+  /**
+   * Mark each violation's location with a ring on top of the board;
+   * an empty list removes the markers.
+   */
+  setDrcMarkers(violations = []) {
+    if (this.drcMarkers) {
+      this.scene.remove(this.drcMarkers);
+      this._disposeObject(this.drcMarkers);
+      this.drcMarkers = null;
+    }
+    if (!violations.length) return;
+
+    const group = new THREE.Group();
+    group.userData.type = "drc";
+    const geometry = new THREE.RingGeometry(0.5, 0.8, 32);
+    const y = this.getSurfaceY(BOARD_SIDES.TOP, 0.05);
+    violations.forEach(({ location }) => {
+      const marker = new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({ color: DRC_MARKER_COLOR, side: THREE.DoubleSide, depthTest: false })
+      );
+      marker.rotation.x = -Math.PI / 2;
+      marker.position.set(location[0], y, location[1]);
+      // Drawn over the copper and bodies
+      marker.renderOrder = 10;
+      group.add(marker);
+    });
+    this.drcMarkers = group;
+    this.scene.add(group);
+  }
+
+  /**
+   * Frame the camera on a violation (its index in the last runDrc result),
+   * select the objects involved and emphasise its marker.
+   */
+  focusViolation(violation, index) {
+    if (!violation) return;
+    this.drcMarkers?.children.forEach((marker, i) => {
+      marker.material.color.setHex(i === index ? DRC_FOCUS_COLOR : DRC_MARKER_COLOR);
+      marker.scale.setScalar(i === index ? 1.5 : 1);
+    });
+
+    // Objects deleted since the check are skipped
+    const targets = violation.targets.filter((target) => this.entityPosition(target) !== null);
+    const box = new THREE.Box3();
+    targets.forEach((target) => {
+      if (target.isObject3D) {
+        box.expandByObject(target);
+      } else {
+        const { pad } = this.findPad(target);
+        const [x, y, z] = pad.position;
+        box.expandByPoint(new THREE.Vector3(x - pad.size[0] / 2, y, z - pad.size[1] / 2));
+        box.expandByPoint(new THREE.Vector3(x + pad.size[0] / 2, y, z + pad.size[1] / 2));
+      }
+    });
+    const [lx, lz] = violation.location;
+    box.expandByPoint(new THREE.Vector3(lx, this.getSurfaceY(BOARD_SIDES.TOP), lz));
+    this.frameBox(box);
+
+    if (this.interactionManager) this.interactionManager.setSelection(targets);
+  }
+
+  /**
+   * Rebuild the airwires (see Ratsnest.js) from the current pad positions
+   * and the last connectivity: while pads are dragged without a refresh
+   * the airwires follow them, and the islands are updated once the copper
+   * is refreshed. Called from the render loop when pads or copper changed.
+   */
+  refreshRatsnest() {
+    this._ratsnestDirty = false;
+    const pads = this._padItems();
+    const { airwires, nets } = buildRatsnest(pads, this.getConnectivity());
+
+    const sides = new Map(pads.map((pad) => [pad.target, pad.side]));
+    const positions = [];
+    airwires.forEach(({ from, to, points: [a, b] }) => {
+      positions.push(a[0], this.getSurfaceY(sides.get(from), RATSNEST_LIFT), a[1]);
+      positions.push(b[0], this.getSurfaceY(sides.get(to), RATSNEST_LIFT), b[1]);
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+
+    if (this.ratsnest) {
+      this.ratsnest.geometry.dispose();
+      this.ratsnest.geometry = geometry;
+    } else {
+      const material = new THREE.LineBasicMaterial({ color: RATSNEST_COLOR, depthTest: false });
+      this.ratsnest = new THREE.LineSegments(geometry, material);
+      this.ratsnest.userData.type = "ratsnest";
+      this.ratsnest.userData.layer = "ratsnest";
+      // Drawn over the copper and bodies, never picked
+      this.ratsnest.renderOrder = 9;
+      this.ratsnest.raycast = () => {};
+      this.scene.add(this.ratsnest);
+      this._applyLayerState(this.ratsnest);
+    }
+
+    const unrouted = nets.map(({ net, unrouted }) => ({ net, unrouted }));
+    if (JSON.stringify(unrouted) !== JSON.stringify(this.unrouted)) {
+      this.unrouted = unrouted;
+      if (this.onRatsnestChange) this.onRatsnestChange(unrouted);
+    }
+  }
+
+  // Pads / traces / vias were added, removed or moved
+  _copperChanged() {
+    this._connectivity = null;
+    this._ratsnestDirty = true;
+    if (this._netHighlight) this._applyNetHighlight();
+  }
+
+  _applyNetHighlight() {
+    const highlight = this._netHighlight;
+    if (highlight) {
+      highlight.members = new Set(this.getConnectivity().nets.get(highlight.net)?.members ?? []);
+    }
+    const state = (target) => (!highlight ? 0 : highlight.members.has(target) ? 1 : -1);
+
+    this.getPadMeshes().forEach((mesh) => {
+      const flags = mesh.geometry.getAttribute("instanceNet");
+      if (!flags) return;
+      Object.values(mesh.userData.idMap || {}).forEach((pad) => flags.setX(pad.instanceId, state(pad.id)));
+      flags.needsUpdate = true;
+    });
+    [...this.traces, ...this.zones].forEach((mesh) => {
+      if (mesh.material.uniforms?.uNet) mesh.material.uniforms.uNet.value = state(mesh);
+    });
+    // Bodies and vias off the net are faded (see _applyLayerState)
+    this.components.forEach((mesh) => this._applyLayerState(mesh));
+  }
+
+  /**
+   * Set the free silkscreen items (text / polylines) and ink colour, then
+   * rebuild the silkscreen layer.
+   * items: Array<{ text, position, size?, rotation? } | { path, width? }>
+   */
+  setSilkscreen(items = [], color = "#ffffff") {
+    this.silkscreenItems = items;
+    this.silkscreenColor = color;
+    this.refreshSilkscreen();
+  }
+
+  /**
+   * Rebuild the silkscreen layer from the stored items plus the current
+   * component outlines / reference designators (call after components move).
+   */
+  refreshSilkscreen() {
+    if (this.silkscreen) {
+      this.scene.remove(this.silkscreen);
+      this._disposeObject(this.silkscreen);
+      this.silkscreen = null;
+    }
+
+    const silkTop = this.stackup.layers.find((l) => l.id === "silk_top");
+    const group = createSilkscreen(this.silkscreenItems, this.components, {
+      color: this.silkscreenColor,
+      thickness: this.getBoardThickness(),
+      lift: silkTop ? silkTop.y - this.getBoardThickness() / 2 : undefined,
+    });
+    this.silkscreen = group;
+    this.scene.add(group);
+    this._applyLayerState(group);
+  }
+
+  /**
+   * Layers that can be shown / hidden in the layer panel, top to bottom,
+   * with their current display state.
+   * Returns Array<{ id, name, kind, visible, opacity }>.
+   */
+  getLayers() {
+    const entries = this.stackup.layers
+      .filter((l) => l.kind === LAYER_KINDS.COPPER || l.kind === LAYER_KINDS.SILKSCREEN)
+      .map(({ id, name, kind }) => ({ id, name, kind }));
+    entries.push(
+      { id: "substrate", name: "Substrate", kind: LAYER_KINDS.DIELECTRIC },
+      { id: "components", name: "Components", kind: "components" },
+      { id: "vias", name: "Vias & Holes", kind: "vias" },
+      { id: "grid", name: "Grid", kind: "grid" },
+      { id: "ratsnest", name: "Ratsnest", kind: "ratsnest" }
+    );
+    return entries.map((entry) => ({ ...entry, ...this._getLayerState(entry.id) }));
+  }
+
+  /**
+   * Display name of a stackup layer id (e.g. "inner1" → "Inner 1").
+   */
+  getLayerName(layerId) {
+    return this.stackup.layers.find((l) => l.id === layerId)?.name ?? layerId;
+  }
+
+  /**
+   * Show or hide every object on a layer.
+   */
+  setLayerVisibility(layerId, visible) {
+    this.layerState[layerId] = { ...this._getLayerState(layerId), visible };
+    this._applyLayerState(this.scene);
+  }
+
+  /**
+   * Set the opacity (0..1) of every object on a layer.
+   */
+  setLayerOpacity(layerId, opacity) {
+    this.layerState[layerId] = { ...this._getLayerState(layerId), opacity };
+    this._applyLayerState(this.scene);
+  }
+
+  _getLayerState(layerId) {
+    return { visible: true, opacity: 1, ...this.layerState[layerId] };
+  }
+
+  /**
+   * Apply stored layer visibility / opacity to every object under `root`
+   * tagged with `userData.layer`.
+   */
+  _applyLayerState(root) {
+    if (!root) return;
+    root.traverse((obj) => {
+      const layerId = obj.userData.layer;
+      if (!layerId) return;
+      const { visible, opacity: layerOpacity } = this._getLayerState(layerId);
+      obj.visible = visible;
+      const faded = this._netHighlight && this.components.includes(obj) && !this._netHighlight.members.has(obj);
+      const opacity = faded ? layerOpacity * NET_FADE_OPACITY : layerOpacity;
+      obj.traverse((child) => {
+        if (!child.material) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((m) => applyOpacity(m, opacity));
+      });
+    });
   }
 
   /**
@@ -183,29 +1404,97 @@ export class Engine {
       this.board = null;
     }
 
-    const board = createBoard(config);
+    this.stackup = createStackup(config);
+    const board = createBoard({ ...config, color: this.stackup.colors.substrate });
+    board.userData.layer = "substrate";
     this.board = board;
     this.scene.add(board);
+    this._applyLayerState(board);
+
+    this._gridBounds = board.userData.bounds;
+    this._fitGrid();
 
     // Optionally frame camera to new board
     this.frameToBoard();
   }
 
   /**
-   * Helper to dispose a single object (geometry + material).
+   * Set the placement grid: { pitch?: mm, snap?: boolean }. Drags and
+   * Inspector edits snap to multiples of the pitch while `snap` is on; the
+   * visible grid is redrawn at the new pitch.
+   */
+  setPlacementGrid(changes = {}) {
+    this.placementGrid = { ...this.placementGrid, ...changes };
+    this._fitGrid();
+  }
+
+  /**
+   * A coordinate (mm) on the placement grid, or unchanged with snapping off.
+   */
+  snapToGrid(value) {
+    const { pitch, snap } = this.placementGrid;
+    return snap ? snapValue(value, pitch) : value;
+  }
+
+  /**
+   * Replace the visible grid with one at the placement pitch covering the
+   * board bounds plus a margin, on the top face. Its lines fall on
+   * multiples of the pitch; when they would be too dense only every 10th
+   * (100th, ...) is drawn, and every 10th drawn line is brighter.
+   */
+  _fitGrid() {
+    const bounds = this._gridBounds;
+    const margin = 20;
+    if (this.grid) {
+      this.scene.remove(this.grid);
+      this._disposeObject(this.grid);
+    }
+
+    let minor = this.placementGrid.pitch;
+    const extent = Math.max(bounds.width, bounds.height) + 2 * margin;
+    while (extent / minor > MAX_GRID_LINES) minor *= 10;
+    const major = minor * 10;
+    const half = Math.ceil(extent / 2 / major) * major;
+    const center = bounds.center.map((v) => Math.round(v / major) * major);
+
+    const group = new THREE.Group();
+    group.userData.type = "grid";
+    group.userData.layer = "grid";
+    [
+      [minor, GRID_MINOR_COLOR],
+      [major, GRID_MAJOR_COLOR],
+    ].forEach(([step, color]) => {
+      const lines = new THREE.GridHelper(2 * half, Math.round((2 * half) / step), color, color);
+      // Over the substrate, under the copper that sits higher up
+      lines.material.depthWrite = false;
+      group.add(lines);
+    });
+    group.position.set(center[0], this.getSurfaceY(BOARD_SIDES.TOP, GRID_LIFT), center[1]);
+    this.grid = group;
+    this.scene.add(group);
+    this._applyLayerState(group);
+  }
+
+  /**
+   * Helper to dispose an object and its children (geometry, material, textures).
    */
   _disposeObject(obj) {
     if (!obj) return;
-    if (obj.geometry) {
-      obj.geometry.dispose();
-    }
-    if (obj.material) {
-      if (Array.isArray(obj.material)) {
-        obj.material.forEach((m) => m && m.dispose && m.dispose());
-      } else if (obj.material.dispose) {
-        obj.material.dispose();
+    obj.traverse((child) => {
+      if (child.geometry) {
+        child.geometry.dispose();
       }
-    }
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((m) => {
+          if (!m) return;
+          if (m.map && m.map.dispose) m.map.dispose();
+          // Data textures handed to shaders (zone fill masks)
+          Object.values(m.uniforms || {}).forEach((u) => u.value?.isTexture && u.value.dispose());
+          if (m.dispose) m.dispose();
+        });
+      }
+    });
   }
 
   /**
@@ -239,6 +1528,32 @@ export class Engine {
     }
   }
 
+  /**
+   * Move the camera towards a world box, keeping the current viewing
+   * direction, so that the box (at least `minExtent` mm across) fills the view.
+   */
+  frameBox(box, minExtent = 6) {
+    if (!this.camera || box.isEmpty()) return;
+
+    const size = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    box.getSize(size);
+    box.getCenter(center);
+
+    const extent = Math.max(size.x, size.z, minExtent);
+    const fov = (this.camera.fov * Math.PI) / 180;
+    const distance = (extent * 0.9) / Math.tan(fov / 2);
+    const target = this.controls ? this.controls.target : center;
+    const direction = this.camera.position.clone().sub(target).normalize();
+
+    this.camera.position.copy(center).addScaledVector(direction, distance);
+    this.camera.lookAt(center);
+    if (this.controls) {
+      this.controls.target.copy(center);
+      this.controls.update();
+    }
+  }
+
   /**
    * Private render loop.
    */
@@ -263,6 +1578,7 @@ export class Engine {
         applyTime(mat);
       }
     });
+    if (this._ratsnestDirty) this.refreshRatsnest();
 
     this._animationFrameId = window.requestAnimationFrame(this._animate);
     if (this.controls) {
@@ -360,19 +1676,8 @@ export class Engine {
       window.removeEventListener("resize", this._handleWindowResize);
     }
 
-    // Dispose of all geometries / materials
-    this.scene.traverse((obj) => {
-      if (obj.geometry) {
-        obj.geometry.dispose();
-      }
-      if (obj.material) {
-        if (Array.isArray(obj.material)) {
-          obj.material.forEach((m) => m && m.dispose && m.dispose());
-        } else if (obj.material.dispose) {
-          obj.material.dispose();
-        }
-      }
-    });
+    // Dispose of all geometries / materials / textures
+    this._disposeObject(this.scene);
 
     // Dispose controls
     if (this.controls && this.controls.dispose) {
@@ -390,4 +1695,56 @@ export class Engine {
     // Allow GC
     this.container = null;
   }
-}
\ No newline at end of file
+}
+
+// Visible placement grid: most lines across, colours, height above the top face
+const MAX_GRID_LINES = 400;
+const GRID_MINOR_COLOR = 0x2c3a30;
+const GRID_MAJOR_COLOR = 0x4a5e50;
+const GRID_LIFT = 0.002;
+
+// Opacity of component bodies / vias off the highlighted net
+const NET_FADE_OPACITY = 0.2;
+
+// Design rule violation markers, and the one being looked at
+const DRC_MARKER_COLOR = 0xff3344;
+const DRC_FOCUS_COLOR = 0xffee33;
+
+// Airwires of unrouted connections, and their height above the pads' face
+const RATSNEST_COLOR = 0xc8d4ff;
+const RATSNEST_LIFT = 0.06;
+
+// An id `${prefix}_N` that no record of the meshes uses
+function nextId(meshes, prefix) {
+  const used = new Set(meshes.map((mesh) => String(mesh.userData.raw?.id)));
+  let n = 1;
+  while (used.has(`${prefix}_${n}`)) n++;
+  return `${prefix}_${n}`;
+}
+
+// Message name of a via / mounting hole mesh
+function holeLabel(mesh) {
+  const kind = mesh.userData.source === "holes" ? "Hole" : "Via";
+  return mesh.userData.id != null ? `${kind} ${mesh.userData.id}` : kind;
+}
+
+/**
+ * Set a material's opacity, remembering whether it was transparent to begin
+ * with (e.g. silkscreen text) so it can be restored at full opacity.
+ */
+function applyOpacity(material, opacity) {
+  if (material.userData.baseTransparent === undefined) {
+    material.userData.baseTransparent = material.transparent;
+  }
+  const transparent = material.userData.baseTransparent || opacity < 1;
+  if (material.uniforms && material.uniforms.uOpacity) {
+    material.uniforms.uOpacity.value = opacity;
+  } else {
+    material.opacity = opacity;
+  }
+  if (material.transparent !== transparent) {
+    material.transparent = transparent;
+    material.needsUpdate = true;
+  }
+  material.depthWrite = material.userData.baseTransparent ? material.depthWrite : opacity >= 1;
+}
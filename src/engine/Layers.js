@@ -12,6 +12,9 @@ export const PCB_LAYERS = {
 };
 
 // Polygon offset presets per logical layer.
+// Offsets are applied in window space (towards the viewer), and each outer
+// copper layer is only ever seen from its own side of the board, so both
+// pull towards the camera to win against the substrate face beneath them.
 export const LAYER_POLYGON_OFFSETS = {
   [PCB_LAYERS.TOP_COPPER]: {
     polygonOffset: true,
@@ -20,8 +23,8 @@ export const LAYER_POLYGON_OFFSETS = {
   },
   [PCB_LAYERS.BOTTOM_COPPER]: {
     polygonOffset: true,
-    polygonOffsetFactor: 1,
-    polygonOffsetUnits: 1,
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1,
   },
   [PCB_LAYERS.SILKSCREEN]: {
     polygonOffset: true,
@@ -46,3 +49,47 @@ export function applyLayerPolygonOffset(material, layerKey) {
 
   return material;
 }
+
+// Height of traces above the copper surface so they never coincide with pads
+export const TRACE_LIFT = 0.01;
+
+/**
+ * Physical sides of the board that pads, traces, components and silkscreen
+ * can be placed on. Design files store this in each record's `layer` field.
+ */
+export const BOARD_SIDES = {
+  TOP: "top",
+  BOTTOM: "bottom",
+};
+
+/**
+ * Map a design-file layer name ("top", "Bottom Copper", "B.Cu", ...) onto a
+ * board side. Anything not recognisably bottom is treated as top.
+ */
+export function resolveBoardSide(layer) {
+  if (typeof layer !== "string") return BOARD_SIDES.TOP;
+  return /^\s*(bottom|bot\b|back|b[._\s])/i.test(layer) ? BOARD_SIDES.BOTTOM : BOARD_SIDES.TOP;
+}
+
+/**
+ * Human-readable layer name for the inspector.
+ */
+export function boardSideLabel(side) {
+  return side === BOARD_SIDES.BOTTOM ? "Bottom" : "Top";
+}
+
+/**
+ * Copper layer key (for polygon offsets) of a board side.
+ */
+export function copperLayerForSide(side) {
+  return side === BOARD_SIDES.BOTTOM ? PCB_LAYERS.BOTTOM_COPPER : PCB_LAYERS.TOP_COPPER;
+}
+
+/**
+ * World Y of a board face for a board centered at the origin, optionally
+ * lifted away from the substrate (e.g. traces above pads, component bodies).
+ */
+export function boardSurfaceY(side, thickness, lift = 0) {
+  const y = thickness / 2 + lift;
+  return side === BOARD_SIDES.BOTTOM ? -y : y;
+}
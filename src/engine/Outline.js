@@ -0,0 +1,271 @@
+/**
+ * Board outline
+ * -------------
+ * Resolves the `board.outline` of a design into polygons in board (X, Z)
+ * coordinates:
+ *
+ * outline?: {
+ *   path?: Array<Vec | { through: Vec, to: Vec }>,
+ *   corner_radius?: number,
+ *   cutouts?: Array<{ path: [...], corner_radius?: number } | { circle: { center: Vec, radius: number } }>
+ * }
+ *
+ * - `path` is a closed polyline; a `{ through, to }` entry is a circular arc
+ *   from the previous point through `through` to `to`
+ * - `corner_radius` rounds every corner between two straight segments
+ * - without a `path` the outline is the width × height rectangle centred
+ *   on the origin (still rounded by `corner_radius`)
+ * - `cutouts` are slots / windows milled out of the board
+ */
+
+// Maximum angle (radians) covered by one straight piece of a discretised arc
+const ARC_STEP = Math.PI / 24;
+const EPSILON = 1e-9;
+
+/**
+ * { contour: [x, z][], cutouts: [x, z][][] } for a board config
+ * ({ width, height, outline? }).
+ */
+export function resolveOutline({ width = 100, height = 80, outline } = {}) {
+  const radius = Math.max(0, outline?.corner_radius ?? 0);
+  const vertices = Array.isArray(outline?.path) ? parsePath(outline.path) : null;
+  const contour =
+    vertices && vertices.length >= 3
+      ? discretize(vertices, radius)
+      : discretize(rectangle(width, height), radius);
+
+  const cutouts = (Array.isArray(outline?.cutouts) ? outline.cutouts : [])
+    .map((cutout) => {
+      if (cutout?.circle) {
+        const { center, radius: r } = cutout.circle;
+        return Array.isArray(center) && r > 0 ? circle(toXZ(center), r) : null;
+      }
+      if (Array.isArray(cutout?.path)) {
+        const points = parsePath(cutout.path);
+        return points.length >= 3 ? discretize(points, Math.max(0, cutout.corner_radius ?? 0)) : null;
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  return { contour, cutouts };
+}
+
+/**
+ * Axis-aligned bounds of a polygon: { minX, maxX, minZ, maxZ, width, height, center: [x, z] }.
+ */
+export function outlineBounds(polygon) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  polygon.forEach(([x, z]) => {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minZ = Math.min(minZ, z);
+    maxZ = Math.max(maxZ, z);
+  });
+  return {
+    minX,
+    maxX,
+    minZ,
+    maxZ,
+    width: maxX - minX,
+    height: maxZ - minZ,
+    center: [(minX + maxX) / 2, (minZ + maxZ) / 2],
+  };
+}
+
+/**
+ * Even-odd point in polygon test.
+ */
+export function pointInPolygon([x, z], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i];
+    const [xj, zj] = polygon[j];
+    if (zi > z !== zj > z && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Shortest distance from a point to the edges of a closed polygon.
+ */
+export function distanceToPolygon([x, z], polygon) {
+  let best = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    best = Math.min(best, distanceToSegment(x, z, polygon[j], polygon[i]));
+  }
+  return best;
+}
+
+/**
+ * Whether a point lies on the board material: inside the contour and
+ * outside every cutout, at least `clearance` away from all of their edges.
+ */
+export function isOnBoard(point, { contour, cutouts }, clearance = 0) {
+  if (!pointInPolygon(point, contour) || distanceToPolygon(point, contour) < clearance) {
+    return false;
+  }
+  return cutouts.every(
+    (cutout) => !pointInPolygon(point, cutout) && distanceToPolygon(point, cutout) >= clearance
+  );
+}
+
+/**
+ * Centre [x, z] of the circle through three points, or null when they lie
+ * on a line.
+ */
+export function circumcenter([ax, az], [bx, bz], [cx, cz]) {
+  const d = 2 * (ax * (bz - cz) + bx * (cz - az) + cx * (az - bz));
+  if (Math.abs(d) < EPSILON) return null;
+  const a2 = ax * ax + az * az;
+  const b2 = bx * bx + bz * bz;
+  const c2 = cx * cx + cz * cz;
+  return [
+    (a2 * (bz - cz) + b2 * (cz - az) + c2 * (az - bz)) / d,
+    (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d,
+  ];
+}
+
+function rectangle(width, height) {
+  const w = width / 2;
+  const h = height / 2;
+  return [{ point: [-w, -h] }, { point: [w, -h] }, { point: [w, h] }, { point: [-w, h] }];
+}
+
+function circle([cx, cz], radius) {
+  const steps = 48;
+  return Array.from({ length: steps }, (_, i) => {
+    const a = (i / steps) * Math.PI * 2;
+    return [cx + radius * Math.cos(a), cz + radius * Math.sin(a)];
+  });
+}
+
+function toXZ(p) {
+  return p.length === 3 ? [p[0], p[2]] : [p[0], p[1]];
+}
+
+// Vertices { point, through? }: `through` marks an arc arriving at `point`
+function parsePath(path) {
+  const vertices = [];
+  path.forEach((entry) => {
+    if (Array.isArray(entry)) {
+      vertices.push({ point: toXZ(entry) });
+    } else if (entry && Array.isArray(entry.to)) {
+      vertices.push({
+        point: toXZ(entry.to),
+        ...(Array.isArray(entry.through) ? { through: toXZ(entry.through) } : {}),
+      });
+    }
+  });
+
+  // An explicit closing point repeats the first one
+  const first = vertices[0];
+  const last = vertices[vertices.length - 1];
+  if (vertices.length > 1 && samePoint(first.point, last.point)) {
+    vertices.pop();
+    if (last.through) first.through = last.through;
+  }
+  return vertices;
+}
+
+function discretize(vertices, cornerRadius) {
+  const n = vertices.length;
+  const points = [];
+
+  for (let i = 0; i < n; i++) {
+    const prev = vertices[(i - 1 + n) % n];
+    const vertex = vertices[i];
+    const next = vertices[(i + 1) % n];
+
+    if (vertex.through) {
+      points.push(...arcThrough(prev.point, vertex.through, vertex.point));
+    } else if (cornerRadius > 0 && !next.through) {
+      points.push(...fillet(prev.point, vertex.point, next.point, cornerRadius));
+    } else {
+      points.push(vertex.point);
+    }
+  }
+  return points;
+}
+
+// Points of the arc from `start` through `mid` to `end` (start excluded)
+function arcThrough(start, mid, end) {
+  const center = circumcenter(start, mid, end);
+  if (!center) return [end];
+
+  const [cx, cz] = center;
+  const radius = Math.hypot(start[0] - cx, start[1] - cz);
+  const angle = (p) => Math.atan2(p[1] - cz, p[0] - cx);
+  const wrap = (a) => ((a % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+  const a0 = angle(start);
+  const ccwSpan = wrap(angle(end) - a0);
+  const midSpan = wrap(angle(mid) - a0);
+  const span = midSpan < ccwSpan ? ccwSpan : ccwSpan - 2 * Math.PI;
+
+  const steps = Math.max(2, Math.ceil(Math.abs(span) / ARC_STEP));
+  const points = [];
+  for (let s = 1; s < steps; s++) {
+    const a = a0 + (span * s) / steps;
+    points.push([cx + radius * Math.cos(a), cz + radius * Math.sin(a)]);
+  }
+  points.push(end);
+  return points;
+}
+
+// Points replacing `corner` by a tangent arc of `radius` (clamped to the edges)
+function fillet(prev, corner, next, radius) {
+  const d1 = [prev[0] - corner[0], prev[1] - corner[1]];
+  const d2 = [next[0] - corner[0], next[1] - corner[1]];
+  const l1 = Math.hypot(d1[0], d1[1]);
+  const l2 = Math.hypot(d2[0], d2[1]);
+  if (l1 < EPSILON || l2 < EPSILON) return [corner];
+
+  const u1 = [d1[0] / l1, d1[1] / l1];
+  const u2 = [d2[0] / l2, d2[1] / l2];
+  const theta = Math.acos(Math.max(-1, Math.min(1, u1[0] * u2[0] + u1[1] * u2[1])));
+  if (theta < 1e-3 || Math.PI - theta < 1e-3) return [corner];
+
+  // Distance from the corner to the tangent points, limited to half of each edge
+  const tangent = Math.min(radius / Math.tan(theta / 2), l1 / 2, l2 / 2);
+  const r = tangent * Math.tan(theta / 2);
+  const bisector = [u1[0] + u2[0], u1[1] + u2[1]];
+  const bl = Math.hypot(bisector[0], bisector[1]);
+  const distance = r / Math.sin(theta / 2);
+  const center = [
+    corner[0] + (bisector[0] / bl) * distance,
+    corner[1] + (bisector[1] / bl) * distance,
+  ];
+
+  const t1 = [corner[0] + u1[0] * tangent, corner[1] + u1[1] * tangent];
+  const t2 = [corner[0] + u2[0] * tangent, corner[1] + u2[1] * tangent];
+  const a1 = Math.atan2(t1[1] - center[1], t1[0] - center[0]);
+  let delta = Math.atan2(t2[1] - center[1], t2[0] - center[0]) - a1;
+  if (delta > Math.PI) delta -= 2 * Math.PI;
+  if (delta < -Math.PI) delta += 2 * Math.PI;
+
+  const steps = Math.max(2, Math.ceil(Math.abs(delta) / ARC_STEP));
+  const points = [];
+  for (let s = 0; s <= steps; s++) {
+    const a = a1 + (delta * s) / steps;
+    points.push([center[0] + r * Math.cos(a), center[1] + r * Math.sin(a)]);
+  }
+  return points;
+}
+
+function distanceToSegment(x, z, [ax, az], [bx, bz]) {
+  const dx = bx - ax;
+  const dz = bz - az;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (z - az) * dz) / lengthSq)) : 0;
+  return Math.hypot(x - (ax + t * dx), z - (az + t * dz));
+}
+
+function samePoint(a, b) {
+  return Math.abs(a[0] - b[0]) < EPSILON && Math.abs(a[1] - b[1]) < EPSILON;
+}
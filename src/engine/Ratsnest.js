@@ -0,0 +1,73 @@
+/**
+ * Ratsnest
+ * --------
+ * Airwires: the connections still to be routed. The pads of a net that
+ * copper already joins (traces, vias, zones; see Connectivity.js) form an
+ * island; the airwires of the net are the edges of a minimum spanning tree
+ * over its pads in which pads of the same island are joined for free, so a
+ * net of N islands gets N - 1 airwires, each between the closest pads of
+ * the islands it joins.
+ *
+ * Pads are given like the pad items of Connectivity.js ({ target, center }).
+ */
+
+/**
+ * Airwires of every net and how many connections each net still lacks:
+ * {
+ *   airwires: Array<{ net, from: target, to: target, points: [[x, z], [x, z]] }>,
+ *   nets: Array<{ net, pads: number, unrouted: number }>   nets of two or more pads, by name
+ * }
+ */
+export function buildRatsnest(pads, connectivity) {
+  const padItems = new Map(pads.map((pad) => [pad.target, pad]));
+  const airwires = [];
+  const nets = [];
+
+  connectivity.nets.forEach(({ name, members }) => {
+    const onNet = members.filter((target) => padItems.has(target)).map((target) => padItems.get(target));
+    if (onNet.length < 2) return;
+    const islands = onNet.map((pad) => connectivity.islandOf.get(pad.target));
+    const wires = spanningTree(onNet, islands).map(([a, b]) => ({
+      net: name,
+      from: onNet[a].target,
+      to: onNet[b].target,
+      points: [onNet[a].center.slice(), onNet[b].center.slice()],
+    }));
+    airwires.push(...wires);
+    nets.push({ net: name, pads: onNet.length, unrouted: wires.length });
+  });
+
+  nets.sort((a, b) => a.net.localeCompare(b.net, undefined, { numeric: true }));
+  return { airwires, nets };
+}
+
+// Prim's algorithm over the pads, free within an island; returns the
+// [a, b] index pairs of the edges that cross between islands
+function spanningTree(pads, islands) {
+  const count = pads.length;
+  const inTree = new Array(count).fill(false);
+  const cost = new Array(count).fill(Infinity);
+  const link = new Array(count).fill(-1);
+  const edges = [];
+  cost[0] = 0;
+
+  for (let step = 0; step < count; step++) {
+    let next = -1;
+    for (let i = 0; i < count; i++) {
+      if (!inTree[i] && (next < 0 || cost[i] < cost[next])) next = i;
+    }
+    inTree[next] = true;
+    if (link[next] >= 0 && islands[link[next]] !== islands[next]) edges.push([link[next], next]);
+
+    const [x, z] = pads[next].center;
+    for (let i = 0; i < count; i++) {
+      if (inTree[i]) continue;
+      const d = islands[i] === islands[next] ? 0 : Math.hypot(pads[i].center[0] - x, pads[i].center[1] - z);
+      if (d < cost[i]) {
+        cost[i] = d;
+        link[i] = next;
+      }
+    }
+  }
+  return edges;
+}
@@ -0,0 +1,74 @@
+/**
+ * Rotation
+ * --------
+ * Pads and components turn about the board normal by `rotation` degrees,
+ * counter-clockwise seen from the top (the way three.js turns an object
+ * about +Y). A pad is a rectangle of `size` [w, h] centred on `center`
+ * [x, z] and turned by its `rotation`; Connectivity.js, Drc.js and
+ * ZoneFill.js measure against it through the helpers below.
+ */
+
+/**
+ * An angle in degrees in [0, 360), without floating point noise.
+ */
+export function normalizeAngle(degrees) {
+  const angle = Number((((degrees % 360) + 360) % 360).toFixed(6));
+  return angle === 360 ? 0 : angle;
+}
+
+/**
+ * Point [x, z] turned by `degrees` about `center` [x, z].
+ */
+export function rotatePoint([x, z], [cx, cz], degrees) {
+  if (!degrees) return [x, z];
+  const angle = (degrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = x - cx;
+  const dz = z - cz;
+  return [cx + dx * cos + dz * sin, cz - dx * sin + dz * cos];
+}
+
+/**
+ * Offset of a board point from a pad's centre along the pad's own width /
+ * height axes.
+ */
+export function padLocal(pad, [x, z]) {
+  const [u, v] = rotatePoint([x, z], pad.center, -(pad.rotation || 0));
+  return [u - pad.center[0], v - pad.center[1]];
+}
+
+/**
+ * Corners [x, z] of a pad grown by `margin` on every side, in order around it.
+ */
+export function padCorners(pad, margin = 0) {
+  const w = pad.size[0] / 2 + margin;
+  const h = pad.size[1] / 2 + margin;
+  const [x, z] = pad.center;
+  return [
+    [x - w, z - h],
+    [x + w, z - h],
+    [x + w, z + h],
+    [x - w, z + h],
+  ].map((corner) => rotatePoint(corner, pad.center, pad.rotation || 0));
+}
+
+/**
+ * Axis-aligned bounds { minX, maxX, minZ, maxZ } of a pad grown by `margin`.
+ */
+export function padBounds(pad, margin = 0) {
+  const corners = padCorners(pad, margin);
+  const xs = corners.map((c) => c[0]);
+  const zs = corners.map((c) => c[1]);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+}
+
+/**
+ * Distance from a board point to a pad's rectangle (0 inside).
+ */
+export function padDistance(pad, point) {
+  const [u, v] = padLocal(pad, point);
+  const du = Math.max(Math.abs(u) - pad.size[0] / 2, 0);
+  const dv = Math.max(Math.abs(v) - pad.size[1] / 2, 0);
+  return Math.hypot(du, dv);
+}
@@ -0,0 +1,181 @@
+/**
+ * Board stackup
+ * -------------
+ * Ordered description of the physical layers of a board, top to bottom:
+ *
+ *   silk_top, mask_top, top, dielectric_1, inner1, ..., inner(N-2), dielectric_(N-1), bottom,
+ *   mask_bottom, silk_bottom
+ *
+ * Every layer carries the world Y of its centre for a board of the given
+ * thickness centred on the origin; the outer copper layers sit exactly on the
+ * substrate faces so pads / traces keep their existing heights.
+ *
+ * Design files describe it with `board.stackup` (and colours in `board.layers`):
+ * {
+ *   copper_layers?: number (even, >= 2, default 2),
+ *   copper_thickness?: number (mm, default 0.035),
+ *   dielectric?: number[] (mm, copper_layers - 1 entries, scaled to the board thickness),
+ *   mask_thickness?: number (mm, default 0.02),
+ *   silk_thickness?: number (mm, default 0.01)
+ * }
+ */
+
+export const LAYER_KINDS = {
+  SILKSCREEN: "silkscreen",
+  MASK: "mask",
+  COPPER: "copper",
+  DIELECTRIC: "dielectric",
+};
+
+const DEFAULTS = {
+  copper_layers: 2,
+  copper_thickness: 0.035,
+  mask_thickness: 0.02,
+  silk_thickness: 0.01,
+};
+
+const DEFAULT_COLORS = {
+  substrate: "#004d00",
+  copper: "#b87333",
+  mask: "#1f7a3b",
+  silkscreen: "#ffffff",
+};
+
+/**
+ * Build the stackup for a board config ({ thickness, stackup?, layers? }).
+ *
+ * Returns {
+ *   thickness, copperCount,
+ *   layers: Array<{ id, name, kind, thickness, y, color, side? }>,
+ *   colors: { substrate, copper, mask, silkscreen }
+ * }
+ */
+export function createStackup(board = {}) {
+  const thickness = board.thickness ?? 1.6;
+  const config = { ...DEFAULTS, ...(board.stackup || {}) };
+  const copperCount = Math.max(2, Math.round(config.copper_layers));
+  const colors = resolveColors(board.layers);
+
+  // Dielectric gaps between consecutive copper layers, scaled to fill the board
+  const gaps =
+    Array.isArray(config.dielectric) && config.dielectric.length === copperCount - 1
+      ? config.dielectric
+      : new Array(copperCount - 1).fill(1);
+  const total = gaps.reduce((sum, g) => sum + g, 0) || 1;
+  const scaled = gaps.map((g) => (g / total) * thickness);
+
+  const top = thickness / 2;
+  const outer = top + config.mask_thickness;
+  const layers = [
+    {
+      id: "silk_top",
+      name: "Silkscreen Top",
+      kind: LAYER_KINDS.SILKSCREEN,
+      thickness: config.silk_thickness,
+      y: outer + config.silk_thickness / 2,
+      color: colors.silkscreen,
+      side: "top",
+    },
+    {
+      id: "mask_top",
+      name: "Solder Mask Top",
+      kind: LAYER_KINDS.MASK,
+      thickness: config.mask_thickness,
+      y: top + config.mask_thickness / 2,
+      color: colors.mask,
+      side: "top",
+    },
+  ];
+
+  let y = top;
+  for (let i = 0; i < copperCount; i++) {
+    const isTop = i === 0;
+    const isBottom = i === copperCount - 1;
+    layers.push({
+      id: copperLayerId(i, copperCount),
+      name: isTop ? "Top Copper" : isBottom ? "Bottom Copper" : `Inner ${i}`,
+      kind: LAYER_KINDS.COPPER,
+      thickness: config.copper_thickness,
+      y,
+      color: colors.copper,
+      ...(isTop ? { side: "top" } : isBottom ? { side: "bottom" } : {}),
+    });
+    if (!isBottom) {
+      layers.push({
+        id: `dielectric_${i + 1}`,
+        name: `Dielectric ${i + 1}`,
+        kind: LAYER_KINDS.DIELECTRIC,
+        thickness: scaled[i],
+        y: y - scaled[i] / 2,
+        color: colors.substrate,
+      });
+      y -= scaled[i];
+    }
+  }
+
+  layers.push(
+    {
+      id: "mask_bottom",
+      name: "Solder Mask Bottom",
+      kind: LAYER_KINDS.MASK,
+      thickness: config.mask_thickness,
+      y: -top - config.mask_thickness / 2,
+      color: colors.mask,
+      side: "bottom",
+    },
+    {
+      id: "silk_bottom",
+      name: "Silkscreen Bottom",
+      kind: LAYER_KINDS.SILKSCREEN,
+      thickness: config.silk_thickness,
+      y: -outer - config.silk_thickness / 2,
+      color: colors.silkscreen,
+      side: "bottom",
+    }
+  );
+
+  return { thickness, copperCount, layers, colors };
+}
+
+/**
+ * Id of the i-th copper layer (0 = top) of an N-layer board.
+ */
+export function copperLayerId(index, copperCount) {
+  if (index <= 0) return "top";
+  if (index >= copperCount - 1) return "bottom";
+  return `inner${index}`;
+}
+
+/**
+ * Map a design-file copper layer name onto a stackup copper layer id.
+ * Understands "top" / "bottom" / "Top Copper" / "B.Cu", inner layers as
+ * "inner2", "Inner 2", "In2.Cu", and "L1".."LN" numbering (L1 = top).
+ * Unknown or out-of-range names fall back to the top layer.
+ */
+export function resolveCopperLayer(layer, copperCount = 2) {
+  if (typeof layer !== "string") return "top";
+  const name = layer.trim();
+
+  const inner = /^(?:inner|in)\s*(\d+)/i.exec(name);
+  if (inner) {
+    const index = Number(inner[1]);
+    return index >= 1 && index <= copperCount - 2 ? `inner${index}` : "top";
+  }
+
+  const numbered = /^l(\d+)$/i.exec(name);
+  if (numbered) {
+    const index = Number(numbered[1]) - 1;
+    return index >= 0 && index < copperCount ? copperLayerId(index, copperCount) : "top";
+  }
+
+  return /^(bottom|bot\b|back|b[._\s])/i.test(name) ? "bottom" : "top";
+}
+
+function resolveColors(layers = {}) {
+  return {
+    substrate: layers.solder_mask?.color ?? layers.substrate?.color ?? DEFAULT_COLORS.substrate,
+    copper: layers.copper_top?.color ?? DEFAULT_COLORS.copper,
+    mask: layers.solder_mask?.color ?? DEFAULT_COLORS.mask,
+    silkscreen: layers.silkscreen?.color ?? DEFAULT_COLORS.silkscreen,
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Units
+ * -----
+ * Lengths are millimetres in the engine and in design files; the UI can
+ * show them in mils (thousandths of an inch) instead. Each unit has its
+ * own placement grid presets (in that unit).
+ */
+
+export const MM_PER_MIL = 0.0254;
+
+export const UNITS = {
+  mm: { name: "mm", perMm: 1, decimals: 2, grids: [0.05, 0.1, 0.25, 0.5, 1, 2.54] },
+  mil: { name: "mil", perMm: 1 / MM_PER_MIL, decimals: 1, grids: [5, 10, 25, 50, 100] },
+};
+
+// Placement grid: pitch (mm) and whether drags / edits snap to it
+export const DEFAULT_GRID = { pitch: 0.1, snap: true };
+
+/**
+ * A length in mm expressed in `unit` ("mm" | "mil").
+ */
+export function toUnit(mm, unit) {
+  return mm * (UNITS[unit] ?? UNITS.mm).perMm;
+}
+
+/**
+ * A length given in `unit` back in mm.
+ */
+export function fromUnit(value, unit) {
+  return value / (UNITS[unit] ?? UNITS.mm).perMm;
+}
+
+/**
+ * A length in mm as text in `unit`, to the unit's precision (no suffix).
+ */
+export function formatLength(mm, unit) {
+  return toUnit(mm, unit).toFixed((UNITS[unit] ?? UNITS.mm).decimals);
+}
+
+/**
+ * The grid preset of `unit` closest to a pitch in mm, in that unit.
+ */
+export function nearestGrid(pitch, unit) {
+  const { grids } = UNITS[unit] ?? UNITS.mm;
+  const value = toUnit(pitch, unit);
+  return grids.reduce((best, g) => (Math.abs(g - value) < Math.abs(best - value) ? g : best), grids[0]);
+}
+
+/**
+ * Round a coordinate (mm) to the nearest multiple of the pitch (mm),
+ * without the floating point noise of the division.
+ */
+export function snapValue(value, pitch) {
+  if (!(pitch > 0)) return value;
+  return Number((Math.round(value / pitch) * pitch).toFixed(9));
+}
@@ -0,0 +1,307 @@
+import { resolveRules } from "./Drc";
+import { padBounds, padDistance, padLocal } from "./Rotation";
+import { ZONE_CONNECTIONS } from "../persistence/schema";
+
+/**
+ * Zone fill
+ * ---------
+ * Fills a copper zone (pour) on a raster of the zone's outline:
+ * - cells inside the outline and on the board, `edge_clearance` away from
+ *   the board edge, are copper
+ * - copper of other nets (and of no net) on the zone's layer is cleared by
+ *   the larger of the zone's and that net's clearance; so are bare holes.
+ *   A cell is cleared when any part of it (not just its centre) is within
+ *   reach, so the fill keeps the clearances at any raster resolution
+ * - pads of the zone's net connect through thermal reliefs: a `thermal_gap`
+ *   ring around the pad bridged by four `spoke_width` spokes along its own axes
+ *   (`connection: "solid"` pours straight over them); traces and vias of the
+ *   net are poured over
+ * - areas of fill that reach none of the net's copper are removed
+ * A `fixed` zone is copper exactly as drawn (on the board): no clearances,
+ * reliefs or island removal, e.g. a pour read back from a Gerber file. Only
+ * cells wholly inside its outline are copper, so the fill does not grow past
+ * an outline that follows the cells of another raster.
+ *
+ * zone: { net, layer, points: [x, z][], clearance?, thermal_gap?, spoke_width?,
+ *         connection?: "thermal" | "solid", fixed?: boolean }
+ * items: the copper items of Connectivity.js plus the unplated holes of Drc.js
+ */
+
+export const DEFAULT_THERMAL = { thermal_gap: 0.5, spoke_width: 0.5 };
+
+// Raster resolution: cells are at least MIN_CELL mm, at most MAX_CELLS across
+const MIN_CELL = 0.05;
+const MAX_CELLS = 1024;
+
+/**
+ * Fill a zone. `connectivity` is the result of buildConnectivity (for the
+ * nets of the items), `outline` the board's { contour, cutouts } and `rules`
+ * the design rules of Drc.js. Returns
+ * {
+ *   mask: Uint8Array (255 = copper), columns, rows, cell,
+ *   bounds: { minX, minZ, maxX, maxZ },   world extent of the raster
+ *   area: filled area (mm²),
+ *   regions: target[][]                    same-net items joined by each separate area of fill
+ * }
+ */
+export function fillZone(zone, items, { connectivity, outline = null, rules } = {}) {
+  const rulesOf = resolveRules(rules);
+  const netOf = (item) => connectivity?.netOf.get(item.target) ?? item.net ?? null;
+  const clearance = zone.clearance ?? rulesOf(zone.net).clearance;
+  const gap = zone.thermal_gap ?? DEFAULT_THERMAL.thermal_gap;
+  const spoke = (zone.spoke_width ?? DEFAULT_THERMAL.spoke_width) / 2;
+  const solid = zone.connection === ZONE_CONNECTIONS.SOLID;
+  const fixed = zone.fixed === true;
+  const grid = createGrid(zone.points);
+
+  // Inside the outline and on the board
+  const inside = rasterize(grid, [zone.points]);
+  const board = outline ? rasterize(grid, [outline.contour, ...outline.cutouts]) : null;
+  for (let k = 0; k < grid.mask.length; k++) grid.mask[k] = inside[k] && (!board || board[k]) ? 255 : 0;
+  if (fixed) outlineEdges(zone.points).forEach(([a, b]) => clearCrossed(grid, a, b));
+  if (outline && !fixed) {
+    const reach = rulesOf(zone.net).edge_clearance;
+    [outline.contour, ...outline.cutouts].forEach((polygon) => {
+      polygon.forEach((a, i) => clearSegment(grid, a, polygon[(i + 1) % polygon.length], reach));
+    });
+  }
+
+  const onLayer = items.filter((item) => item.kind !== "zone" && sharesLayer(item, zone.layer));
+  const own = onLayer.filter((item) => item.kind !== "hole" && netOf(item) === zone.net);
+  const others = fixed ? [] : onLayer.filter((item) => !own.includes(item));
+
+  // Thermal reliefs first, so other nets' clearances still cut the spokes
+  if (!solid && !fixed) {
+    own.forEach((item) => {
+      if (item.kind !== "pad") return;
+      eachCell(grid, padBounds(item, gap), (k, x, z) => {
+        const d = padDistance(item, [x, z]);
+        if (d > gap) return;
+        const [u, v] = padLocal(item, [x, z]);
+        const onSpoke = d > 0 && (Math.abs(u) <= spoke || Math.abs(v) <= spoke);
+        if (!onSpoke) grid.mask[k] = 0;
+      });
+    });
+  }
+
+  others.forEach((item) => {
+    const reach = item.kind === "hole" ? clearance : Math.max(clearance, rulesOf(netOf(item)).clearance);
+    if (item.kind === "pad") {
+      const corner = grid.cell * Math.SQRT1_2;
+      eachCell(grid, padBounds(item, reach + corner), (k, x, z) => {
+        if (padDistance(item, [x, z]) - corner < reach) grid.mask[k] = 0;
+      });
+    } else if (item.kind === "trace") {
+      item.points.slice(1).forEach((b, i) => clearSegment(grid, item.points[i], b, item.width / 2 + reach));
+    } else {
+      const radius = item.kind === "hole" ? item.drill / 2 : item.radius;
+      clearSegment(grid, item.center, item.center, radius + reach);
+    }
+  });
+
+  // Separate areas of fill, and the items of the net each one reaches
+  const labels = labelRegions(grid);
+  const reached = new Map();
+  own.forEach((item) => {
+    const touch = (k) => {
+      if (!labels[k]) return;
+      if (!reached.has(labels[k])) reached.set(labels[k], new Set());
+      reached.get(labels[k]).add(item.target);
+    };
+    // One cell of slack so the spokes / copper edge meet the fill
+    const slack = grid.cell * 1.5;
+    if (item.kind === "pad") {
+      const reach = (solid ? 0 : gap) + slack;
+      eachCell(grid, padBounds(item, reach), (k, x, z) => {
+        if (padDistance(item, [x, z]) <= reach) touch(k);
+      });
+    } else if (item.kind === "trace") {
+      item.points.slice(1).forEach((b, i) => {
+        eachSegmentCell(grid, item.points[i], b, item.width / 2 + slack, touch);
+      });
+    } else {
+      eachSegmentCell(grid, item.center, item.center, item.radius + slack, touch);
+    }
+  });
+
+  let filled = 0;
+  for (let k = 0; k < grid.mask.length; k++) {
+    if (grid.mask[k] && !fixed && !reached.has(labels[k])) grid.mask[k] = 0;
+    if (grid.mask[k]) filled++;
+  }
+
+  const { mask, columns, rows, cell, minX, minZ } = grid;
+  return {
+    mask,
+    columns,
+    rows,
+    cell,
+    bounds: { minX, minZ, maxX: minX + columns * cell, maxZ: minZ + rows * cell },
+    area: filled * cell * cell,
+    regions: [...reached.values()].map((targets) => [...targets]),
+  };
+}
+
+// Whether an item has copper on the zone's layer (drilled items are on every layer)
+function sharesLayer(item, layer) {
+  if (item.kind === "pad") return item.drilled || item.side === layer;
+  if (item.kind === "trace") return item.layer === layer;
+  return true;
+}
+
+function createGrid(points) {
+  const xs = points.map((p) => p[0]);
+  const zs = points.map((p) => p[1]);
+  const minX = Math.min(...xs);
+  const minZ = Math.min(...zs);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...zs) - minZ;
+  const cell = Math.max(MIN_CELL, Math.max(width, height) / MAX_CELLS);
+  const columns = Math.max(1, Math.ceil(width / cell));
+  const rows = Math.max(1, Math.ceil(height / cell));
+  return { minX, minZ, cell, columns, rows, mask: new Uint8Array(columns * rows) };
+}
+
+/**
+ * Even-odd coverage of the polygons, sampled at the cell centres, one
+ * scanline per row: Uint8Array, 1 = inside.
+ */
+function rasterize(grid, polygons) {
+  const { minX, minZ, cell, columns, rows } = grid;
+  const cover = new Uint8Array(columns * rows);
+  for (let j = 0; j < rows; j++) {
+    const z = minZ + (j + 0.5) * cell;
+    const crossings = [];
+    polygons.forEach((polygon) => {
+      polygon.forEach(([ax, az], i) => {
+        const [bx, bz] = polygon[(i + 1) % polygon.length];
+        if (az > z !== bz > z) crossings.push(ax + ((z - az) * (bx - ax)) / (bz - az));
+      });
+    });
+    crossings.sort((a, b) => a - b);
+    for (let c = 0; c + 1 < crossings.length; c += 2) {
+      const from = Math.max(0, Math.ceil((crossings[c] - minX) / cell - 0.5));
+      const to = Math.min(columns - 1, Math.floor((crossings[c + 1] - minX) / cell - 0.5));
+      for (let i = from; i <= to; i++) cover[j * columns + i] = 1;
+    }
+  }
+  return cover;
+}
+
+// Call fn(index, x, z) for every cell whose centre lies in the box
+function eachCell(grid, box, fn) {
+  const { minX, minZ, cell, columns, rows } = grid;
+  const i0 = Math.max(0, Math.floor((box.minX - minX) / cell));
+  const i1 = Math.min(columns - 1, Math.floor((box.maxX - minX) / cell));
+  const j0 = Math.max(0, Math.floor((box.minZ - minZ) / cell));
+  const j1 = Math.min(rows - 1, Math.floor((box.maxZ - minZ) / cell));
+  for (let j = j0; j <= j1; j++) {
+    const z = minZ + (j + 0.5) * cell;
+    for (let i = i0; i <= i1; i++) fn(j * columns + i, minX + (i + 0.5) * cell, z);
+  }
+}
+
+// Cells within `reach` of the segment a–b (a point when a === b)
+function eachSegmentCell(grid, a, b, reach, fn) {
+  const box = {
+    minX: Math.min(a[0], b[0]) - reach,
+    maxX: Math.max(a[0], b[0]) + reach,
+    minZ: Math.min(a[1], b[1]) - reach,
+    maxZ: Math.max(a[1], b[1]) + reach,
+  };
+  eachCell(grid, box, (k, x, z) => {
+    if (distanceToSegment(x, z, a, b) <= reach) fn(k);
+  });
+}
+
+// Clear the cells any part of which is within `reach` of the segment a–b:
+// a cell's corners are up to cell·√2/2 nearer than its centre
+function clearSegment(grid, a, b, reach) {
+  eachSegmentCell(grid, a, b, reach + grid.cell * Math.SQRT1_2, (k) => {
+    grid.mask[k] = 0;
+  });
+}
+
+// Clear the cells the segment a–b passes through
+function clearCrossed(grid, a, b) {
+  const half = grid.cell / 2;
+  eachSegmentCell(grid, a, b, grid.cell * Math.SQRT1_2, (k) => {
+    const i = k % grid.columns;
+    const j = (k - i) / grid.columns;
+    const center = [grid.minX + (i + 0.5) * grid.cell, grid.minZ + (j + 0.5) * grid.cell];
+    if (crossesSquare(a, b, center, half)) grid.mask[k] = 0;
+  });
+}
+
+// Whether the segment a–b passes through the inside of the square of
+// half-size `half` around `center` (clipped against its sides)
+function crossesSquare(a, b, center, half) {
+  let t0 = 0;
+  let t1 = 1;
+  for (let axis = 0; axis < 2; axis++) {
+    const d = b[axis] - a[axis];
+    const offset = center[axis] - a[axis];
+    if (d === 0) {
+      if (Math.abs(offset) >= half) return false;
+      continue;
+    }
+    const u = (offset - half) / d;
+    const v = (offset + half) / d;
+    t0 = Math.max(t0, Math.min(u, v));
+    t1 = Math.min(t1, Math.max(u, v));
+    if (t0 >= t1) return false;
+  }
+  return true;
+}
+
+// Edges of a closed outline, less the pairs that run both ways between the
+// same points: the cuts joining holes to the outline (see gerber.js)
+function outlineEdges(points) {
+  const key = (a, b) => `${a[0]},${a[1]},${b[0]},${b[1]}`;
+  const edges = points.map((a, i) => [a, points[(i + 1) % points.length]]);
+  const keys = new Set(edges.map(([a, b]) => key(a, b)));
+  return edges.filter(([a, b]) => !keys.has(key(b, a)));
+}
+
+/**
+ * Label the 4-connected areas of copper: Int32Array of region numbers
+ * (0 = no copper).
+ */
+function labelRegions(grid) {
+  const { mask, columns, rows } = grid;
+  const labels = new Int32Array(mask.length);
+  const queue = new Int32Array(mask.length);
+  let next = 0;
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    next++;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = next;
+    while (head < tail) {
+      const k = queue[head++];
+      const i = k % columns;
+      const j = (k - i) / columns;
+      const visit = (n) => {
+        if (mask[n] && !labels[n]) {
+          labels[n] = next;
+          queue[tail++] = n;
+        }
+      };
+      if (i > 0) visit(k - 1);
+      if (i < columns - 1) visit(k + 1);
+      if (j > 0) visit(k - columns);
+      if (j < rows - 1) visit(k + columns);
+    }
+  }
+  return labels;
+}
+
+function distanceToSegment(x, z, a, b) {
+  const dx = b[0] - a[0];
+  const dz = b[1] - a[1];
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a[0]) * dx + (z - a[1]) * dz) / lengthSq)) : 0;
+  return Math.hypot(x - (a[0] + t * dx), z - (a[1] + t * dz));
+}
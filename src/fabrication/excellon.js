@@ -0,0 +1,211 @@
+import { padDrill } from "../primitives/Pads";
+
+/**
+ * Excellon export
+ * ---------------
+ * Drill files for the holes of the design: through-hole pads and vias are
+ * plated, mounting holes are plated or not as loaded (`plated`). Plated and
+ * non-plated holes go to separate files, as fab houses drill them in
+ * separate passes:
+ *
+ *   <name>-PTH.drl    plated through holes
+ *   <name>-NPTH.drl   non-plated holes
+ *
+ * Holes of the same diameter share a tool. Coordinates are seen from the
+ * top like the Gerber files (X = board X, Y = -Z), written without a
+ * decimal point in either unit:
+ *
+ *   units "metric": mm, 3.3 digits     units "inch": inches, 2.4 digits
+ *   zeros "leading": leading zeros kept, trailing ones dropped (LZ)
+ *   zeros "trailing": trailing zeros kept, leading ones dropped (TZ)
+ *
+ * parseExcellon reads such a file back (or one from another tool).
+ */
+
+export const DRILL_UNITS = { METRIC: "metric", INCH: "inch" };
+export const DRILL_ZEROS = { LEADING: "leading", TRAILING: "trailing" };
+export const DEFAULT_DRILL_OPTIONS = { units: DRILL_UNITS.METRIC, zeros: DRILL_ZEROS.LEADING };
+
+const FORMATS = {
+  [DRILL_UNITS.METRIC]: { header: "METRIC", scale: 1, integer: 3, decimals: 3 },
+  [DRILL_UNITS.INCH]: { header: "INCH", scale: 1 / 25.4, integer: 2, decimals: 4 },
+};
+
+// Diameters closer than this (mm) share a tool
+const TOOL_TOLERANCE = 0.001;
+
+/**
+ * Holes of the engine's design: Array<{ center: [x, z], diameter (mm), plated }>.
+ */
+export function collectDrillHoles(engine) {
+  const pads = engine
+    .getPadRecords()
+    .map((pad) => ({ center: [pad.position[0], pad.position[2]], diameter: padDrill(pad.raw), plated: true }))
+    .filter((hole) => hole.diameter > 0);
+  const holes = engine.components
+    .filter((mesh) => mesh.userData.drill)
+    .map((mesh) => ({
+      center: [mesh.position.x, mesh.position.z],
+      diameter: mesh.userData.drill.radius * 2,
+      plated: Boolean(mesh.userData.drill.plated),
+    }));
+  return [...pads, ...holes];
+}
+
+/**
+ * Excellon drill files of the engine's design (see above for `units` and
+ * `zeros`): Array<{ name, layer: "drill_plated" | "drill_unplated", content }>.
+ * A file is only written when there are holes for it.
+ */
+export function exportDrills(engine, { name = "pcb_design", ...options } = {}) {
+  const holes = collectDrillHoles(engine);
+  return [
+    { plated: true, suffix: "PTH", layer: "drill_plated" },
+    { plated: false, suffix: "NPTH", layer: "drill_unplated" },
+  ]
+    .map(({ plated, suffix, layer }) => {
+      const own = holes.filter((hole) => hole.plated === plated);
+      if (!own.length) return null;
+      const content = writeExcellon(own, { ...options, plated, layers: engine.stackup.copperCount });
+      return { name: `${name}-${suffix}.drl`, layer, content };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * One Excellon file for the given holes, drilled through `layers` copper
+ * layers.
+ */
+export function writeExcellon(
+  holes,
+  { units = DRILL_UNITS.METRIC, zeros = DRILL_ZEROS.LEADING, plated = true, layers = 2 } = {}
+) {
+  const format = FORMATS[units] ?? FORMATS[DRILL_UNITS.METRIC];
+  const keep = zeros === DRILL_ZEROS.TRAILING ? "TZ" : "LZ";
+
+  // Tools by ascending diameter
+  const tools = [];
+  [...holes]
+    .sort((a, b) => a.diameter - b.diameter)
+    .forEach((hole) => {
+      const last = tools[tools.length - 1];
+      if (last && hole.diameter - last.diameter < TOOL_TOLERANCE) last.holes.push(hole);
+      else tools.push({ diameter: hole.diameter, holes: [hole] });
+    });
+
+  const lines = [
+    "M48",
+    "; DRILL file PCB_CORE 1.0",
+    `; FORMAT={${format.integer}:${format.decimals}/ absolute / ${units} / ${zeros} zeros kept}`,
+    `; #@! TF.FileFunction,${plated ? "Plated" : "NonPlated"},1,${layers},${plated ? "PTH" : "NPTH"}`,
+    "FMAT,2",
+    `${format.header},${keep}`,
+    ...tools.map((tool, i) => `T${i + 1}C${(tool.diameter * format.scale).toFixed(format.decimals)}`),
+    "%",
+    "G90",
+    "G05",
+  ];
+  tools.forEach((tool, i) => {
+    lines.push(`T${i + 1}`);
+    tool.holes.forEach(({ center: [x, z] }) => {
+      lines.push(`X${number(x, format, keep)}Y${number(-z, format, keep)}`);
+    });
+  });
+  lines.push("T0", "M30", "");
+  return lines.join("\n");
+}
+
+/**
+ * Holes of an Excellon drill file:
+ * { plated: boolean | null, holes: Array<{ center: [x, z], diameter (mm) }>, warnings: string[] }.
+ * `plated` comes from the X2 file function comment, null when the file
+ * does not say. Coordinates without a decimal point follow the header's
+ * units and zeros (and a `;FORMAT={i:d ...}` comment), defaulting to the
+ * formats above.
+ */
+export function parseExcellon(text) {
+  const result = { plated: null, holes: [], warnings: [] };
+  const warn = (message) => {
+    if (!result.warnings.includes(message)) result.warnings.push(message);
+  };
+  let units = DRILL_UNITS.METRIC;
+  let keep = "LZ";
+  let digits = null;
+  let incremental = false;
+  const tools = new Map();
+  let tool = null;
+  let point = [0, 0];
+
+  const toMm = (value) => (units === DRILL_UNITS.INCH ? value * 25.4 : value);
+  const parseNumber = (word) => {
+    if (word.includes(".")) return toMm(parseFloat(word));
+    const { integer, decimals } = digits ?? FORMATS[units];
+    const sign = word.startsWith("-") ? -1 : 1;
+    let raw = word.replace(/^[+-]/, "");
+    if (keep === "LZ") raw = raw.padEnd(integer + decimals, "0");
+    return toMm((sign * Number(raw)) / 10 ** decimals);
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith(";")) {
+      const fn = /TF\.FileFunction,(NonPlated|Plated)/.exec(line);
+      if (fn) result.plated = fn[1] === "Plated";
+      if (/TYPE=NON_PLATED/.test(line)) result.plated = false;
+      if (/TYPE=PLATED/.test(line)) result.plated = true;
+      const format = /FORMAT=\{-?(\d):-?(\d)/.exec(line);
+      if (format) digits = { integer: Number(format[1]), decimals: Number(format[2]) };
+      continue;
+    }
+
+    const header = /^(METRIC|INCH)(?:,(LZ|TZ))?(?:,(0*)\.(0*))?/.exec(line);
+    if (header) {
+      units = header[1] === "INCH" ? DRILL_UNITS.INCH : DRILL_UNITS.METRIC;
+      if (header[2]) keep = header[2];
+      if (header[3] !== undefined) digits = { integer: header[3].length, decimals: header[4].length };
+      continue;
+    }
+    if (line === "M71") units = DRILL_UNITS.METRIC;
+    if (line === "M72") units = DRILL_UNITS.INCH;
+    if (line === "G90") incremental = false;
+    if (line === "G91") incremental = true;
+    if (/^G0?[0123](?!\d)/.test(line)) warn("Routed slots are skipped");
+    if (line.includes("G85")) warn("Drilled slots (G85) are read as a hole at their start");
+
+    const definition = /^T(\d+)[^C]*C([\d.]+)/.exec(line);
+    if (definition) {
+      tools.set(Number(definition[1]), toMm(parseFloat(definition[2])));
+      tool = Number(definition[1]);
+      continue;
+    }
+    const select = /^T(\d+)$/.exec(line);
+    if (select) {
+      tool = Number(select[1]);
+      if (tool && !tools.has(tool)) warn(`Tool T${tool} is used but not defined`);
+      continue;
+    }
+
+    const x = /X([+-]?[\d.]+)/.exec(line);
+    const y = /Y([+-]?[\d.]+)/.exec(line);
+    if (!x && !y) continue;
+    const next = [
+      x ? parseNumber(x[1]) + (incremental ? point[0] : 0) : point[0],
+      y ? parseNumber(y[1]) + (incremental ? point[1] : 0) : point[1],
+    ];
+    point = next;
+    if (/^G0?[0123](?!\d)/.test(line) || !tools.get(tool)) continue;
+    result.holes.push({ center: [next[0], next[1] === 0 ? 0 : -next[1]], diameter: tools.get(tool) });
+  }
+  return result;
+}
+
+// A coordinate (mm) as fixed-point digits of the format, with the zeros
+// that are not kept dropped
+function number(mm, { scale, integer, decimals }, keep) {
+  const value = Math.round(mm * scale * 10 ** decimals);
+  const sign = value < 0 ? "-" : "";
+  const digits = String(Math.abs(value)).padStart(integer + decimals, "0");
+  const trimmed = keep === "LZ" ? digits.replace(/0+$/, "") : digits.replace(/^0+/, "");
+  return sign + (trimmed || "0");
+}
@@ -0,0 +1,357 @@
+import { padDrill } from "../primitives/Pads";
+import { tracePath } from "../primitives/Traces";
+import { zoneFillRaster } from "../primitives/Zones";
+import { silkscreenShapes } from "../primitives/Silkscreen";
+import { BOARD_SIDES } from "../engine/Layers";
+import { LAYER_KINDS } from "../engine/Stackup";
+import { pointInPolygon } from "../engine/Outline";
+import { normalizeAngle, padCorners } from "../engine/Rotation";
+import { textStrokes } from "./strokeFont";
+
+/**
+ * Gerber export
+ * -------------
+ * Writes the design as extended Gerber (RS-274X with X2 file attributes),
+ * one file per layer:
+ *
+ *   <name>.GTL / .GBL, .G1 … .Gn   copper: pads, traces, plated vias, zone fills
+ *   <name>.GTS / .GBS              solder mask openings over the pads
+ *   <name>.GTO / .GBO              silkscreen: outlines, lines, reference designators and text
+ *   <name>.GKO                     board outline and cutouts
+ *
+ * Apertures come from the pad sizes (rectangles; pads turned off the 90°
+ * steps are written as regions) and trace / line widths (circles).
+ * Copper carries X2 attributes so the files read back (gerberParser.js):
+ * the aperture function (pad, via pad, conductor) and the net and
+ * component pin of each object.
+ * Coordinates are mm in 4.6 format, seen from the top: Gerber X is board X
+ * and Gerber Y is -Z; bottom layers are not mirrored.
+ */
+
+// Solder mask opening grown around each pad (mm)
+export const MASK_EXPANSION = 0.05;
+// Line width of the board outline, and of silkscreen text per mm of its height
+const OUTLINE_WIDTH = 0.1;
+const TEXT_STROKE = 0.12;
+
+/**
+ * Gerber files of the engine's current design:
+ * Array<{ name, layer, content }>, `layer` being a stackup layer id or
+ * "outline".
+ */
+export function exportGerbers(engine, { name = "pcb_design" } = {}) {
+  const netOf = (target) => engine.getNetOf?.(target) ?? null;
+  const pads = engine.getPadRecords().map((pad) => ({
+    center: [pad.position[0], pad.position[2]],
+    size: pad.size,
+    rotation: pad.rotation || 0,
+    side: pad.side ?? BOARD_SIDES.TOP,
+    drilled: padDrill(pad.raw) > 0,
+    net: netOf(pad.id),
+    component: pad.raw?.component,
+    pin: pad.raw?.pin,
+  }));
+  const vias = engine.components
+    .filter((mesh) => mesh.userData.drill?.plated)
+    .map((mesh) => ({
+      center: [mesh.position.x, mesh.position.z],
+      diameter: 2 * (mesh.userData.drill.radius + mesh.userData.drill.ring),
+      net: netOf(mesh),
+    }));
+
+  const copper = engine.stackup.layers.filter((layer) => layer.kind === LAYER_KINDS.COPPER);
+  const files = copper.map((layer, i) => {
+    const gerber = new GerberWriter(copperFunction(i, copper.length));
+    engine.zones
+      .filter((mesh) => mesh.userData.layer === layer.id)
+      .forEach((mesh) => {
+        gerber.object({ net: mesh.userData.raw?.net });
+        writeZoneFill(gerber, zoneFillRaster(mesh));
+      });
+    pads
+      .filter((pad) => pad.drilled || pad.side === layer.id)
+      .forEach((pad) => {
+        gerber.object(pad);
+        writePad(gerber, pad, 0, pad.drilled ? "ComponentPad" : "SMDPad,CuDef");
+      });
+    engine.traces
+      .filter((mesh) => mesh.userData.layer === layer.id)
+      .forEach((mesh) => {
+        const { points, width } = tracePath(mesh);
+        gerber.object({ net: netOf(mesh) });
+        gerber.draw(circle(width), points.map((p) => [p[0], p[2]]), "Conductor");
+      });
+    vias.forEach((via) => {
+      gerber.object(via);
+      gerber.flash(circle(via.diameter), via.center, "ViaPad");
+    });
+    return { name: `${name}.${copperExtension(i, copper.length)}`, layer: layer.id, content: gerber.toString() };
+  });
+
+  const { polylines, labels } = silkscreenShapes(engine.silkscreenItems, engine.components);
+  [BOARD_SIDES.TOP, BOARD_SIDES.BOTTOM].forEach((side) => {
+    const face = side === BOARD_SIDES.BOTTOM ? "Bot" : "Top";
+    const letter = side === BOARD_SIDES.BOTTOM ? "B" : "T";
+
+    // Openings in the mask, so the file is negative
+    const mask = new GerberWriter(`Soldermask,${face}`, "Negative");
+    pads
+      .filter((pad) => pad.drilled || pad.side === side)
+      .forEach((pad) => writePad(mask, pad, MASK_EXPANSION));
+    files.push({ name: `${name}.G${letter}S`, layer: `mask_${side}`, content: mask.toString() });
+
+    const silk = new GerberWriter(`Legend,${face}`);
+    polylines
+      .filter((line) => line.side === side)
+      .forEach((line) => silk.draw(circle(line.width), line.points));
+    labels
+      .filter((label) => label.side === side)
+      .forEach((label) => {
+        const aperture = circle(label.size * TEXT_STROKE);
+        textStrokes(label.text, label.size).forEach((stroke) => {
+          silk.draw(aperture, stroke.map((point) => labelToBoard(label, point)));
+        });
+      });
+    files.push({ name: `${name}.G${letter}O`, layer: `silk_${side}`, content: silk.toString() });
+  });
+
+  const profile = new GerberWriter("Profile,NP");
+  const outline = engine.board?.userData.outline;
+  if (outline) {
+    [outline.contour, ...outline.cutouts].forEach((polygon) => {
+      profile.draw(circle(OUTLINE_WIDTH), [...polygon, polygon[0]], "Profile");
+    });
+  }
+  files.push({ name: `${name}.GKO`, layer: "outline", content: profile.toString() });
+
+  return files;
+}
+
+/**
+ * Builds one Gerber file: apertures are defined on first use and written
+ * ahead of the graphics, each with its aperture function (if any).
+ */
+class GerberWriter {
+  constructor(fileFunction, polarity = "Positive") {
+    this.header = [
+      "%TF.GenerationSoftware,PCB_CORE,,1.0*%",
+      `%TF.FileFunction,${fileFunction}*%`,
+      `%TF.FilePolarity,${polarity}*%`,
+      "%FSLAX46Y46*%",
+      "%MOMM*%",
+      "%LPD*%",
+      "G01*",
+    ];
+    this.apertures = new Map();
+    this.body = [];
+    this.current = null;
+    this.objectAttributes = "";
+  }
+
+  // Aperture code (D10, D11, ...) of a template such as "C,0.25"
+  aperture(template, fn = null) {
+    const key = `${template}|${fn ?? ""}`;
+    if (!this.apertures.has(key)) {
+      this.apertures.set(key, { template, fn, code: `D${10 + this.apertures.size}` });
+    }
+    const { code } = this.apertures.get(key);
+    if (code !== this.current) {
+      this.body.push(`${code}*`);
+      this.current = code;
+    }
+  }
+
+  // Object attributes of what follows: { net?, component?, pin? }
+  object({ net, component, pin }) {
+    const lines = [];
+    if (net) lines.push(`%TO.N,${field(net)}*%`);
+    if (component != null && pin != null) lines.push(`%TO.P,${field(component)},${field(pin)}*%`);
+    const attributes = lines.join("\n");
+    if (attributes === this.objectAttributes) return;
+    if (this.objectAttributes) this.body.push("%TD*%");
+    this.body.push(...lines);
+    this.objectAttributes = attributes;
+  }
+
+  flash(template, point, fn) {
+    this.aperture(template, fn);
+    this.body.push(`${coordinate(point)}D03*`);
+  }
+
+  // Polyline of board points [x, z] drawn with a (circular) aperture
+  draw(template, points, fn) {
+    if (!points.length) return;
+    this.aperture(template, fn);
+    points.forEach((point, i) => this.body.push(`${coordinate(point)}${i === 0 ? "D02" : "D01"}*`));
+  }
+
+  // Filled polygon of board points [x, z]
+  region(points, fn) {
+    if (fn) this.body.push(`%TA.AperFunction,${fn}*%`);
+    this.body.push("G36*");
+    [...points, points[0]].forEach((point, i) => this.body.push(`${coordinate(point)}${i === 0 ? "D02" : "D01"}*`));
+    this.body.push("G37*");
+    if (fn) this.body.push("%TD.AperFunction*%");
+  }
+
+  toString() {
+    const definitions = [...this.apertures.values()].flatMap(({ template, fn, code }) =>
+      fn ? [`%TA.AperFunction,${fn}*%`, `%AD${code}${template}*%`, "%TD.AperFunction*%"] : [`%AD${code}${template}*%`]
+    );
+    const closing = this.objectAttributes ? ["%TD*%"] : [];
+    return [...this.header, ...definitions, ...this.body, ...closing, "M02*", ""].join("\n");
+  }
+}
+
+// A pad (grown by `margin`): a rectangle flash when it is turned by a
+// multiple of 90°, otherwise its outline as a region
+function writePad(gerber, pad, margin = 0, fn = null) {
+  const angle = normalizeAngle(pad.rotation);
+  if (angle % 90 === 0) {
+    const [w, h] = angle % 180 === 0 ? pad.size : [pad.size[1], pad.size[0]];
+    gerber.flash(`R,${number(w + 2 * margin)}X${number(h + 2 * margin)}`, pad.center, fn);
+  } else {
+    gerber.region(padCorners(pad, margin), fn);
+  }
+}
+
+// Zone fill raster as regions: one contour around each separate area of
+// copper, with its holes cut in (see keyhole)
+function writeZoneFill(gerber, raster) {
+  if (!raster) return;
+  const { columns, rows, bounds } = raster;
+  const cellX = (bounds.maxX - bounds.minX) / columns;
+  const cellZ = (bounds.maxZ - bounds.minZ) / rows;
+  const toBoard = ([i, j]) => [bounds.minX + i * cellX, bounds.minZ + j * cellZ];
+
+  const loops = traceBoundaries(raster);
+  const outlines = loops.filter((loop) => loop.area > 0);
+  const holes = new Map(outlines.map((outline) => [outline, []]));
+  // A hole belongs to the smallest outline around the copper next to it
+  loops.forEach((loop) => {
+    if (loop.area > 0) return;
+    const around = outlines.filter((outline) => pointInPolygon(loop.copper, outline.points));
+    const outline = around.reduce((a, b) => (b.area < a.area ? b : a));
+    holes.get(outline).push(loop.points);
+  });
+  outlines.forEach((outline) => gerber.region(keyhole(outline.points, holes.get(outline)).map(toBoard)));
+}
+
+/**
+ * Boundaries of the copper of a raster, on the grid of cell corners [i, j]:
+ * Array<{ points, area, copper }>, copper on the left of each, so outlines
+ * run counter-clockwise (area > 0) and holes clockwise. `copper` is the
+ * centre of a cell the boundary runs along. Where two cells touch only at a
+ * corner the boundary turns left, keeping them apart.
+ */
+function traceBoundaries({ mask, columns, rows }) {
+  const copper = (i, j) => i >= 0 && j >= 0 && i < columns && j < rows && mask[j * columns + i] > 0;
+  const key = ([i, j]) => j * (columns + 1) + i;
+  const outgoing = new Map();
+  const add = (from, to, cell) => {
+    if (!outgoing.has(key(from))) outgoing.set(key(from), []);
+    outgoing.get(key(from)).push({ from, to, cell, used: false });
+  };
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      if (!copper(i, j)) continue;
+      if (!copper(i, j - 1)) add([i, j], [i + 1, j], [i, j]);
+      if (!copper(i + 1, j)) add([i + 1, j], [i + 1, j + 1], [i, j]);
+      if (!copper(i, j + 1)) add([i + 1, j + 1], [i, j + 1], [i, j]);
+      if (!copper(i - 1, j)) add([i, j + 1], [i, j], [i, j]);
+    }
+  }
+
+  const direction = ({ from, to }) => [to[0] - from[0], to[1] - from[1]];
+  const loops = [];
+  outgoing.forEach((edges) =>
+    edges.forEach((start) => {
+      if (start.used) return;
+      const corners = [];
+      let edge = start;
+      do {
+        edge.used = true;
+        const [dx, dz] = direction(edge);
+        const next = outgoing.get(key(edge.to));
+        const following =
+          next.length === 1 ? next[0] : next.find((e) => direction(e)[0] === -dz && direction(e)[1] === dx);
+        const [nx, nz] = direction(following);
+        if (nx !== dx || nz !== dz) corners.push(edge.to);
+        edge = following;
+      } while (edge !== start);
+      const area = corners.reduce((sum, [x0, z0], n) => {
+        const [x1, z1] = corners[(n + 1) % corners.length];
+        return sum + (x0 * z1 - x1 * z0) / 2;
+      }, 0);
+      loops.push({ points: corners, area, copper: [start.cell[0] + 0.5, start.cell[1] + 0.5] });
+    })
+  );
+  return loops;
+}
+
+/**
+ * One contour of an outline and its holes on the grid of traceBoundaries:
+ * from the leftmost hole on, each hole is joined to the contour by a cut
+ * along the middle of a row of cells, out to the nearest edge on its left
+ * and back. The cut's two sides coincide, so no copper is lost.
+ */
+function keyhole(outline, holes) {
+  let contour = outline;
+  holes
+    .map((hole) => ({ hole, x: hole.reduce((min, p) => Math.min(min, p[0]), Infinity) }))
+    .sort((a, b) => a.x - b.x)
+    .forEach(({ hole, x }) => {
+      // The hole's leftmost edge runs up (copper on its left): leave from its first cell
+      const m = hole.findIndex((p, n) => p[0] === x && hole[(n + 1) % hole.length][0] === x);
+      const from = [x, hole[m][1] + 0.5];
+      let k = -1;
+      contour.forEach((p, n) => {
+        const q = contour[(n + 1) % contour.length];
+        const crosses = p[0] === q[0] && p[0] < x && (p[1] - from[1]) * (q[1] - from[1]) < 0;
+        if (crosses && (k < 0 || p[0] > contour[k][0])) k = n;
+      });
+      const to = [contour[k][0], from[1]];
+      const around = [...hole.slice(m + 1), ...hole.slice(0, m + 1)];
+      contour = [...contour.slice(0, k + 1), to, from, ...around, from, to, ...contour.slice(k + 1)];
+    });
+  return contour;
+}
+
+// Board point of a point [u, v] of a label's text (u along the text, v up);
+// bottom text is mirrored so it reads from below
+function labelToBoard({ x, z, rotation, side }, [u, v]) {
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  if (side === BOARD_SIDES.BOTTOM) return [x + u * cos - v * sin, z + u * sin + v * cos];
+  return [x + u * cos - v * sin, z - u * sin - v * cos];
+}
+
+function copperFunction(index, count) {
+  const side = index === 0 ? "Top" : index === count - 1 ? "Bot" : "Inr";
+  return `Copper,L${index + 1},${side}`;
+}
+
+function copperExtension(index, count) {
+  if (index === 0) return "GTL";
+  if (index === count - 1) return "GBL";
+  return `G${index}`;
+}
+
+// Attribute value with the characters Gerber reserves written as \\uXXXX
+function field(value) {
+  return String(value).replace(/[,*%\\]|[^\x20-\x7e]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+}
+
+function circle(diameter) {
+  return `C,${number(diameter)}`;
+}
+
+// Board point [x, z] in 4.6 format, Gerber Y pointing to -Z
+function coordinate([x, z]) {
+  return `X${Math.round(x * 1e6)}Y${Math.round(-z * 1e6)}`;
+}
+
+function number(value) {
+  return String(Number(value.toFixed(6)));
+}
@@ -0,0 +1,534 @@
+/**
+ * Gerber parser
+ * -------------
+ * Reads an RS-274X file into the shapes it draws, in board coordinates
+ * (mm, [x, z] with z = -Gerber Y, like gerber.js writes them):
+ *
+ * {
+ *   fileFunction: string | null,      %TF.FileFunction% (X2), e.g. "Copper,L1,Top"
+ *   shapes: Array<
+ *     | { kind: "flash", aperture, center: [x, z], attributes }
+ *     | { kind: "draw", aperture, points: [x, z][], attributes }   one stroke, arcs as short pieces
+ *     | { kind: "region", points: [x, z][], attributes }           one closed contour
+ *   >,
+ *   warnings: string[]
+ * }
+ *
+ * aperture = { shape: "circle" | "rect" | "obround" | "polygon" | "macro",
+ *              size: [w, h] (mm), rotation (deg), offset: [x, z], function? }
+ * attributes = { function?, net?, component?, pin?, clear? }, from the X2
+ * aperture / object attributes in force (`clear` for clear polarity).
+ *
+ * Understood: FS / MO, AD with the standard apertures and AM macros
+ * (their extent), D01 / D02 / D03, G01 / G02 / G03 with G74 / G75, G36 /
+ * G37 regions, LP, TF / TA / TO / TD. Step and repeat is ignored.
+ */
+
+// Maximum angle (radians) covered by one straight piece of an arc
+const ARC_STEP = Math.PI / 24;
+const EPSILON = 1e-9;
+
+export function parseGerber(text) {
+  const state = {
+    format: { integer: 3, decimals: 6, omit: "L", incremental: false },
+    scale: 1,
+    apertures: new Map(),
+    macros: new Map(),
+    aperture: null,
+    point: [0, 0],
+    operation: null,
+    interpolation: "linear",
+    multiQuadrant: true,
+    region: null,
+    clear: false,
+    apertureAttributes: {},
+    objectAttributes: {},
+    stroke: null,
+  };
+  const result = { fileFunction: null, shapes: [], warnings: [] };
+  const warn = (message) => {
+    if (!result.warnings.includes(message)) result.warnings.push(message);
+  };
+
+  for (const { extended, body } of commands(text)) {
+    if (extended) {
+      extendedCommand(body, state, result, warn);
+    } else if (wordCommand(body, state, result, warn) === "end") {
+      break;
+    }
+  }
+  endStroke(state, result);
+  return result;
+}
+
+// Extended (%...%) and word (...*) commands
+function* commands(text) {
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const extended = text[i] === "%";
+    const end = extended ? text.indexOf("%", i + 1) : text.indexOf("*", i);
+    const stop = end < 0 ? text.length : end;
+    const body = text.slice(extended ? i + 1 : i, stop).replace(/[\r\n]/g, "");
+    yield { extended, body };
+    i = stop + 1;
+  }
+}
+
+function extendedCommand(body, state, result, warn) {
+  const statements = body
+    .split("*")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!statements.length) return;
+  const first = statements[0];
+
+  if (first.startsWith("FS")) {
+    const match = /^FS([LTD]?)([AI])X(\d)(\d)Y\d\d/.exec(first);
+    if (match) {
+      state.format = {
+        integer: Number(match[3]),
+        decimals: Number(match[4]),
+        omit: match[1] === "T" ? "T" : "L",
+        incremental: match[2] === "I",
+      };
+    }
+  } else if (first.startsWith("MO")) {
+    state.scale = first === "MOIN" ? 25.4 : 1;
+  } else if (first.startsWith("AD")) {
+    statements.forEach((statement) => defineAperture(statement, state, warn));
+  } else if (first.startsWith("AM")) {
+    state.macros.set(first.slice(2), statements.slice(1));
+  } else if (first.startsWith("LP")) {
+    endStroke(state, result);
+    state.clear = first === "LPC";
+  } else if (first.startsWith("TF")) {
+    const [name, ...values] = first.slice(2).split(",").map(decode);
+    if (name === ".FileFunction") result.fileFunction = values.join(",");
+  } else if (first.startsWith("TA")) {
+    const [name, ...values] = first.slice(2).split(",").map(decode);
+    if (name === ".AperFunction") state.apertureAttributes = { function: values.join(",") };
+  } else if (first.startsWith("TO")) {
+    endStroke(state, result);
+    const [name, ...values] = first.slice(2).split(",").map(decode);
+    if (name === ".N") state.objectAttributes = { ...state.objectAttributes, net: values.join(",") };
+    if (name === ".C") state.objectAttributes = { ...state.objectAttributes, component: values[0] };
+    if (name === ".P") {
+      state.objectAttributes = { ...state.objectAttributes, component: values[0], pin: values[1] };
+    }
+  } else if (first.startsWith("TD")) {
+    endStroke(state, result);
+    const name = first.slice(2);
+    if (!name || name === ".AperFunction") state.apertureAttributes = {};
+    if (!name) {
+      state.objectAttributes = {};
+    } else {
+      const key = { ".N": "net", ".C": "component", ".P": "pin" }[name];
+      if (key) state.objectAttributes = { ...state.objectAttributes, [key]: undefined };
+    }
+  } else if (first.startsWith("SR")) {
+    if (/^SRX(\d+)Y(\d+)/.test(first) && first !== "SRX1Y1I0J0" && first !== "SR") {
+      warn("Step and repeat blocks are read once, not repeated");
+    }
+  }
+}
+
+function defineAperture(statement, state, warn) {
+  const match = /^ADD(\d+)([^,]+)(?:,(.*))?$/.exec(statement);
+  if (!match) return;
+  const [, code, template, rest] = match;
+  const params = rest ? rest.split("X").map(Number) : [];
+  const s = state.scale;
+  let aperture;
+  if (template === "C") {
+    aperture = { shape: "circle", size: [params[0] * s, params[0] * s] };
+  } else if (template === "R" || template === "O") {
+    aperture = { shape: template === "R" ? "rect" : "obround", size: [params[0] * s, params[1] * s] };
+  } else if (template === "P") {
+    aperture = { shape: "polygon", size: [params[0] * s, params[0] * s], rotation: params[2] || 0 };
+  } else if (state.macros.has(template)) {
+    aperture = { shape: "macro", ...macroExtent(state.macros.get(template), params, s) };
+  } else {
+    warn(`Aperture D${code} uses the unknown template ${template}`);
+    aperture = { shape: "circle", size: [0, 0] };
+  }
+  state.apertures.set(Number(code), {
+    rotation: 0,
+    offset: [0, 0],
+    ...aperture,
+    function: state.apertureAttributes.function,
+  });
+}
+
+// Returns "end" at M02
+function wordCommand(body, state, result, warn) {
+  if (!body || body.startsWith("G04")) return null;
+  let rest = body;
+  let match;
+  while ((match = /^G0*(\d+)/.exec(rest))) {
+    const code = Number(match[1]);
+    rest = rest.slice(match[0].length);
+    if (code === 1) state.interpolation = "linear";
+    else if (code === 2) state.interpolation = "cw";
+    else if (code === 3) state.interpolation = "ccw";
+    else if (code === 74) state.multiQuadrant = false;
+    else if (code === 75) state.multiQuadrant = true;
+    else if (code === 36) {
+      endStroke(state, result);
+      state.region = { contour: [] };
+    } else if (code === 37) {
+      closeContour(state, result);
+      state.region = null;
+    } else if (code === 70) state.scale = 25.4;
+    else if (code === 71) state.scale = 1;
+    else if (code === 90) state.format.incremental = false;
+    else if (code === 91) state.format.incremental = true;
+    else if (code === 4) return null;
+  }
+  if (/^M0?[02]/.test(rest)) return "end";
+
+  const words = {};
+  for (const [, letter, value] of rest.matchAll(/([XYIJD])([+-]?[\d.]+)/g)) words[letter] = value;
+  if (words.D !== undefined && Number(words.D) >= 10) {
+    endStroke(state, result);
+    state.aperture = state.apertures.get(Number(words.D)) ?? null;
+    if (!state.aperture) warn(`Aperture D${Number(words.D)} is used but not defined`);
+    return null;
+  }
+  const hasCoordinates = ["X", "Y", "I", "J"].some((letter) => words[letter] !== undefined);
+  if (words.D !== undefined) state.operation = Number(words.D);
+  else if (!hasCoordinates) return null;
+
+  const start = state.point;
+  const coordinate = (letter, current) => {
+    if (words[letter] === undefined) return current;
+    const value = parseNumber(words[letter], state.format) * state.scale;
+    return state.format.incremental ? current + value : value;
+  };
+  const end = [coordinate("X", start[0]), coordinate("Y", start[1])];
+  const offset = [
+    words.I !== undefined ? parseNumber(words.I, state.format) * state.scale : 0,
+    words.J !== undefined ? parseNumber(words.J, state.format) * state.scale : 0,
+  ];
+  state.point = end;
+
+  if (state.operation === 1) {
+    const points =
+      state.interpolation === "linear"
+        ? [end]
+        : arcPoints(start, end, offset, state.interpolation, state.multiQuadrant);
+    if (state.region) {
+      if (!state.region.contour.length) state.region.contour.push(start);
+      state.region.contour.push(...points);
+    } else if (state.aperture) {
+      if (!state.stroke) state.stroke = { aperture: state.aperture, points: [start] };
+      state.stroke.points.push(...points);
+    }
+  } else if (state.operation === 2) {
+    if (state.region) closeContour(state, result);
+    else endStroke(state, result);
+  } else if (state.operation === 3) {
+    endStroke(state, result);
+    if (state.aperture) {
+      result.shapes.push({
+        kind: "flash",
+        aperture: state.aperture,
+        center: toBoard(end),
+        attributes: attributesOf(state, state.aperture),
+      });
+    }
+  }
+  return null;
+}
+
+function endStroke(state, result) {
+  if (!state.stroke) return;
+  result.shapes.push({
+    kind: "draw",
+    aperture: state.stroke.aperture,
+    points: state.stroke.points.map(toBoard),
+    attributes: attributesOf(state, state.stroke.aperture),
+  });
+  state.stroke = null;
+}
+
+function closeContour(state, result) {
+  const { contour } = state.region;
+  if (contour.length >= 3) {
+    const points = contour.map(toBoard);
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (Math.hypot(first[0] - last[0], first[1] - last[1]) < EPSILON) points.pop();
+    if (points.length >= 3) {
+      result.shapes.push({ kind: "region", points, attributes: attributesOf(state, null) });
+    }
+  }
+  state.region.contour = [];
+}
+
+function attributesOf(state, aperture) {
+  const attributes = { ...state.objectAttributes };
+  const fn = aperture?.function ?? state.apertureAttributes.function;
+  if (fn) attributes.function = fn;
+  if (state.clear) attributes.clear = true;
+  return attributes;
+}
+
+// A coordinate without a decimal point is fixed-point in the FS format
+function parseNumber(text, { integer, decimals, omit }) {
+  if (text.includes(".")) return parseFloat(text);
+  const sign = text.startsWith("-") ? -1 : 1;
+  let digits = text.replace(/^[+-]/, "");
+  if (omit === "T") digits = digits.padEnd(integer + decimals, "0");
+  return (sign * Number(digits)) / 10 ** decimals;
+}
+
+/**
+ * Points after `start` along a circular arc to `end`, `offset` being the
+ * centre relative to the start (unsigned in single-quadrant mode).
+ * Gerber coordinates; "ccw" is counter-clockwise with Y up.
+ */
+function arcPoints(start, end, [i, j], direction, multiQuadrant) {
+  let center = [start[0] + i, start[1] + j];
+  if (!multiQuadrant) {
+    // The signs of I and J are implied: the centre equally far from both
+    // ends with a sweep of at most 90°
+    const candidates = [
+      [i, j],
+      [-i, j],
+      [i, -j],
+      [-i, -j],
+    ].map(([ci, cj]) => [start[0] + ci, start[1] + cj]);
+    center = candidates.reduce((best, c) => {
+      const score = (p) => {
+        const mismatch = Math.abs(distance(start, p) - distance(end, p));
+        return Math.abs(sweep(start, end, p, direction, false)) <= Math.PI / 2 + 1e-6 ? mismatch : mismatch + 1e3;
+      };
+      return score(c) < score(best) ? c : best;
+    }, candidates[0]);
+  }
+
+  const radius = Math.hypot(start[0] - center[0], start[1] - center[1]);
+  if (radius < EPSILON) return [end];
+  const a0 = Math.atan2(start[1] - center[1], start[0] - center[0]);
+  const total = sweep(start, end, center, direction, multiQuadrant);
+  const steps = Math.max(1, Math.ceil(Math.abs(total) / ARC_STEP));
+  const points = [];
+  for (let k = 1; k < steps; k++) {
+    const a = a0 + (total * k) / steps;
+    points.push([center[0] + radius * Math.cos(a), center[1] + radius * Math.sin(a)]);
+  }
+  points.push(end);
+  return points;
+}
+
+// Signed sweep (radians) from start to end about the centre; a multi-
+// quadrant arc ending where it starts is a full circle
+function sweep(start, end, center, direction, multiQuadrant) {
+  const a0 = Math.atan2(start[1] - center[1], start[0] - center[0]);
+  const a1 = Math.atan2(end[1] - center[1], end[0] - center[0]);
+  let angle = a1 - a0;
+  const closed = Math.hypot(end[0] - start[0], end[1] - start[1]) < EPSILON;
+  if (direction === "ccw") {
+    while (angle <= 0) angle += 2 * Math.PI;
+    if (closed && !multiQuadrant) angle = 0;
+  } else {
+    while (angle >= 0) angle -= 2 * Math.PI;
+    if (closed && !multiQuadrant) angle = 0;
+  }
+  return angle;
+}
+
+// Attribute value with \\uXXXX escapes resolved
+function decode(value) {
+  return value.replace(/\\u([0-9a-fA-F]{4})/g, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function toBoard([x, y]) {
+  return [x, y === 0 ? 0 : -y];
+}
+
+/**
+ * Extent of a macro aperture: { size: [w, h], rotation, offset: [x, z] } in
+ * mm. A macro made of one rectangle (center line or four-corner outline)
+ * keeps its rotation; anything else becomes its bounding box.
+ */
+function macroExtent(statements, params, scale) {
+  const variables = new Map(params.map((value, i) => [i + 1, value]));
+  const shapes = [];
+  statements.forEach((statement) => {
+    if (statement.startsWith("0")) return;
+    const assignment = /^\$(\d+)=(.*)$/.exec(statement);
+    if (assignment) {
+      variables.set(Number(assignment[1]), evaluate(assignment[2], variables));
+      return;
+    }
+    const [code, ...args] = statement.split(",").map((arg) => evaluate(arg, variables));
+    const shape = macroPrimitive(code, args);
+    if (shape) shapes.push(shape);
+  });
+
+  if (shapes.length === 1 && shapes[0].rectangle) {
+    const { size, rotation, center } = shapes[0].rectangle;
+    return { size: size.map((v) => v * scale), rotation, offset: toBoard(center.map((v) => v * scale)) };
+  }
+  const points = shapes.flatMap((shape) => shape.points);
+  if (!points.length) return { size: [0, 0], rotation: 0, offset: [0, 0] };
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  return {
+    size: [(maxX - minX) * scale, (maxY - minY) * scale],
+    rotation: 0,
+    offset: toBoard([((minX + maxX) / 2) * scale, ((minY + maxY) / 2) * scale]),
+  };
+}
+
+// Outline points of an exposed macro primitive (macro units), plus
+// { size, rotation, center } when it is a rectangle
+function macroPrimitive(code, args) {
+  const turn = (points, degrees) => {
+    const a = ((degrees || 0) * Math.PI) / 180;
+    return points.map(([x, y]) => [x * Math.cos(a) - y * Math.sin(a), x * Math.sin(a) + y * Math.cos(a)]);
+  };
+  const [exposure] = args;
+  if (code === 7) {
+    // Thermal: no exposure parameter; its extent is the outer circle
+    const [cx, cy, outer, , , rotation] = args;
+    return { points: turn(circlePoints(cx, cy, outer / 2), rotation) };
+  }
+  if (exposure === 0) return null;
+
+  if (code === 1) {
+    const [, diameter, cx, cy, rotation] = args;
+    return { points: turn(circlePoints(cx, cy, diameter / 2), rotation) };
+  }
+  if (code === 20) {
+    const [, width, sx, sy, ex, ey, rotation] = args;
+    const length = Math.hypot(ex - sx, ey - sy) || EPSILON;
+    const nx = (-(ey - sy) / length) * (width / 2);
+    const ny = ((ex - sx) / length) * (width / 2);
+    const corners = [
+      [sx + nx, sy + ny],
+      [ex + nx, ey + ny],
+      [ex - nx, ey - ny],
+      [sx - nx, sy - ny],
+    ];
+    return { points: turn(corners, rotation) };
+  }
+  if (code === 21) {
+    const [, w, h, cx, cy, rotation] = args;
+    const corners = [
+      [cx - w / 2, cy - h / 2],
+      [cx + w / 2, cy - h / 2],
+      [cx + w / 2, cy + h / 2],
+      [cx - w / 2, cy + h / 2],
+    ];
+    const [center] = turn([[cx, cy]], rotation);
+    return { points: turn(corners, rotation), rectangle: { size: [w, h], rotation: rotation || 0, center } };
+  }
+  if (code === 4) {
+    const count = args[1];
+    const points = [];
+    for (let k = 0; k <= count; k++) points.push([args[2 + 2 * k], args[3 + 2 * k]]);
+    const turned = turn(points, args[4 + 2 * count]);
+    return { points: turned, rectangle: rectangleOf(turned) };
+  }
+  if (code === 5) {
+    const [, vertices, cx, cy, diameter, rotation] = args;
+    const points = [];
+    for (let k = 0; k < vertices; k++) {
+      const a = (2 * Math.PI * k) / vertices;
+      points.push([cx + (diameter / 2) * Math.cos(a), cy + (diameter / 2) * Math.sin(a)]);
+    }
+    return { points: turn(points, rotation) };
+  }
+  return null;
+}
+
+function circlePoints(cx, cy, r) {
+  return [
+    [cx - r, cy],
+    [cx + r, cy],
+    [cx, cy - r],
+    [cx, cy + r],
+  ];
+}
+
+/**
+ * { size, rotation (deg, counter-clockwise from the top), center } of a
+ * closed four-corner outline with square corners, or null. Gerber points
+ * (Y up), the first point repeated at the end.
+ */
+export function rectangleOf(points) {
+  const corners = points.length === 5 ? points.slice(0, 4) : points;
+  if (corners.length !== 4) return null;
+  const edge = (a, b) => [b[0] - a[0], b[1] - a[1]];
+  const [e0, e1, e2] = [edge(corners[0], corners[1]), edge(corners[1], corners[2]), edge(corners[2], corners[3])];
+  const perpendicular = Math.abs(e0[0] * e1[0] + e0[1] * e1[1]) < 1e-6;
+  const parallel = Math.abs(e0[0] + e2[0]) + Math.abs(e0[1] + e2[1]) < 1e-6;
+  if (!perpendicular || !parallel) return null;
+  const w = Math.hypot(...e0);
+  const h = Math.hypot(...e1);
+  if (w < EPSILON || h < EPSILON) return null;
+  const rotation = (Math.atan2(e0[1], e0[0]) * 180) / Math.PI;
+  const center = [(corners[0][0] + corners[2][0]) / 2, (corners[0][1] + corners[2][1]) / 2];
+  return { size: [w, h], rotation, center };
+}
+
+// Arithmetic of macro parameters: numbers, $n, + - x / and parentheses
+function evaluate(expression, variables) {
+  const text = expression.replace(/\s+/g, "");
+  let i = 0;
+  const number = () => {
+    const match = /^(\d+\.?\d*|\.\d+)/.exec(text.slice(i));
+    if (!match) return NaN;
+    i += match[0].length;
+    return parseFloat(match[0]);
+  };
+  const factor = () => {
+    const c = text[i];
+    if (c === "+" || c === "-") {
+      i++;
+      return c === "-" ? -factor() : factor();
+    }
+    if (c === "(") {
+      i++;
+      const value = sum();
+      i++;
+      return value;
+    }
+    if (c === "$") {
+      i++;
+      const match = /^\d+/.exec(text.slice(i));
+      i += match ? match[0].length : 0;
+      return variables.get(Number(match?.[0])) ?? 0;
+    }
+    return number();
+  };
+  const product = () => {
+    let value = factor();
+    while (text[i] === "x" || text[i] === "X" || text[i] === "/") {
+      const op = text[i++];
+      const next = factor();
+      value = op === "/" ? value / next : value * next;
+    }
+    return value;
+  };
+  const sum = () => {
+    let value = product();
+    while (text[i] === "+" || text[i] === "-") {
+      const op = text[i++];
+      const next = product();
+      value = op === "-" ? value - next : value + next;
+    }
+    return value;
+  };
+  return sum();
+}
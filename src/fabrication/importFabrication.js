@@ -0,0 +1,334 @@
+import { parseGerber, rectangleOf } from "./gerberParser";
+import { parseExcellon } from "./excellon";
+import { allPoints, boundsOf, distance, round } from "../persistence/importHelpers";
+import { SCHEMA_VERSION } from "../persistence/schema";
+
+/**
+ * Fabrication import
+ * ------------------
+ * Turns a fab package (Gerber layers + Excellon drill files) back into a
+ * design that loadBoard takes, to look at a board in 3D when only its
+ * fabrication outputs are at hand:
+ *
+ *   copper flashes              pads ("TH" with the drill when a plated hole
+ *                               goes through them), or vias (via pads / small
+ *                               round ones)
+ *   copper draws                traces, the aperture giving the width
+ *   copper regions              pads (pad regions) or `fixed` zones
+ *   plated holes without copper and non-plated holes   holes
+ *   silkscreen draws / regions  silkscreen lines
+ *   outline (profile) draws     board outline: the largest closed loop,
+ *                               other loops are cutouts
+ *
+ * Layers are recognised by their X2 file function, else by their name
+ * (Protel extensions such as .GTL / .GBO / .GKO, or KiCad's F_Cu, In1_Cu,
+ * B_SilkS, Edge_Cuts). Nets, component references and pin numbers come from
+ * X2 object attributes when the files carry them. Mask and paste layers are
+ * skipped. The design is moved so the board is centred on the origin.
+ */
+
+// Net of copper pours whose file names none (zones need one)
+export const IMPORTED_NET = "imported";
+
+// File name extensions read as fabrication files
+export const FABRICATION_EXTENSIONS = (
+  "gbr ger pho art gtl gbl gts gbs gto gbo gtp gbp gko gm1 gml g1 g2 g3 g4 g5 g6 drl xln exc ncd txt"
+).split(" ");
+
+// Holes and flashes closer than this (mm) are at the same place
+const MATCH_DISTANCE = 0.01;
+// Round plated pads up to this drill (mm) without a function are vias
+const VIA_MAX_DRILL = 0.6;
+// Outline ends closer than this (mm) are joined
+const JOIN_DISTANCE = 0.01;
+// Board margin (mm) around the copper when there is no outline layer
+const FALLBACK_MARGIN = 1;
+
+/**
+ * Design of a fab package: files = Array<{ name, content: string }>.
+ * Returns { data (canonical board, see persistence/schema.js), warnings: string[] }.
+ * Throws when none of the files is a Gerber or drill file.
+ */
+export function importFabrication(files) {
+  const warnings = [];
+  const layers = [];
+  const drills = [];
+
+  files.forEach(({ name, content }) => {
+    if (isDrillFile(content)) {
+      const drill = parseExcellon(content);
+      drill.warnings.forEach((w) => warnings.push(`${name}: ${w}`));
+      const plated = drill.plated ?? !/npth|non.?plated|unplated/i.test(name);
+      drills.push(...drill.holes.map((hole) => ({ ...hole, plated })));
+      return;
+    }
+    if (!/%FS|%MO|G04|D0?[123]\*/.test(content)) {
+      warnings.push(`${name}: not a Gerber or drill file, skipped`);
+      return;
+    }
+    const gerber = parseGerber(content);
+    gerber.warnings.forEach((w) => warnings.push(`${name}: ${w}`));
+    const role = layerRole(gerber.fileFunction, name);
+    if (!role) warnings.push(`${name}: unknown layer, skipped`);
+    else if (role.kind !== "ignored") layers.push({ ...role, name, shapes: gerber.shapes });
+  });
+  if (!layers.length && !drills.length) throw new Error("No Gerber or drill files found");
+
+  // Copper layers: top, inner1…, bottom
+  const copper = layers.filter((layer) => layer.kind === "copper");
+  const innerCount = Math.max(0, ...copper.map((layer) => layer.inner ?? 0));
+  const copperCount = 2 + innerCount + (innerCount % 2);
+  const flashes = [];
+  const design = { pads: [], traces: [], holes: [], vias: [], zones: [], silkscreen: [] };
+
+  copper.forEach((layer) => {
+    const id = layer.inner ? `inner${layer.inner}` : layer.side;
+    layer.shapes.forEach((shape) => {
+      if (shape.attributes.clear) {
+        warnings.push(`${layer.name}: clear polarity objects are skipped`);
+        return;
+      }
+      const net = shape.attributes.net || null;
+      if (shape.kind === "flash") {
+        flashes.push({ ...shape, layer: id });
+      } else if (shape.kind === "draw") {
+        const width = shape.aperture.size[0] || 0.1;
+        design.traces.push({ path: shape.points, width, layer: id, ...(net ? { net } : {}) });
+      } else {
+        const rectangle = isPadFunction(shape.attributes.function) ? regionRectangle(shape.points) : null;
+        if (rectangle) flashes.push({ ...shape, layer: id, rectangle });
+        else design.zones.push({ net: net ?? IMPORTED_NET, layer: id, path: shape.points, fixed: true });
+      }
+    });
+  });
+
+  // Plated holes: through-hole pads or vias where copper is flashed around them
+  const used = new Set();
+  drills.forEach((hole) => {
+    const position = hole.center;
+    const radius = hole.diameter / 2;
+    if (!hole.plated) {
+      design.holes.push({ position, radius });
+      return;
+    }
+    const around = flashes.filter(
+      (flash) => !used.has(flash) && distance(flashCenter(flash), position) < MATCH_DISTANCE
+    );
+    around.forEach((flash) => used.add(flash));
+    const onFace = (side) => around.find((flash) => flash.layer === side);
+    const outer = onFace("top") ?? onFace("bottom") ?? around[0];
+    if (!outer) {
+      design.holes.push({ position, radius, plated: true });
+    } else if (isVia(outer, hole.diameter)) {
+      const ring = Math.max(0, outer.aperture.size[0] / 2 - radius);
+      const net = outer.attributes.net;
+      design.vias.push({ position, radius, annular_ring: round(ring), ...(net ? { net } : {}) });
+    } else {
+      design.pads.push({ ...padOf(outer), pad_type: "TH", drill: hole.diameter });
+    }
+  });
+
+  // Remaining flashes on the faces are surface pads
+  flashes
+    .filter((flash) => !used.has(flash))
+    .forEach((flash) => {
+      if (flash.layer !== "top" && flash.layer !== "bottom") {
+        warnings.push(`Pads on inner copper layers without a hole are skipped`);
+        return;
+      }
+      design.pads.push({ ...padOf(flash), ...(flash.layer === "bottom" ? { layer: "bottom" } : {}) });
+    });
+  uniquePadIds(design.pads);
+
+  layers
+    .filter((layer) => layer.kind === "silkscreen")
+    .forEach((layer) => {
+      const face = layer.side === "bottom" ? { layer: "bottom" } : {};
+      layer.shapes.forEach((shape) => {
+        if (shape.kind === "draw") {
+          design.silkscreen.push({ path: shape.points, width: shape.aperture.size[0] || 0.15, ...face });
+        } else if (shape.kind === "region") {
+          design.silkscreen.push({ path: [...shape.points, shape.points[0]], width: 0.1, ...face });
+        }
+      });
+    });
+
+  // Board shape
+  const profile = layers.filter((layer) => layer.kind === "outline").flatMap((layer) => layer.shapes);
+  const loops = outlineLoops(profile.flatMap((shape) => (shape.kind === "flash" ? [] : [shape.points])));
+  let outline;
+  if (loops.length) {
+    loops.sort((a, b) => Math.abs(area(b)) - Math.abs(area(a)));
+    outline = { path: loops[0], cutouts: loops.slice(1).map((path) => ({ path })) };
+    if (loops.some((loop) => loop.open)) warnings.push("The board outline is not closed; its ends were joined");
+  } else {
+    const bounds = boundsOf(allPoints(design));
+    if (!bounds) throw new Error("The fabrication files contain no copper or outline");
+    warnings.push("No board outline layer; the board is the extent of the copper");
+    const { minX, maxX, minZ, maxZ } = bounds;
+    const m = FALLBACK_MARGIN;
+    outline = {
+      path: [
+        [minX - m, minZ - m],
+        [maxX + m, minZ - m],
+        [maxX + m, maxZ + m],
+        [minX - m, maxZ + m],
+      ],
+    };
+  }
+
+  // Centre the board on the origin
+  const { minX, maxX, minZ, maxZ } = boundsOf(outline.path);
+  const shift = ([x, z]) => [round(x - (minX + maxX) / 2), round(z - (minZ + maxZ) / 2)];
+  outline.path = outline.path.map(shift);
+  (outline.cutouts ?? []).forEach((cutout) => (cutout.path = cutout.path.map(shift)));
+  ["pads", "holes", "vias"].forEach((key) => design[key].forEach((item) => (item.position = shift(item.position))));
+  ["traces", "zones", "silkscreen"].forEach((key) => design[key].forEach((item) => (item.path = item.path.map(shift))));
+
+  const board = {
+    width: round(maxX - minX),
+    height: round(maxZ - minZ),
+    thickness: 1.6,
+    outline,
+    ...(copperCount > 2 ? { stackup: { copper_layers: copperCount } } : {}),
+  };
+  return { data: { version: SCHEMA_VERSION, board, ...design }, warnings: [...new Set(warnings)] };
+}
+
+/**
+ * Whether a file (by name) can be part of a fab package, zip archives
+ * included.
+ */
+export function isFabricationFile(name) {
+  const extension = name.toLowerCase().split(".").pop();
+  return extension === "zip" || FABRICATION_EXTENSIONS.includes(extension) || /^g\d+$/.test(extension);
+}
+
+function isDrillFile(content) {
+  return /^\s*(;[^\n]*\n\s*)*M48/.test(content);
+}
+
+/**
+ * What a Gerber file is: { kind: "copper", side?, inner? } | { kind: "silkscreen", side }
+ * | { kind: "outline" } | { kind: "ignored" } | null (unknown).
+ */
+function layerRole(fileFunction, name) {
+  if (fileFunction) {
+    const [kind, ...rest] = fileFunction.split(",");
+    if (kind === "Copper") {
+      const index = Number(/^L(\d+)/.exec(rest[0] ?? "")?.[1] ?? 1);
+      if (rest[1] === "Top") return { kind: "copper", side: "top" };
+      if (rest[1] === "Bot") return { kind: "copper", side: "bottom" };
+      return { kind: "copper", inner: index - 1 };
+    }
+    if (kind === "Legend") return { kind: "silkscreen", side: rest[0] === "Bot" ? "bottom" : "top" };
+    if (kind === "Profile") return { kind: "outline" };
+    if (["Soldermask", "Paste", "Glue", "Keep-out", "Component"].includes(kind)) return { kind: "ignored" };
+  }
+
+  const lower = name.toLowerCase();
+  const extension = lower.split(".").pop();
+  const inner = /in(\d+)[._]cu/.exec(lower) ?? (/^g(\d+)$/.test(extension) ? [null, extension.slice(1)] : null);
+  if (/f[._]cu/.test(lower) || extension === "gtl") return { kind: "copper", side: "top" };
+  if (/b[._]cu/.test(lower) || extension === "gbl") return { kind: "copper", side: "bottom" };
+  if (inner) return { kind: "copper", inner: Number(inner[1]) };
+  if (/f[._]silk/.test(lower) || extension === "gto") return { kind: "silkscreen", side: "top" };
+  if (/b[._]silk/.test(lower) || extension === "gbo") return { kind: "silkscreen", side: "bottom" };
+  if (/edge[._]cuts|outline|profile/.test(lower) || ["gko", "gm1", "gml"].includes(extension)) {
+    return { kind: "outline" };
+  }
+  if (/mask|paste|[fb][._]fab|courtyard/.test(lower) || ["gts", "gbs", "gtp", "gbp"].includes(extension)) {
+    return { kind: "ignored" };
+  }
+  return null;
+}
+
+function isPadFunction(fn) {
+  return Boolean(fn) && /Pad/.test(fn) && !fn.startsWith("ViaPad");
+}
+
+function isVia(flash, drill) {
+  const fn = flash.attributes.function;
+  if (fn) return fn.startsWith("ViaPad");
+  const { shape, size } = flash.aperture;
+  return !flash.rectangle && shape === "circle" && size[0] > drill && drill <= VIA_MAX_DRILL;
+}
+
+// Centre [x, z] of a flash (the aperture may be off its origin) or pad region
+function flashCenter(flash) {
+  if (flash.rectangle) return flash.rectangle.center;
+  return [flash.center[0] + flash.aperture.offset[0], flash.center[1] + flash.aperture.offset[1]];
+}
+
+// Pad record of a flash or pad region, before its layer and drill
+function padOf(flash) {
+  const { net, component, pin } = flash.attributes;
+  const { size, rotation } = flash.rectangle ?? flash.aperture;
+  return {
+    id: component != null && pin != null ? `${component}-${pin}` : null,
+    position: flashCenter(flash),
+    size: size.map(round),
+    ...(round(rotation) ? { rotation: round(rotation) } : {}),
+    ...(component != null ? { component } : {}),
+    ...(pin != null ? { pin } : {}),
+    ...(net ? { net } : {}),
+    ...(flash.aperture?.shape && flash.aperture.shape !== "rect" && flash.aperture.shape !== "macro"
+      ? { shape: flash.aperture.shape }
+      : {}),
+  };
+}
+
+// Rectangle { size, rotation, center: [x, z] } of a pad region, or null
+function regionRectangle(points) {
+  const rectangle = rectangleOf(points.map(([x, z]) => [x, -z]));
+  if (!rectangle) return null;
+  return { ...rectangle, center: [rectangle.center[0], -rectangle.center[1]] };
+}
+
+// Numbers pads without an id, and suffixes repeated ones
+function uniquePadIds(pads) {
+  const seen = new Set();
+  pads.forEach((pad, i) => {
+    let id = pad.id ?? `P${i + 1}`;
+    for (let n = 2; seen.has(id); n++) id = `${pad.id ?? `P${i + 1}`}_${n}`;
+    seen.add(id);
+    pad.id = id;
+  });
+}
+
+/**
+ * Closed loops of outline strokes: strokes whose ends meet are chained,
+ * a chain that never closes is closed straight (and marked `open`).
+ */
+function outlineLoops(strokes) {
+  const remaining = strokes.filter((points) => points.length >= 2).map((points) => [...points]);
+  const loops = [];
+  while (remaining.length) {
+    const loop = remaining.shift();
+    for (;;) {
+      const end = loop[loop.length - 1];
+      if (loop.length > 2 && distance(loop[0], end) < JOIN_DISTANCE) break;
+      const next = remaining.findIndex(
+        (points) => distance(points[0], end) < JOIN_DISTANCE || distance(points[points.length - 1], end) < JOIN_DISTANCE
+      );
+      if (next < 0) break;
+      const [points] = remaining.splice(next, 1);
+      if (distance(points[0], end) >= JOIN_DISTANCE) points.reverse();
+      loop.push(...points.slice(1));
+    }
+    const closed = distance(loop[0], loop[loop.length - 1]) < JOIN_DISTANCE;
+    if (closed) loop.pop();
+    if (loop.length < 3) continue;
+    if (!closed) loop.open = true;
+    loops.push(loop);
+  }
+  return loops;
+}
+
+// Shoelace area of a closed polygon
+function area(points) {
+  return points.reduce((sum, [x, z], i) => {
+    const [nx, nz] = points[(i + 1) % points.length];
+    return sum + x * nz - nx * z;
+  }, 0) / 2;
+}
@@ -0,0 +1,99 @@
+/**
+ * Stroke font
+ * -----------
+ * A plotter-style font for writing silkscreen text as strokes (Gerber has
+ * no text): each glyph is a set of polylines on a 4 × 6 grid, y up, the
+ * cap height being 6. Lower case is written in capitals; characters
+ * without a glyph leave a blank.
+ */
+
+const CAP = 6;
+// Advance per character, in grid units
+const ADVANCE = 6;
+
+const O = "1,0 0,1 0,5 1,6 3,6 4,5 4,1 3,0 1,0";
+
+const GLYPHS = {
+  A: ["0,0 0,4 2,6 4,4 4,0", "0,3 4,3"],
+  B: ["0,0 0,6 3,6 4,5 4,4 3,3 0,3", "3,3 4,2 4,1 3,0 0,0"],
+  C: ["4,5 3,6 1,6 0,5 0,1 1,0 3,0 4,1"],
+  D: ["0,0 0,6 3,6 4,5 4,1 3,0 0,0"],
+  E: ["4,6 0,6 0,0 4,0", "0,3 3,3"],
+  F: ["4,6 0,6 0,0", "0,3 3,3"],
+  G: ["4,5 3,6 1,6 0,5 0,1 1,0 3,0 4,1 4,3 2,3"],
+  H: ["0,0 0,6", "4,0 4,6", "0,3 4,3"],
+  I: ["1,6 3,6", "2,6 2,0", "1,0 3,0"],
+  J: ["4,6 4,1 3,0 1,0 0,1"],
+  K: ["0,0 0,6", "4,6 0,2", "1,3 4,0"],
+  L: ["0,6 0,0 4,0"],
+  M: ["0,0 0,6 2,3 4,6 4,0"],
+  N: ["0,0 0,6 4,0 4,6"],
+  O: [O],
+  P: ["0,0 0,6 3,6 4,5 4,4 3,3 0,3"],
+  Q: [O, "2,2 4,0"],
+  R: ["0,0 0,6 3,6 4,5 4,4 3,3 0,3", "2,3 4,0"],
+  S: ["4,5 3,6 1,6 0,5 0,4 1,3 3,3 4,2 4,1 3,0 1,0 0,1"],
+  T: ["0,6 4,6", "2,6 2,0"],
+  U: ["0,6 0,1 1,0 3,0 4,1 4,6"],
+  V: ["0,6 2,0 4,6"],
+  W: ["0,6 1,0 2,3 3,0 4,6"],
+  X: ["0,0 4,6", "0,6 4,0"],
+  Y: ["0,6 2,3 4,6", "2,3 2,0"],
+  Z: ["0,6 4,6 0,0 4,0"],
+  0: [O, "0,1 4,5"],
+  1: ["1,5 2,6 2,0", "1,0 3,0"],
+  2: ["0,5 1,6 3,6 4,5 4,4 0,0 4,0"],
+  3: ["0,5 1,6 3,6 4,5 4,4 3,3 4,2 4,1 3,0 1,0 0,1", "1,3 3,3"],
+  4: ["3,0 3,6 0,2 4,2"],
+  5: ["4,6 0,6 0,3 3,3 4,2 4,1 3,0 0,0"],
+  6: ["4,5 3,6 1,6 0,5 0,1 1,0 3,0 4,1 4,2 3,3 0,3"],
+  7: ["0,6 4,6 1,0"],
+  8: ["1,3 0,4 0,5 1,6 3,6 4,5 4,4 3,3 1,3 0,2 0,1 1,0 3,0 4,1 4,2 3,3"],
+  9: ["0,1 1,0 3,0 4,1 4,5 3,6 1,6 0,5 0,4 1,3 4,3"],
+  "-": ["1,3 3,3"],
+  "+": ["1,3 3,3", "2,2 2,4"],
+  _: ["0,0 4,0"],
+  ".": ["2,0 2,0.3"],
+  ",": ["2,0.5 1.5,-1"],
+  ":": ["2,1 2,1.3", "2,4.7 2,5"],
+  "/": ["0,0 4,6"],
+  "(": ["3,6 2,5 2,1 3,0"],
+  ")": ["1,6 2,5 2,1 1,0"],
+  "=": ["1,2 3,2", "1,4 3,4"],
+  "#": ["1,0 1,6", "3,0 3,6", "0,2 4,2", "0,4 4,4"],
+  "%": ["0,0 4,6", "0,5 0,6", "4,0 4,1"],
+  "*": ["2,1 2,5", "0.5,2 3.5,4", "0.5,4 3.5,2"],
+  "?": ["0,5 1,6 3,6 4,5 4,4 2,3 2,2", "2,0 2,0.3"],
+  "!": ["2,6 2,2", "2,0 2,0.3"],
+};
+
+// Polylines of each glyph as Array<Array<[u, v]>>
+const STROKES = Object.fromEntries(
+  Object.entries(GLYPHS).map(([char, lines]) => [
+    char,
+    lines.map((line) => line.split(" ").map((point) => point.split(",").map(Number))),
+  ])
+);
+
+/**
+ * Width of a text written at cap height `size` (mm).
+ */
+export function textWidth(text, size) {
+  return text.length ? ((text.length * ADVANCE - (ADVANCE - 4)) * size) / CAP : 0;
+}
+
+/**
+ * Polylines (Array<Array<[u, v]>>, mm) of a text written at cap height
+ * `size`, centred on the origin, u along the line and v up.
+ */
+export function textStrokes(text, size) {
+  const scale = size / CAP;
+  const left = -textWidth(text, size) / 2;
+  const strokes = [];
+  [...text.toUpperCase()].forEach((char, i) => {
+    (STROKES[char] ?? []).forEach((line) => {
+      strokes.push(line.map(([u, v]) => [left + (i * ADVANCE + u) * scale, (v - CAP / 2) * scale]));
+    });
+  });
+  return strokes;
+}
@@ -0,0 +1,144 @@
+/**
+ * Zip
+ * ---
+ * Minimal zip archive writer for handing fabrication files over as one
+ * download: entries are stored uncompressed (method 0), which every unzip
+ * tool reads and Gerber / drill text does not need.
+ *
+ * readZip unpacks the stored and deflated (method 8) entries of a fab
+ * package, inflating through the browser's DecompressionStream.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a byte array, as zip stores it.
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive of files: Array<{ name, content: string | Uint8Array }>.
+ * Text is written as UTF-8; `date` sets the entries' modification time.
+ * Returns a Uint8Array.
+ */
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const path = encoder.encode(name);
+    const data = typeof content === "string" ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    // Local file header, then the stored data
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, path.length, true);
+    local.setUint16(28, 0, true);
+    locals.push(new Uint8Array(local.buffer), path, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, path.length, true);
+    // Extra / comment lengths, disk, attributes stay 0
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), path);
+
+    offset += 30 + path.length + data.length;
+  });
+
+  const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let at = 0;
+  parts.forEach((part) => {
+    zip.set(part, at);
+    at += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Files of a zip archive (Uint8Array / ArrayBuffer):
+ * Promise<Array<{ name, content: Uint8Array }>>, directories left out.
+ * Throws on anything but stored or deflated entries.
+ */
+export async function readZip(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // End of central directory record, searched back over a trailing comment
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error("Not a zip archive");
+
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(at, true) !== 0x02014b50) throw new Error("Corrupt zip directory");
+    const method = view.getUint16(at + 10, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    at += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+
+    // The data follows the local header, whose extra field may differ
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) files.push({ name, content: data });
+    else if (method === 8) files.push({ name, content: await inflate(data) });
+    else throw new Error(`${name}: unsupported zip compression (method ${method})`);
+  }
+  return files;
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
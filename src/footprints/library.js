@@ -0,0 +1,299 @@
+import { BOARD_SIDES, resolveBoardSide } from "../engine/Layers";
+import {
+  chipPins,
+  dipPins,
+  dualRow,
+  headerRows,
+  placePins,
+  qfpPins,
+  singleRow,
+  soicPins,
+} from "./pinRows";
+
+/**
+ * Footprint library
+ * -----------------
+ * Parametric packages keyed by a component's `package` ("DIP-40",
+ * "SOIC-8", "QFP-44", "SOT-23", "0805", "TO-220", "PIN_HEADER",
+ * "SCREW_TERMINAL", ...) or, when it has none, by its `type` ("DIP_IC",
+ * "MCU", "MOSFET", "RESISTOR", ...).
+ *
+ * A footprint is {
+ *   name: string,                        e.g. "DIP-40"
+ *   body: { size: [w, h, t], color, material? },  local X × Z extent and height, as addComponent takes it
+ *   pins: Array<{ pin, offset: [dx, dz], size: [w, h], pad_type, drill? (mm, through-hole) }>
+ * }
+ *
+ * The pin count comes from the component's numeric `pins`, the package
+ * suffix ("SOIC-16") or the package default.
+ */
+
+const INCH = 25.4;
+
+const COLORS = {
+  plastic: "#1a1a1a",
+  ceramic: "#b8926a",
+  header: "#1c1c1c",
+  terminal: "#2e7d32",
+};
+
+/**
+ * Package families: `pins` is the default pin count, `create(count, component)`
+ * returns { body, pins }. `fixed` families are named without a pin count
+ * when they have their default one ("0805", "SOT-23" but "SOT-23-6").
+ */
+export const PACKAGES = {
+  DIP: {
+    pins: 8,
+    create(count) {
+      const rowSpacing = count >= 24 ? 0.6 * INCH : 0.3 * INCH;
+      return {
+        body: {
+          size: [rowSpacing - 1.3, Math.ceil(count / 2) * 0.1 * INCH + 0.6, 3.3],
+          color: COLORS.plastic,
+        },
+        pins: withDrill(dipPins(count), 0.8),
+      };
+    },
+  },
+  SOIC: {
+    pins: 8,
+    create(count) {
+      return {
+        body: { size: [3.9, Math.ceil(count / 2) * 1.27 + 0.4, 1.5], color: COLORS.plastic },
+        pins: soicPins(count),
+      };
+    },
+  },
+  QFP: {
+    pins: 32,
+    create(count) {
+      const pins = qfpPins(count);
+      // Body edge 1 mm inside the pad centres
+      const reach = Math.max(...pins.map((p) => Math.abs(p.offset[0])));
+      const side = 2 * (reach - 1);
+      return { body: { size: [side, side, 1.4], color: COLORS.plastic }, pins };
+    },
+  },
+  "SOT-23": {
+    pins: 3,
+    fixed: true,
+    create(count) {
+      const pad = [1.0, 0.6];
+      const pins =
+        count === 3
+          ? [
+              { pin: 1, offset: [-1.1, -0.95], size: pad.slice(), pad_type: "SMD" },
+              { pin: 2, offset: [-1.1, 0.95], size: pad.slice(), pad_type: "SMD" },
+              { pin: 3, offset: [1.1, 0], size: pad.slice(), pad_type: "SMD" },
+            ]
+          : dualRow(count, 0.95, 2.2, pad, "SMD");
+      return { body: { size: [1.6, 2.9, 1.1], color: COLORS.plastic }, pins };
+    },
+  },
+  "0603": {
+    pins: 2,
+    fixed: true,
+    create(_count, component) {
+      return {
+        body: chipBody([1.6, 0.8, 0.45], component),
+        pins: chipPins(1.6, [0.9, 0.95]),
+      };
+    },
+  },
+  "0805": {
+    pins: 2,
+    fixed: true,
+    create(_count, component) {
+      return {
+        body: chipBody([2.0, 1.25, 0.5], component),
+        pins: chipPins(1.9, [1.0, 1.3]),
+      };
+    },
+  },
+  "TO-220": {
+    pins: 3,
+    fixed: true,
+    create(count) {
+      // Upright package: pins in a row along X under the body
+      const pins = withDrill(singleRow(count, 0.1 * INCH, [1.8, 1.8], "TH"), 1.1).map((p) => ({
+        ...p,
+        offset: [p.offset[1], 0],
+      }));
+      return { body: { size: [10.2, 4.6, 15], color: COLORS.plastic }, pins };
+    },
+  },
+  PIN_HEADER: {
+    pins: 2,
+    create(count, component) {
+      const rows = Math.max(1, Math.min(2, Number(component.rows) || 1));
+      const pitch = 0.1 * INCH;
+      return {
+        body: {
+          size: [rows * pitch, Math.ceil(count / rows) * pitch, 2.5],
+          color: COLORS.header,
+        },
+        pins: withDrill(headerRows(count, rows, pitch, [1.7, 1.7], "TH"), 1.0),
+      };
+    },
+  },
+  SCREW_TERMINAL: {
+    pins: 2,
+    create(count) {
+      const pitch = 5.08;
+      return {
+        body: { size: [7.6, count * pitch, 10], color: COLORS.terminal },
+        pins: withDrill(singleRow(count, pitch, [2.6, 2.6], "TH"), 1.3),
+      };
+    },
+  },
+};
+
+// Alternative package names (without "-" / "_") → library family
+const PACKAGE_ALIASES = {
+  PDIP: "DIP",
+  SO: "SOIC",
+  SOP: "SOIC",
+  TQFP: "QFP",
+  LQFP: "QFP",
+  SOT23: "SOT-23",
+  TO220: "TO-220",
+  HEADER: "PIN_HEADER",
+  PINHEADER: "PIN_HEADER",
+  SCREWTERMINAL: "SCREW_TERMINAL",
+  TERMINALBLOCK: "SCREW_TERMINAL",
+};
+
+// Component types used by the sample designs → default package
+const TYPE_PACKAGES = {
+  DIP_IC: "DIP",
+  OPTO: "DIP-4",
+  MCU: "QFP-32",
+  MOTOR_DRIVER_IC: "SOIC-16",
+  TRANSISTOR: "SOT-23",
+  MOSFET: "TO-220",
+  REGULATOR: "TO-220",
+  VOLTAGE_REGULATOR: "TO-220",
+  RESISTOR: "0805",
+  CAPACITOR: "0805",
+  CERAMIC_CAPACITOR: "0603",
+  DIODE: "0805",
+  LED: "0805",
+  PIN_HEADER: "PIN_HEADER",
+  HEADER: "PIN_HEADER",
+  SCREW_TERMINAL: "SCREW_TERMINAL",
+  MOTOR_TERMINAL: "SCREW_TERMINAL-2",
+  OUTPUT_TERMINAL: "SCREW_TERMINAL-2",
+};
+
+/**
+ * Parse a package name such as "DIP-40", "soic8", "SOT-23-6" or "0805"
+ * into { family, count? }. Returns null for packages not in the library.
+ */
+export function parsePackage(name) {
+  if (typeof name !== "string") return null;
+  const normalized = name.trim().toUpperCase().replace(/\s+/g, "_");
+
+  const match = /^(.*?)(?:[-_]?(\d+))?$/.exec(normalized);
+  const candidates = [[normalized, undefined]];
+  if (match && match[2] !== undefined) candidates.push([match[1], Number(match[2])]);
+
+  for (const [base, count] of candidates) {
+    const family = PACKAGES[base] ? base : PACKAGE_ALIASES[base.replace(/[-_]/g, "")];
+    if (family) return { family, count };
+  }
+  return null;
+}
+
+/**
+ * Footprint for a component record, or null when neither its `package`
+ * nor its `type` is known. A `package` that is set but not in the library
+ * is not second-guessed from the type.
+ */
+export function resolveFootprint(component) {
+  if (!component) return null;
+
+  const packageName =
+    typeof component.package === "string" && component.package.trim()
+      ? component.package
+      : TYPE_PACKAGES[String(component.type ?? "").toUpperCase()];
+  const parsed = parsePackage(packageName);
+  if (!parsed) return null;
+
+  const family = PACKAGES[parsed.family];
+  const count =
+    Number.isInteger(component.pins) && component.pins > 0
+      ? component.pins
+      : parsed.count ?? family.pins;
+  const { body, pins } = family.create(count, component);
+
+  const footprint = {
+    name: family.fixed && count === family.pins ? parsed.family : `${parsed.family}-${count}`,
+    body,
+    pins,
+  };
+  return component.orientation === "horizontal" ? turnQuarter(footprint) : footprint;
+}
+
+/**
+ * Canonical pad records for every component with a library footprint that
+ * owns none of `pads` (matched by `pad.component`). Each pad is tagged with
+ * `component`, `pin`, `pad_type`, `drill` (through-hole pins) and the
+ * component's `layer`, and turned with the component's `rotation`.
+ */
+export function generateComponentPads(components = [], pads = []) {
+  const owners = new Set(pads.map((p) => p?.component).filter((id) => id !== undefined).map(String));
+  const generated = [];
+
+  components.forEach((component) => {
+    if (owners.has(String(component.id))) return;
+    const footprint = resolveFootprint(component);
+    if (!footprint) return;
+
+    const p = component.position;
+    const center = p.length === 3 ? [p[0], p[2]] : [p[0], p[1]];
+    const rotation = typeof component.rotation === "number" ? component.rotation : 0;
+    const mirrored = resolveBoardSide(component.layer) === BOARD_SIDES.BOTTOM;
+
+    placePins(footprint.pins, center, (rotation * Math.PI) / 180, mirrored).forEach((pin) => {
+      generated.push({
+        id: `${component.id}_${pin.pin}`,
+        component: component.id,
+        pin: pin.pin,
+        pad_type: pin.pad_type,
+        ...(pin.drill ? { drill: pin.drill } : {}),
+        position: pin.position,
+        size: pin.size,
+        ...(rotation ? { rotation } : {}),
+        ...(component.layer !== undefined ? { layer: component.layer } : {}),
+      });
+    });
+  });
+
+  return generated;
+}
+
+function withDrill(pins, drill) {
+  return pins.map((pin) => ({ ...pin, drill }));
+}
+
+// Rows laid out along X instead of Z ("orientation": "horizontal")
+function turnQuarter(footprint) {
+  const [w, h, t] = footprint.body.size;
+  return {
+    ...footprint,
+    body: { ...footprint.body, size: [h, w, t] },
+    pins: footprint.pins.map((p) => ({
+      ...p,
+      offset: [p.offset[1], p.offset[0]],
+      size: [p.size[1], p.size[0]],
+    })),
+  };
+}
+
+// Chip capacitors are tan ceramic, other chips black
+function chipBody(size, component) {
+  return /CAP/i.test(String(component?.type ?? ""))
+    ? { size, color: COLORS.ceramic, material: "ceramic" }
+    : { size, color: COLORS.plastic };
+}
@@ -0,0 +1,138 @@
+/**
+ * Pin rows
+ * --------
+ * Pad layout generators used by the footprint library (library.js). Offsets are in the component's
+ * local frame, X across the body and Z along it, with pin 1 at the -X/-Z
+ * corner and numbering running counter-clockwise seen from the top.
+ *
+ * Each pin: { pin: number, offset: [dx, dz], size: [w, h], pad_type: "TH" | "SMD" }
+ */
+
+const INCH = 25.4;
+
+/**
+ * Dual in-line package: two rows of through-hole pins, 0.1" pitch,
+ * 0.3" row spacing (0.6" from 24 pins up).
+ */
+export function dipPins(count) {
+  const rowSpacing = count >= 24 ? 0.6 * INCH : 0.3 * INCH;
+  return dualRow(count, 0.1 * INCH, rowSpacing, [1.6, 1.6], "TH");
+}
+
+/**
+ * Small-outline IC: two rows of gull-wing SMD pads, 1.27 mm pitch.
+ */
+export function soicPins(count) {
+  return dualRow(count, 1.27, 5.4, [1.55, 0.6], "SMD");
+}
+
+/**
+ * Quad flat package: pins split over four sides, 0.5 mm pitch (0.8 mm up
+ * to 44 pins). A count that does not divide by four puts the extra pins on
+ * the first sides, so every pin gets a pad.
+ */
+export function qfpPins(count) {
+  const sides = [0, 1, 2, 3].map((side) => Math.floor(count / 4) + (side < count % 4 ? 1 : 0));
+  const pitch = count <= 44 ? 0.8 : 0.5;
+  const reach = ((Math.max(...sides) - 1) * pitch) / 2 + 2; // pad centre distance from the body centre
+  const along = [0.3 + (pitch - 0.5) * 0.5, 1.5]; // [across pitch, along lead]
+
+  const pins = [];
+  sides.forEach((perSide, sideIndex) => {
+    const run = (perSide - 1) * pitch;
+    for (let i = 0; i < perSide; i++) {
+      const t = -run / 2 + i * pitch;
+      // Left side top→bottom, bottom side left→right, right side bottom→top, top side right→left
+      const placements = [
+        { offset: [-reach, t], size: [along[1], along[0]] },
+        { offset: [t, reach], size: [along[0], along[1]] },
+        { offset: [reach, -t], size: [along[1], along[0]] },
+        { offset: [-t, -reach], size: [along[0], along[1]] },
+      ];
+      pins.push({ pin: pins.length + 1, ...placements[sideIndex], pad_type: "SMD" });
+    }
+  });
+  return pins;
+}
+
+/**
+ * Single row of `count` pins along Z, pin 1 at -Z.
+ */
+export function singleRow(count, pitch, size, padType) {
+  const run = (count - 1) * pitch;
+  return Array.from({ length: count }, (_, i) => ({
+    pin: i + 1,
+    offset: [0, -run / 2 + i * pitch],
+    size: size.slice(),
+    pad_type: padType,
+  }));
+}
+
+/**
+ * Pin rows of a header: `rows` rows side by side, pins numbered across the
+ * rows first (1-2 on the first position, 3-4 on the next, ...).
+ */
+export function headerRows(count, rows, pitch, size, padType) {
+  const perRow = Math.ceil(count / rows);
+  const run = (perRow - 1) * pitch;
+  const across = (rows - 1) * pitch;
+  const pins = [];
+  for (let i = 0; i < count; i++) {
+    pins.push({
+      pin: i + 1,
+      offset: [-across / 2 + (i % rows) * pitch, -run / 2 + Math.floor(i / rows) * pitch],
+      size: size.slice(),
+      pad_type: padType,
+    });
+  }
+  return pins;
+}
+
+/**
+ * Two-terminal chip (resistor / capacitor / LED): pads at ±span/2 along X.
+ */
+export function chipPins(span, size) {
+  return [
+    { pin: 1, offset: [-span / 2, 0], size: size.slice(), pad_type: "SMD" },
+    { pin: 2, offset: [span / 2, 0], size: size.slice(), pad_type: "SMD" },
+  ];
+}
+
+/**
+ * Convert pin offsets to board positions for a component placed at
+ * `position` ([x, z] on the board), rotated by `angle` (radians about the
+ * board normal). Bottom-side footprints are mirrored along X.
+ */
+export function placePins(pins, position, angle = 0, mirrored = false) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return pins.map((pin) => {
+    const dx = mirrored ? -pin.offset[0] : pin.offset[0];
+    const dz = pin.offset[1];
+    return {
+      ...pin,
+      position: [position[0] + dx * cos + dz * sin, position[1] - dx * sin + dz * cos],
+    };
+  });
+}
+
+/**
+ * Two rows of pins along Z, `rowSpacing` apart, numbered down the -X row
+ * and back up the +X row.
+ */
+export function dualRow(count, pitch, rowSpacing, size, padType) {
+  const perRow = Math.ceil(count / 2);
+  const run = (perRow - 1) * pitch;
+  const pins = [];
+  for (let i = 0; i < count; i++) {
+    const left = i < perRow;
+    const index = left ? i : count - 1 - i;
+    pins.push({
+      pin: i + 1,
+      offset: [left ? -rowSpacing / 2 : rowSpacing / 2, -run / 2 + index * pitch],
+      size: size.slice(),
+      pad_type: padType,
+    });
+  }
+  return pins;
+}
@@ -0,0 +1,82 @@
+/**
+ * CommandHistory
+ * --------------
+ * Bounded undo / redo stack of reversible edits.
+ *
+ * command: { label: string, undo: () => void, redo: () => void, key?: string }
+ *
+ * Commands are recorded once they have been applied (push) or applied and
+ * recorded in one go (execute). A command pushed within `coalesceMs` of the
+ * previous one with the same `key` is merged into it, so typing a value or
+ * nudging the same field repeatedly is undone as a single step.
+ */
+export class CommandHistory {
+  constructor({ limit = 100, coalesceMs = 1000, onChange } = {}) {
+    this.limit = limit;
+    this.coalesceMs = coalesceMs;
+    this.onChange = onChange || (() => {});
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Record an already applied command. Clears the redo stack.
+   */
+  push(command) {
+    if (!command) return;
+    const now = Date.now();
+    const top = this._undoStack[this._undoStack.length - 1];
+
+    if (command.key && top && top.key === command.key && now - top.time < this.coalesceMs) {
+      // Keep the oldest undo, take the newest redo
+      top.redo = command.redo;
+      top.time = now;
+    } else {
+      this._undoStack.push({ ...command, time: now });
+      if (this._undoStack.length > this.limit) this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this.onChange();
+  }
+
+  /**
+   * Apply a command (its redo) and record it.
+   */
+  execute(command) {
+    command.redo();
+    this.push(command);
+  }
+
+  undo() {
+    const command = this._undoStack.pop();
+    if (!command) return false;
+    command.undo();
+    this._redoStack.push(command);
+    this.onChange();
+    return true;
+  }
+
+  redo() {
+    const command = this._redoStack.pop();
+    if (!command) return false;
+    command.redo();
+    // A redone step never merges with the next edit
+    this._undoStack.push({ ...command, time: 0 });
+    this.onChange();
+    return true;
+  }
+
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this.onChange();
+  }
+}
@@ -1,5 +1,19 @@
 import * as THREE from "three";
 import { TransformControls } from "three/examples/jsm/controls/TransformControls";
+import { boardSideLabel } from "../engine/Layers";
+import { RouteTool } from "./RouteTool";
+import { polylineLength, tracePath } from "../primitives/Traces";
+
+// Pointer travel (px) after which a modifier-drag becomes a box selection
+const BOX_THRESHOLD = 4;
+// Emissive tint of selected component bodies
+const SELECTED_EMISSIVE = 0x553300;
+// Corner handles of a selected trace / zone, and the smaller ones halfway
+// along its edges that add a corner
+const HANDLE_COLOR = 0xffffff;
+const HANDLE_MIN_RADIUS = 0.25;
+const MIDPOINT_SCALE = 0.7;
+const MIDPOINT_OPACITY = 0.45;
 
 /**
  * InteractionManager
@@ -7,8 +21,26 @@ import { TransformControls } from "three/examples/jsm/controls/TransformControls
  * Handles raycasting, hover, selection, and transform controls.
  * - Listens to mouse events on the renderer canvas
  * - Performs instance-level picking for InstancedMesh
- * - Updates shader uniforms for visual feedback
- * - Manages TransformControls for selected objects
+ * - Updates shader uniforms / attributes for visual feedback
+ * - Highlights the net of the selected copper
+ * - Manages TransformControls for the selection
+ * - Snaps drags to the engine's placement grid
+ * - Turns the selection about the board normal: E switches the gizmo between
+ *   moving and free rotation, R / Shift+R turn by 90° (see setTransformMode)
+ * - Records drags as undo steps and handles the edit shortcuts
+ *   (Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo, Delete / Backspace delete)
+ * - Hands pointer and keys to the RouteTool while routing (startRouting)
+ * - Shows corner handles on a single selected trace or zone; dragging one
+ *   moves that corner, dragging an edge's midpoint handle adds one
+ * - B refills the copper zones
+ *
+ * The selection is a list of engine targets: pad ids and trace / zone /
+ * component meshes. Shift / Ctrl-click toggles an item, Shift / Ctrl-drag draws a
+ * selection rectangle (adding to the selection) and the gizmo moves or
+ * turns the whole selection together. A component is selected as a whole:
+ * clicking one of its pads picks the component (which carries its pads
+ * along, see Engine.getComponentPads); Alt-click / Alt-drag picks single
+ * pads instead.
  */
 export class InteractionManager {
   constructor(engine, onSelectionChange) {
@@ -18,15 +50,32 @@ export class InteractionManager {
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     this.hoveredInstanceId = -1;
-    this.selectedInstanceId = -1;
-    this.selectedObject = null;
+    this.hoveredObject = null;
+    this.selection = [];
     this.transformControls = null;
+    // Gizmo anchor at the centre of the selection
+    this.pivot = new THREE.Object3D();
+    // Drag in progress: { origin, items: [{ target, start }], before, angle (deg turned), turned }
+    this._drag = null;
+    // Box selection in progress: { x, y, element? }
+    this._box = null;
+    this._suppressClick = false;
+    // Active RouteTool while in routing mode
+    this.router = null;
+    // Corner handles of the selected trace / zone, and the corner being dragged:
+    // { mesh, index, before, added, moved }
+    this.vertexHandles = null;
+    this._vertexDrag = null;
 
     // Bind handlers
     this._onMouseMove = this._onMouseMove.bind(this);
     this._onClick = this._onClick.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
     this._onTransformChange = this._onTransformChange.bind(this);
     this._onTransformDrag = this._onTransformDrag.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
 
     this._setupEventListeners();
     this._setupTransformControls();
@@ -39,6 +88,11 @@ export class InteractionManager {
     const canvas = this.engine.renderer.domElement;
     canvas.addEventListener("mousemove", this._onMouseMove);
     canvas.addEventListener("click", this._onClick);
+    // Capture phase: runs before OrbitControls so a box drag doesn't pan
+    canvas.addEventListener("pointerdown", this._onPointerDown, true);
+    window.addEventListener("pointermove", this._onPointerMove);
+    window.addEventListener("pointerup", this._onPointerUp);
+    window.addEventListener("keydown", this._onKeyDown);
   }
 
   /**
@@ -49,19 +103,93 @@ export class InteractionManager {
       this.engine.camera,
       this.engine.renderer.domElement
     );
-    this.transformControls.setMode("translate");
-    this.transformControls.showY = false; // Lock to XZ plane
     this.transformControls.setSpace("world");
+    this.setTransformMode("translate");
 
     // Disable orbit controls while dragging
     this.transformControls.addEventListener("dragging-changed", (event) => {
       this.engine.controls.enabled = !event.value;
+
+      if (event.value) {
+        const targets = this.selection.slice();
+        this.pivot.quaternion.identity();
+        this._drag = {
+          origin: this.pivot.position.clone(),
+          items: targets.map((target) => ({ target, start: this.engine.entityPosition(target) })),
+          before: this.engine.snapshot(targets),
+          angle: 0,
+          turned: targets,
+        };
+        return;
+      }
+
+      // One undo step per drag, however many intermediate moves it made
+      const drag = this._drag;
+      this._drag = null;
+      // The click that ends the drag must not change the selection
+      this._suppressClick = true;
+      if (!drag) return;
+      const targets = drag.items.map((item) => item.target);
+      if (drag.angle !== 0) {
+        this.engine.recordEdit("Rotate", drag.before, this.engine.snapshot(targets));
+      } else if (!this.pivot.position.equals(drag.origin)) {
+        this.engine.recordEdit("Move", drag.before, this.engine.snapshot(targets));
+      }
+      this.pivot.quaternion.identity();
+      // Silkscreen / board holes follow the moved components, vias and pads
+      this.engine.refreshDependents(drag.turned);
+      if (drag.angle !== 0) this.refreshSelection();
     });
 
     this.transformControls.addEventListener("change", this._onTransformChange);
     this.transformControls.addEventListener("objectChange", this._onTransformDrag);
 
-    this.engine.scene.add(this.transformControls);
+    // The gizmo is drawn by the controls' helper; the pivot it drags needs a parent
+    this.engine.scene.add(this.transformControls.getHelper());
+    this.engine.scene.add(this.pivot);
+  }
+
+  /**
+   * Switch the gizmo between moving ("translate", in the board plane) and
+   * turning ("rotate", about the board normal only) the selection.
+   */
+  setTransformMode(mode) {
+    const rotate = mode === "rotate";
+    this.transformControls.setMode(rotate ? "rotate" : "translate");
+    this.transformControls.showX = !rotate;
+    this.transformControls.showY = rotate;
+    this.transformControls.showZ = !rotate;
+  }
+
+  /**
+   * Turn the selection by `degrees` (counter-clockwise seen from the top)
+   * about its centre, as one undo step.
+   */
+  rotateSelection(degrees) {
+    const targets = this.selection.slice();
+    if (!targets.length) return;
+    const before = this.engine.snapshot(targets);
+    this.engine.rotateEntities(targets, degrees, { center: [this.pivot.position.x, this.pivot.position.z] });
+    this.engine.recordEdit("Rotate", before, this.engine.snapshot(targets));
+    this.refreshSelection();
+  }
+
+  /**
+   * Enter routing mode (see RouteTool): clicks draw traces instead of
+   * selecting. `onChange` receives the router status.
+   */
+  startRouting(options, onChange) {
+    this.stopRouting();
+    this.clearSelection();
+    this.router = new RouteTool(this.engine, { options, onChange });
+    this.engine.renderer.domElement.style.cursor = "crosshair";
+  }
+
+  stopRouting() {
+    if (!this.router) return;
+    this.router.dispose();
+    this.router = null;
+    this.engine.renderer.domElement.style.cursor = "default";
   }
 
   /**
@@ -74,11 +202,11 @@ export class InteractionManager {
   }
 
   /**
-   * Get all interactable objects from the scene.
+   * Get all interactable objects from the scene (skipping hidden layers).
    */
   _getInteractableObjects() {
     const objects = [];
-    this.engine.scene.traverse((obj) => {
+    this.engine.scene.traverseVisible((obj) => {
       if (obj.userData.exportable || obj.userData.type === "pads_copper" || obj.userData.type === "trace") {
         objects.push(obj);
       }
@@ -94,6 +222,7 @@ export class InteractionManager {
 
     if (!hit) {
       this.hoveredInstanceId = -1;
+      this.hoveredObject = null;
       if (canvas) {
         canvas.style.cursor = "default";
       }
@@ -115,131 +244,271 @@ export class InteractionManager {
       canvas.style.cursor = isInteractable ? "pointer" : "default";
     }
 
-    if (this.hoveredInstanceId !== newHoveredId) {
+    if (this.hoveredInstanceId !== newHoveredId || this.hoveredObject !== obj) {
       this.hoveredInstanceId = newHoveredId;
+      this.hoveredObject = obj;
       this._updateShaderUniforms();
     }
   }
 
   /**
-   * Update selection state.
+   * Engine target (pad id or mesh) of a raycast hit, or null. A pad owned
+   * by a component stands for the component unless `pads` is set.
    */
-  _updateSelection(hit) {
-    if (!hit) {
-      // Deselect
-      this.selectedInstanceId = -1;
-      this.selectedObject = null;
-      if (this.transformControls) {
-        this.transformControls.detach();
-      }
-      this.onSelectionChange(null);
-      this._updateShaderUniforms();
+  _targetOfHit(hit, { pads = false } = {}) {
+    const object = hit.object;
+    if (hit.instanceId !== undefined && object.userData.idMap) {
+      const id = object.userData.idMap[hit.instanceId]?.id ?? null;
+      return (!pads && id !== null && this.engine.componentOf(id)) || id;
+    }
+    if (object.userData.type === "trace" || object.userData.exportable) return object;
+    return null;
+  }
+
+  /**
+   * Replace the selection (an array of targets) and sync the gizmo,
+   * highlighting and UI.
+   */
+  setSelection(targets) {
+    this.selection = targets.filter((t) => t !== null && t !== undefined);
+    this._attachGizmo();
+    this._updateVertexHandles();
+    this._updateShaderUniforms();
+    this._highlightSelectedNet();
+    this._emitSelection();
+  }
+
+  /**
+   * Highlight the net of the selected pads / traces / vias when they are
+   * all on the same one.
+   */
+  _highlightSelectedNet() {
+    const nets = new Set(this.selection.map((t) => this.engine.getNetOf(t)).filter(Boolean));
+    this.engine.highlightNet(nets.size === 1 ? [...nets][0] : null);
+  }
+
+  /**
+   * Add / remove one target from the selection.
+   */
+  toggleSelection(target) {
+    const rest = this.selection.filter((t) => t !== target);
+    this.setSelection(rest.length === this.selection.length ? [...this.selection, target] : rest);
+  }
+
+  /**
+   * Deselect everything (e.g. after undo / redo replaced what was selected).
+   */
+  clearSelection() {
+    this.setSelection([]);
+  }
+
+  /**
+   * Re-emit the selection payload after the selected entities changed.
+   */
+  refreshSelection() {
+    this.setSelection(this.selection.filter((t) => this.engine.entityPosition(t) !== null));
+  }
+
+  /**
+   * Put the translate gizmo at the centre of the selection.
+   */
+  _attachGizmo() {
+    const positions = this.selection.map((t) => this.engine.entityPosition(t)).filter(Boolean);
+    if (!positions.length) {
+      this.transformControls.detach();
       return;
     }
+    const center = positions
+      .reduce((sum, p) => sum.add(new THREE.Vector3().fromArray(p)), new THREE.Vector3())
+      .divideScalar(positions.length);
+    this.pivot.position.copy(center);
+    this.pivot.updateMatrixWorld();
+    this.transformControls.attach(this.pivot);
+  }
 
-    const object = hit.object;
-    const instanceId = hit.instanceId !== undefined ? hit.instanceId : -1;
-
-    // If it's an instanced mesh, get the pad data
-    if (instanceId >= 0 && object.userData.idMap) {
-      const padData = object.userData.idMap[instanceId];
-      if (padData) {
-        this.selectedInstanceId = instanceId;
-        this.selectedObject = object;
-
-        // Create a dummy object at the instance position for TransformControls
-        const dummy = new THREE.Object3D();
-        object.getMatrixAt(instanceId, dummy.matrix);
-        dummy.matrix.decompose(dummy.position, dummy.quaternion, dummy.scale);
-
-        this.transformControls.attach(dummy);
-        this.transformControls.userData.instanceId = instanceId;
-        this.transformControls.userData.instanceMesh = object;
-        this.transformControls.userData.dummy = dummy;
-
-        const base = padData.raw || padData;
-        this.onSelectionChange({
-          ...base,
-          id: padData.id,
-          type: "pad",
-          position: [dummy.position.x, dummy.position.y, dummy.position.z],
-          size: padData.size.slice(),
-          area: padData.size[0] * padData.size[1],
-          net: base.net,
-          layer: base.layer ?? "Top Copper",
-          component: base.component ?? base.refdes ?? base.ref,
-          pin: base.pin,
-          pad_type: base.pad_type ?? base.padType ?? base.pad,
-          instanceId,
-          object,
-        });
-      }
-    } else if (object.userData.type === "trace") {
-      // Regular mesh (trace)
-      this.selectedInstanceId = -1;
-      this.selectedObject = object;
-      this.transformControls.attach(object);
-
-      const raw = object.userData.raw || {};
-      const start = object.userData.start || raw.start;
-      const end = object.userData.end || raw.end;
-      const length =
-        Array.isArray(start) && Array.isArray(end)
-          ? new THREE.Vector3().fromArray(start).distanceTo(new THREE.Vector3().fromArray(end))
-          : 0;
-      this.onSelectionChange({
+  /**
+   * Rebuild the corner handles: one per vertex of the selected trace or
+   * zone when it is the only selected item, plus one halfway along each
+   * edge (userData.insertIndex) to add a corner there.
+   */
+  _updateVertexHandles() {
+    if (this.vertexHandles) {
+      this.engine.scene.remove(this.vertexHandles);
+      this.engine._disposeObject(this.vertexHandles);
+      this.vertexHandles = null;
+    }
+    const mesh = this.selection.length === 1 ? this.selection[0] : null;
+    const vertices = mesh?.isObject3D ? this.engine.getVertices(mesh) : null;
+    if (!vertices) return;
+
+    const { points, closed } = vertices;
+    const group = new THREE.Group();
+    group.userData.type = "vertex_handles";
+    const radius = Math.max((mesh.userData.width ?? 0) * 0.6, HANDLE_MIN_RADIUS);
+    const geometry = new THREE.SphereGeometry(radius, 12, 8);
+    const handle = (position, opacity, scale) => {
+      const sphere = new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({ color: HANDLE_COLOR, depthTest: false, transparent: true, opacity })
+      );
+      sphere.position.fromArray(position);
+      sphere.scale.setScalar(scale);
+      // Drawn over the copper
+      sphere.renderOrder = 11;
+      group.add(sphere);
+      return sphere;
+    };
+    points.forEach((point, index) => {
+      handle(point, 0.85, 1).userData.vertexIndex = index;
+    });
+    const edges = closed ? points.length : points.length - 1;
+    for (let i = 0; i < edges; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const midpoint = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+      handle(midpoint, MIDPOINT_OPACITY, MIDPOINT_SCALE).userData.insertIndex = i + 1;
+    }
+    this.vertexHandles = group;
+    this.engine.scene.add(group);
+  }
+
+  /**
+   * Notify React: null, one entity's payload, or a "multiple" payload with
+   * the fields the selected entities share.
+   */
+  _emitSelection() {
+    const payloads = this.selection.map((t) => this._payloadFor(t)).filter(Boolean);
+    if (!payloads.length) {
+      this.onSelectionChange(null);
+    } else if (payloads.length === 1) {
+      this.onSelectionChange(payloads[0]);
+    } else {
+      this.onSelectionChange(multiSelection(payloads));
+    }
+  }
+
+  /**
+   * Selection payload of one target.
+   */
+  _payloadFor(target) {
+    if (!target?.isObject3D) {
+      const found = this.engine.findPad(target);
+      return found ? this._padSelection(found.pad, found.instanceId, found.mesh) : null;
+    }
+
+    const object = target;
+    const raw = object.userData.raw || {};
+    if (this.engine.zones.includes(object)) {
+      return {
         ...raw,
-        id: object.userData.id || raw.id || "trace",
-        type: object.userData.type || raw.type || "trace",
+        id: raw.id ?? "zone",
+        type: "zone",
         position: [object.position.x, object.position.y, object.position.z],
-        width: object.userData.width ?? raw.width ?? 0,
-        length_mm: raw.length_mm ?? length,
-        net: raw.net ?? object.userData.net,
-        layer: raw.layer ?? "Top Copper",
-        area: 0,
+        net: raw.net,
+        layer: this.engine.getLayerName(object.userData.layer),
+        side: object.userData.side,
+        area: object.userData.fill?.area ?? 0,
         instanceId: -1,
         object,
-      });
-    } else if (object.userData.exportable) {
-      // Any exportable component (standard meshes) - keep this generic so imported types work (MCU, DIP_IC, etc)
-      this.selectedInstanceId = -1;
-      this.selectedObject = object;
-      this.transformControls.attach(object);
-
-      const raw = object.userData.raw || {};
-      this.onSelectionChange({
+      };
+    }
+    if (object.userData.type === "trace") {
+      const length = polylineLength(tracePath(object).points);
+      return {
         ...raw,
-        id: object.userData.id || raw.id || object.userData.type || "component",
-        type: object.userData.type || raw.type || "component",
+        id: object.userData.id || raw.id || "trace",
+        type: object.userData.type || raw.type || "trace",
         position: [object.position.x, object.position.y, object.position.z],
-        size: object.userData.size || raw.size || [0, 0, 0],
-        net: raw.net,
-        layer: raw.layer,
+        width: object.userData.width ?? raw.width ?? 0,
+        length_mm: length,
+        net: raw.net ?? object.userData.net,
+        layer: this.engine.getLayerName(object.userData.layer),
+        side: object.userData.side,
         area: 0,
         instanceId: -1,
         object,
-      });
-    } else {
-      // Unhandled type – ignore
+      };
     }
 
-    this._updateShaderUniforms();
+    // Any exportable component (standard meshes) - keep this generic so imported types work (MCU, DIP_IC, etc)
+    return {
+      ...raw,
+      id: object.userData.id || raw.id || object.userData.type || "component",
+      type: object.userData.type || raw.type || "component",
+      position: [object.position.x, object.position.y, object.position.z],
+      size: object.userData.size || raw.size || [0, 0, 0],
+      rotation: object.userData.drill ? undefined : this.engine.entityRotation(object),
+      package: object.userData.package ?? raw.package,
+      body: object.userData.body ? { ...object.userData.body } : undefined,
+      net: raw.net,
+      layer: object.userData.type === "via" ? undefined : boardSideLabel(object.userData.side),
+      side: object.userData.side,
+      area: 0,
+      instanceId: -1,
+      object,
+    };
+  }
+
+  /**
+   * Selection payload for one pad instance, including the component /
+   * pin it belongs to.
+   */
+  _padSelection(padData, instanceId, object) {
+    const base = padData.raw || padData;
+    return {
+      ...base,
+      id: padData.id,
+      type: "pad",
+      position: padData.position.slice(),
+      size: padData.size.slice(),
+      rotation: padData.rotation,
+      area: padData.size[0] * padData.size[1],
+      net: base.net,
+      layer: boardSideLabel(padData.side),
+      side: padData.side,
+      component: base.component ?? base.refdes ?? base.ref,
+      pin: base.pin,
+      pad_type: base.pad_type ?? base.padType ?? base.pad,
+      instanceId,
+      object,
+    };
   }
 
   /**
-   * Update shader uniforms for all copper materials.
+   * Update shader uniforms for all copper materials. Instance ids are only
+   * unique per mesh, so only the hovered mesh gets a valid hover id; the
+   * selection is written to each pad mesh's `instanceSelected` flags.
+   * Selected component bodies get an emissive tint.
    */
   _updateShaderUniforms() {
+    const selectedPads = new Set(this.selection.filter((t) => !t?.isObject3D));
+    const selectedMeshes = new Set(this.selection.filter((t) => t?.isObject3D));
+    // Pads of selected components light up with them
+    selectedMeshes.forEach((mesh) => this.engine.getComponentPads(mesh).forEach((id) => selectedPads.add(id)));
+
     this.engine.scene.traverse((obj) => {
       const mat = obj.material;
       if (mat && mat.uniforms) {
         if (mat.uniforms.uHoveredInstanceId) {
-          mat.uniforms.uHoveredInstanceId.value = this.hoveredInstanceId;
+          mat.uniforms.uHoveredInstanceId.value =
+            obj === this.hoveredObject ? this.hoveredInstanceId : -1;
         }
-        if (mat.uniforms.uSelectedInstanceId) {
-          mat.uniforms.uSelectedInstanceId.value = this.selectedInstanceId;
+        if (mat.uniforms.uSelected) {
+          mat.uniforms.uSelected.value = selectedMeshes.has(obj) ? 1 : 0;
         }
       }
+
+      const flags = obj.isInstancedMesh && obj.geometry.getAttribute("instanceSelected");
+      if (flags && obj.userData.idMap) {
+        Object.values(obj.userData.idMap).forEach((pad) => {
+          flags.setX(pad.instanceId, selectedPads.has(pad.id) ? 1 : 0);
+        });
+        flags.needsUpdate = true;
+      }
+
+      if (mat?.emissive && this.engine.components.includes(obj)) {
+        mat.emissive.setHex(selectedMeshes.has(obj) ? SELECTED_EMISSIVE : 0x000000);
+      }
     });
   }
 
@@ -249,6 +518,10 @@ export class InteractionManager {
   _onMouseMove(event) {
     this._updateMouse(event);
     this.raycaster.setFromCamera(this.mouse, this.engine.camera);
+    if (this.router) {
+      this.router.move(this.raycaster);
+      return;
+    }
 
     const objects = this._getInteractableObjects();
     const hits = this.raycaster.intersectObjects(objects, true);
@@ -261,14 +534,24 @@ export class InteractionManager {
   }
 
   /**
-   * Handle click for selection.
+   * Handle click for selection: replace it, or toggle the clicked item
+   * with Shift / Ctrl / Cmd held.
    */
   _onClick(event) {
+    if (this._suppressClick) {
+      this._suppressClick = false;
+      return;
+    }
     this._updateMouse(event);
     this.raycaster.setFromCamera(this.mouse, this.engine.camera);
+    if (this.router) {
+      this.router.click(this.raycaster);
+      return;
+    }
 
     const objects = this._getInteractableObjects();
     const hits = this.raycaster.intersectObjects(objects, true);
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey;
 
     let bestHit = null;
     if (hits.length > 0) {
@@ -284,10 +567,223 @@ export class InteractionManager {
             h.object.userData.type === "via"
         ) ||
         hits[0];
-      this._updateSelection(bestHit);
+    }
+
+    const target = bestHit ? this._targetOfHit(bestHit, { pads: event.altKey }) : null;
+    if (target === null) {
+      // Click on empty space: deselect (unless adding to the selection)
+      if (!additive) this.clearSelection();
+    } else if (additive) {
+      this.toggleSelection(target);
     } else {
-      // Click on empty space: deselect
-      this._updateSelection(null);
+      this.setSelection([target]);
+    }
+  }
+
+  /**
+   * Shift / Ctrl / Cmd + drag on the canvas starts a box selection; a plain
+   * drag on a corner handle moves the corner, on a midpoint handle it adds
+   * a corner there first.
+   */
+  _onPointerDown(event) {
+    if (this.router || event.button !== 0) return;
+    // Leave gizmo handles to TransformControls
+    if (this.transformControls.axis !== null) return;
+
+    if (this.vertexHandles) {
+      this._updateMouse(event);
+      this.raycaster.setFromCamera(this.mouse, this.engine.camera);
+      const hit = this.raycaster.intersectObjects(this.vertexHandles.children, false)[0];
+      if (hit) {
+        const mesh = this.selection[0];
+        const before = this.engine.snapshot(mesh);
+        const { vertexIndex, insertIndex } = hit.object.userData;
+        if (insertIndex !== undefined) {
+          const { x, z } = hit.object.position;
+          this.engine.insertVertex(mesh, insertIndex, x, z, { refresh: false });
+          this._updateVertexHandles();
+        }
+        this._vertexDrag = {
+          mesh,
+          index: insertIndex ?? vertexIndex,
+          before,
+          added: insertIndex !== undefined,
+          moved: insertIndex !== undefined,
+        };
+        this.engine.controls.enabled = false;
+        return;
+      }
+    }
+
+    if (!(event.shiftKey || event.ctrlKey || event.metaKey)) return;
+    this._box = { x: event.clientX, y: event.clientY, element: null };
+    this.engine.controls.enabled = false;
+  }
+
+  _onPointerMove(event) {
+    if (this._vertexDrag) {
+      this._dragVertex(event);
+      return;
+    }
+    const box = this._box;
+    if (!box) return;
+    const dx = event.clientX - box.x;
+    const dy = event.clientY - box.y;
+    if (!box.element && Math.hypot(dx, dy) < BOX_THRESHOLD) return;
+
+    if (!box.element) {
+      box.element = document.createElement("div");
+      box.element.style.cssText =
+        "position:fixed;pointer-events:none;z-index:40;border:1px solid #22c55e;background:rgba(34,197,94,0.12)";
+      document.body.appendChild(box.element);
+    }
+    Object.assign(box.element.style, {
+      left: `${Math.min(box.x, event.clientX)}px`,
+      top: `${Math.min(box.y, event.clientY)}px`,
+      width: `${Math.abs(dx)}px`,
+      height: `${Math.abs(dy)}px`,
+    });
+  }
+
+  _onPointerUp(event) {
+    if (this._vertexDrag) {
+      this._endVertexDrag();
+      return;
+    }
+    const box = this._box;
+    if (!box) return;
+    this._box = null;
+    this.engine.controls.enabled = true;
+    if (!box.element) return; // A plain modifier-click: handled by _onClick
+
+    box.element.remove();
+    this._suppressClick = true;
+    const inside = this._targetsInRect(
+      Math.min(box.x, event.clientX),
+      Math.min(box.y, event.clientY),
+      Math.max(box.x, event.clientX),
+      Math.max(box.y, event.clientY),
+      { pads: event.altKey }
+    );
+    const added = inside.filter((t) => !this.selection.includes(t));
+    this.setSelection([...this.selection, ...added]);
+  }
+
+  /**
+   * Move the dragged corner to the pointer, on the trace's / zone's copper
+   * plane, snapped to the placement grid.
+   */
+  _dragVertex(event) {
+    const { mesh, index } = this._vertexDrag;
+    this._updateMouse(event);
+    this.raycaster.setFromCamera(this.mouse, this.engine.camera);
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -mesh.position.y);
+    const point = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!point) return;
+
+    this._vertexDrag.moved = true;
+    this.engine.moveVertex(mesh, index, this.engine.snapToGrid(point.x), this.engine.snapToGrid(point.z), {
+      refresh: false,
+    });
+    this._updateVertexHandles();
+    this._emitSelection();
+  }
+
+  /**
+   * Finish a corner drag as one undo step.
+   */
+  _endVertexDrag() {
+    const { mesh, before, added, moved } = this._vertexDrag;
+    this._vertexDrag = null;
+    this.engine.controls.enabled = true;
+    if (!moved) return;
+
+    // The click that ends the drag must not change the selection
+    this._suppressClick = true;
+    this.engine.recordEdit(added ? "Add corner" : "Move corner", before, this.engine.snapshot(mesh));
+    this.engine.refreshDependents([mesh]);
+    this.refreshSelection();
+  }
+
+  /**
+   * Visible pads, traces and components whose centre projects inside the
+   * given client-space rectangle, and zones whose whole outline does.
+   * Pads owned by a component stand for the component unless `pads` is set.
+   */
+  _targetsInRect(left, top, right, bottom, { pads = false } = {}) {
+    const rect = this.engine.renderer.domElement.getBoundingClientRect();
+    const point = new THREE.Vector3();
+    const inside = (x, y, z) => {
+      point.set(x, y, z).project(this.engine.camera);
+      if (point.z < -1 || point.z > 1) return false;
+      const sx = rect.left + ((point.x + 1) / 2) * rect.width;
+      const sy = rect.top + ((1 - point.y) / 2) * rect.height;
+      return sx >= left && sx <= right && sy >= top && sy <= bottom;
+    };
+
+    const targets = [];
+    this._getInteractableObjects().forEach((obj) => {
+      if (this.engine.zones.includes(obj)) {
+        if (this.engine.getVertices(obj).points.every((p) => inside(...p))) targets.push(obj);
+      } else if (obj.userData.idMap) {
+        Object.values(obj.userData.idMap).forEach((pad) => {
+          if (!inside(...pad.position)) return;
+          const owner = !pads && this.engine.componentOf(pad.id);
+          if (!targets.includes(owner || pad.id)) targets.push(owner || pad.id);
+        });
+      } else if (
+        (this.engine.traces.includes(obj) || this.engine.components.includes(obj)) &&
+        inside(obj.position.x, obj.position.y, obj.position.z) &&
+        !targets.includes(obj)
+      ) {
+        targets.push(obj);
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * Edit shortcuts. Ignored while typing into a form field.
+   */
+  _onKeyDown(event) {
+    const target = event.target;
+    if (target?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target?.tagName)) return;
+    if (this.transformControls?.dragging) return;
+
+    const key = event.key.toLowerCase();
+    if (this.router && !(event.ctrlKey || event.metaKey)) {
+      // Escape cancels the trace being drawn, Backspace / Delete removes its last corner
+      if (key === "escape") this.router.cancel();
+      else if (key === "backspace" || key === "delete") this.router.back();
+      else return;
+      event.preventDefault();
+      return;
+    }
+    if (event.ctrlKey || event.metaKey) {
+      if (key === "z") {
+        event.preventDefault();
+        if (event.shiftKey) this.engine.redo();
+        else this.engine.undo();
+      } else if (key === "y") {
+        event.preventDefault();
+        this.engine.redo();
+      }
+    } else if (key === "b") {
+      event.preventDefault();
+      this.engine.refillZones();
+      this.refreshSelection();
+    } else if (key === "r") {
+      event.preventDefault();
+      this.rotateSelection(event.shiftKey ? -90 : 90);
+    } else if (key === "e") {
+      event.preventDefault();
+      this.setTransformMode(this.transformControls.getMode() === "rotate" ? "translate" : "rotate");
+    } else if (key === "delete" || key === "backspace") {
+      if (!this.selection.length) return;
+      event.preventDefault();
+      const targets = this.selection;
+      this.clearSelection();
+      this.engine.deleteEntities(targets);
     }
   }
 
@@ -300,67 +796,48 @@ export class InteractionManager {
   }
 
   /**
-   * Handle transform control object change (after drag ends).
+   * Move every selected entity by the gizmo's offset from where the drag
+   * started, rounded so that the first entity lands on the placement grid
+   * (the others keep their distance to it), or in rotate mode turn them by
+   * the gizmo's angle about the selection centre.
    */
   _onTransformDrag() {
-    if (!this.transformControls.object) return;
-
-    const dummy = this.transformControls.userData.dummy;
-    const instanceMesh = this.transformControls.userData.instanceMesh;
-    const instanceId = this.transformControls.userData.instanceId;
-
-    if (dummy && instanceMesh && instanceId >= 0) {
-      // Lock Y position to board surface
-      dummy.position.y = 0.8;
-
-      // Update instance matrix
-      dummy.updateMatrix();
-      instanceMesh.setMatrixAt(instanceId, dummy.matrix);
-      instanceMesh.instanceMatrix.needsUpdate = true;
-      // Keep bounds up to date for reliable raycasting/culling after edits
-      instanceMesh.computeBoundingBox();
-      instanceMesh.computeBoundingSphere();
-
-      // Update idMap position
-      if (instanceMesh.userData.idMap && instanceMesh.userData.idMap[instanceId]) {
-        instanceMesh.userData.idMap[instanceId].position = [
-          dummy.position.x,
-          dummy.position.y,
-          dummy.position.z,
-        ];
-      }
+    if (!this.transformControls.object || !this._drag) return;
+
+    const { origin, items } = this._drag;
+    if (this.transformControls.getMode() === "rotate") {
+      // Angle about +Y; the gizmo only turns about the board normal
+      const { y, w } = this.pivot.quaternion;
+      const angle = THREE.MathUtils.radToDeg(2 * Math.atan2(y, w));
+      if (angle === this._drag.angle) return;
+      this._drag.turned = this.engine.rotateEntities(
+        items.map((item) => item.target),
+        angle - this._drag.angle,
+        { center: [origin.x, origin.z], refresh: false }
+      );
+      this._drag.angle = angle;
+      this._updateVertexHandles();
+      this._emitSelection();
+      return;
+    }
 
-      // Notify React
-      const padData = instanceMesh.userData.idMap[instanceId];
-      if (padData) {
-        this.onSelectionChange({
-          id: padData.id,
-          type: "pad",
-          position: [dummy.position.x, dummy.position.y, dummy.position.z],
-          area: padData.size[0] * padData.size[1],
-          size: padData.size.slice(),
-          instanceId,
-          object: instanceMesh,
-        });
-      }
-    } else if (this.selectedObject && this.selectedObject.userData.type === "trace") {
-      // Handle trace movement
-      this.selectedObject.position.y = 0.81; // Lock to board surface
-
-      this.onSelectionChange({
-        id: this.selectedObject.userData.id || "trace",
-        type: "trace",
-        position: [
-          this.selectedObject.position.x,
-          this.selectedObject.position.y,
-          this.selectedObject.position.z,
-        ],
-        width: this.selectedObject.userData.width ?? 0,
-        area: 0,
-        instanceId: -1,
-        object: this.selectedObject,
-      });
+    let dx = this.pivot.position.x - origin.x;
+    let dz = this.pivot.position.z - origin.z;
+    const anchor = items.find((item) => item.start)?.start;
+    if (anchor) {
+      dx = this.engine.snapToGrid(anchor[0] + dx) - anchor[0];
+      dz = this.engine.snapToGrid(anchor[2] + dz) - anchor[2];
     }
+    this.engine.moveEntities(
+      items
+        .filter((item) => item.start)
+        .map(({ target, start }) => ({ target, x: start[0] + dx, z: start[2] + dz })),
+      { refresh: false }
+    );
+
+    // Notify React
+    this._updateVertexHandles();
+    this._emitSelection();
   }
 
   /**
@@ -370,14 +847,68 @@ export class InteractionManager {
     const canvas = this.engine.renderer.domElement;
     canvas.removeEventListener("mousemove", this._onMouseMove);
     canvas.removeEventListener("click", this._onClick);
+    canvas.removeEventListener("pointerdown", this._onPointerDown, true);
+    window.removeEventListener("pointermove", this._onPointerMove);
+    window.removeEventListener("pointerup", this._onPointerUp);
+    window.removeEventListener("keydown", this._onKeyDown);
+    if (this._box?.element) this._box.element.remove();
+    this.stopRouting();
+    if (this.vertexHandles) this.engine.scene?.remove(this.vertexHandles);
 
     if (this.transformControls) {
       this.transformControls.removeEventListener("change", this._onTransformChange);
       this.transformControls.removeEventListener("objectChange", this._onTransformDrag);
       this.transformControls.dispose();
       if (this.engine.scene) {
-        this.engine.scene.remove(this.transformControls);
+        this.engine.scene.remove(this.transformControls.getHelper());
+        this.engine.scene.remove(this.pivot);
       }
     }
   }
 }
+
+/**
+ * Payload for several selected entities: their individual payloads
+ * (`items`), the centre of the selection and every field they share.
+ * `size` keeps the shared entries of the sizes and null where they differ.
+ */
+function multiSelection(items) {
+  const shared = (key) => {
+    const first = items[0][key];
+    return items.every((item) => item[key] === first) ? first : undefined;
+  };
+  const types = new Set(items.map((item) => item.type));
+  const center = [0, 1, 2].map(
+    (axis) => items.reduce((sum, item) => sum + item.position[axis], 0) / items.length
+  );
+
+  const sizes = items.map((item) => item.size);
+  const size = sizes.every(Array.isArray)
+    ? sizes[0].map((v, i) => (sizes.every((s) => s[i] === v) ? v : null))
+    : undefined;
+
+  const bodies = items.map((item) => item.body);
+  let body;
+  if (bodies.every(Boolean)) {
+    body = {};
+    ["shape", "color", "material", "standoff"].forEach((key) => {
+      if (bodies.every((b) => b[key] === bodies[0][key])) body[key] = bodies[0][key];
+    });
+  }
+
+  return {
+    id: `${items.length} items`,
+    type: "multiple",
+    itemType: types.size === 1 ? items[0].type : undefined,
+    count: items.length,
+    items,
+    position: center,
+    size,
+    body,
+    net: shared("net"),
+    layer: shared("layer"),
+    rotation: shared("rotation"),
+    side: shared("side"),
+    instanceId: -1,
+  };
+}
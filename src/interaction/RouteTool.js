@@ -0,0 +1,244 @@
+import * as THREE from "three";
+import { createTrace } from "../primitives/Traces";
+import { padDrill } from "../primitives/Pads";
+import { BOARD_SIDES, TRACE_LIFT } from "../engine/Layers";
+
+// Corner angles the router can be constrained to (degrees)
+export const ROUTE_ANGLES = [45, 90];
+
+export const DEFAULT_ROUTE_OPTIONS = { width: 0.25, angle: 45, grid: 0.5, layer: BOARD_SIDES.TOP };
+
+// Opacity of the trace being drawn
+const PREVIEW_OPACITY = 0.6;
+
+/**
+ * RouteTool
+ * ---------
+ * Interactive trace routing, driven by the InteractionManager:
+ * - click a pad to start at its centre (the trace takes the pad's net)
+ * - click on the board to place corners; each click adds the legs from the
+ *   last corner to the cursor, constrained to 45° or 90° and snapped to the grid
+ * - click another pad to finish; the trace is added with engine.addTrace
+ * - Backspace removes the last corner, Escape cancels
+ *
+ * The trace is routed on the start pad's side, or on `options.layer` when
+ * the start pad is drilled (on every layer). It can end on a pad of the
+ * same side or a drilled one.
+ *
+ * options: { width (mm), angle: 45 | 90, grid (mm, 0 = no snapping), layer }
+ * onChange(status): status = { routing: boolean, net, layer, corners } after every step
+ */
+export class RouteTool {
+  constructor(engine, { options, onChange } = {}) {
+    this.engine = engine;
+    this.options = { ...DEFAULT_ROUTE_OPTIONS, ...options };
+    this.onChange = onChange || (() => {});
+    // Trace being drawn: { from: padId, net, layer, points: [x, z][] } | null
+    this.route = null;
+    // Where the next click would go: [x, z] | null
+    this.cursor = null;
+    this.preview = null;
+    this._emit();
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+    this._updatePreview();
+  }
+
+  /**
+   * Follow the pointer (raycaster set from the camera).
+   */
+  move(raycaster) {
+    if (!this.route) {
+      this.cursor = null;
+      return;
+    }
+    this.cursor = this._target(raycaster);
+    this._updatePreview();
+  }
+
+  /**
+   * Start, extend or finish the trace at the pointer.
+   */
+  click(raycaster) {
+    const pad = this._padUnder(raycaster);
+
+    if (!this.route) {
+      if (!pad) return;
+      const layer = pad.drilled ? this.options.layer : pad.pad.side;
+      this.route = {
+        from: pad.pad.id,
+        net: this.engine.getNetOf(pad.pad.id) ?? pad.pad.raw?.net ?? null,
+        layer,
+        points: [pad.center],
+      };
+      this.cursor = pad.center;
+      this._emit();
+      this._updatePreview();
+      return;
+    }
+
+    const last = this.route.points[this.route.points.length - 1];
+    if (pad && pad.pad.id !== this.route.from && this._canEndOn(pad)) {
+      this._finish(pad);
+      return;
+    }
+    const target = this._target(raycaster);
+    if (!target) return;
+    this.route.points.push(...legs(last, target, this.options.angle));
+    this.route.points = withoutRepeats(this.route.points);
+    this._emit();
+    this._updatePreview();
+  }
+
+  /**
+   * Remove the last corner (or the whole trace when there is none).
+   */
+  back() {
+    if (!this.route) return;
+    if (this.route.points.length <= 1) {
+      this.cancel();
+      return;
+    }
+    this.route.points.pop();
+    this._emit();
+    this._updatePreview();
+  }
+
+  cancel() {
+    this.route = null;
+    this.cursor = null;
+    this._updatePreview();
+    this._emit();
+  }
+
+  dispose() {
+    this.route = null;
+    this._clearPreview();
+  }
+
+  _finish(pad) {
+    const { from, net, layer } = this.route;
+    const last = this.route.points[this.route.points.length - 1];
+    const path = withoutRepeats([...this.route.points, ...legs(last, pad.center, this.options.angle)]);
+    this.route = null;
+    this.cursor = null;
+    this._updatePreview();
+
+    if (path.length >= 2) {
+      this.engine.addTrace({
+        id: this.engine.nextTraceId(),
+        ...(net ? { net } : {}),
+        width: this.options.width,
+        layer,
+        from,
+        to: pad.pad.id,
+        path,
+      });
+    }
+    this._emit();
+  }
+
+  // Pad centre under the pointer when it can end the trace, else the snapped board point
+  _target(raycaster) {
+    const pad = this._padUnder(raycaster);
+    if (pad && pad.pad.id !== this.route.from && this._canEndOn(pad)) return pad.center;
+
+    const y = this.engine.getCopperY(this.route.layer);
+    const hit = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), -y), new THREE.Vector3());
+    if (!hit) return null;
+    const snap = (v) => (this.options.grid > 0 ? Math.round(v / this.options.grid) * this.options.grid : v);
+    return [snap(hit.x), snap(hit.z)];
+  }
+
+  _canEndOn(pad) {
+    return pad.drilled || pad.pad.side === this.route.layer;
+  }
+
+  // Visible pad under the pointer: { pad (record), center: [x, z], drilled } | null
+  _padUnder(raycaster) {
+    const meshes = this.engine.getPadMeshes().filter((mesh) => isShown(mesh));
+    const hit = raycaster.intersectObjects(meshes, false)[0];
+    if (!hit || hit.instanceId === undefined) return null;
+    const pad = hit.object.userData.idMap?.[hit.instanceId];
+    if (!pad) return null;
+    return { pad, center: [pad.position[0], pad.position[2]], drilled: padDrill(pad.raw) > 0 };
+  }
+
+  _updatePreview() {
+    this._clearPreview();
+    if (!this.route) return;
+
+    const points = this.route.points.slice();
+    if (this.cursor) points.push(...legs(points[points.length - 1], this.cursor, this.options.angle));
+    const { layer } = this.route;
+    const side = layer === BOARD_SIDES.BOTTOM ? BOARD_SIDES.BOTTOM : BOARD_SIDES.TOP;
+    // Above the routed traces so the new one stays visible
+    const y = this.engine.getCopperY(layer, TRACE_LIFT * 2);
+
+    const mesh = createTrace(
+      withoutRepeats(points).map(([x, z]) => [x, y, z]),
+      this.options.width,
+      null,
+      side
+    );
+    if (!mesh) return;
+    // Not a board trace: keep it out of picking
+    mesh.userData.type = "route_preview";
+    mesh.userData.exportable = false;
+    mesh.material.side = THREE.DoubleSide;
+    mesh.material.transparent = true;
+    mesh.material.uniforms.uOpacity.value = PREVIEW_OPACITY;
+    this.preview = mesh;
+    this.engine.scene.add(mesh);
+  }
+
+  _clearPreview() {
+    if (!this.preview) return;
+    this.engine.scene.remove(this.preview);
+    this.engine._disposeObject(this.preview);
+    this.preview = null;
+  }
+
+  _emit() {
+    this.onChange({
+      routing: Boolean(this.route),
+      net: this.route?.net ?? null,
+      layer: this.route?.layer ?? null,
+      corners: this.route ? this.route.points.length - 1 : 0,
+    });
+  }
+}
+
+/**
+ * Corner points leading from `from` to `to` ([x, z]) under the angle
+ * constraint, ending at `to`: with 90° an X leg then a Z leg, with 45° a
+ * straight leg along the longer axis then a diagonal.
+ */
+function legs(from, to, angle) {
+  const dx = to[0] - from[0];
+  const dz = to[1] - from[1];
+  const adx = Math.abs(dx);
+  const adz = Math.abs(dz);
+  if (adx < 1e-9 || adz < 1e-9) return [to];
+
+  if (angle === 90) return [[to[0], from[1]], to];
+  if (Math.abs(adx - adz) < 1e-9) return [to];
+  const corner = adx > adz ? [to[0] - Math.sign(dx) * adz, from[1]] : [from[0], to[1] - Math.sign(dz) * adx];
+  return [corner, to];
+}
+
+function withoutRepeats(points) {
+  return points.filter(
+    (p, i) => i === 0 || Math.hypot(p[0] - points[i - 1][0], p[1] - points[i - 1][1]) > 1e-9
+  );
+}
+
+// Whether an object and all of its parents are visible (layer toggles)
+function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
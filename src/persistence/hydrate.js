@@ -1,50 +1,62 @@
+import { migrateBoard } from "./migrate";
+import { validateBoard } from "./validate";
+import { BoardValidationError } from "./schema";
+import { BOARD_SIDES, resolveBoardSide, TRACE_LIFT } from "../engine/Layers";
+import { resolveCopperLayer } from "../engine/Stackup";
+import { generateComponentPads, resolveFootprint } from "../footprints/library";
+import { BODY_SHAPES } from "../primitives/Bodies";
+
 /**
- * loadBoard (Universal Version)
- * -----------------------------
- * Hydrates the scene from a variety of JSON schemas.
- * - Supports pads/components/holes with `pos` or `position`
- * - Supports traces with `points`, `path`, or `start`/`end`
+ * loadBoard
+ * ---------
+ * Hydrates the scene from a design file.
+ * - Legacy shapes are upgraded to the canonical schema (see schema.js) by migrateBoard
+ * - The result is validated; invalid files throw a BoardValidationError
+ *   carrying `{ path, message }` errors and leave the scene untouched
+ * - Each record's `layer` picks the board face it is placed on; the Y of
+ *   file positions is replaced by that face's height
+ * - Component bodies follow the record's `body` (size, colour, material,
+ *   standoff), then its footprint, then a default box
+ * - Components with a library footprint (footprints/library.js) get its
+ *   body, and its pads unless they own pads already; generated pads are
+ *   exported like any other pad
+ * - Copper zones are filled last, around all of the copper above
  */
 export function loadBoard(engine, jsonData) {
   if (!engine) return;
 
-  const data = typeof jsonData === "string" ? JSON.parse(jsonData) : jsonData;
-  if (!data) return;
+  const source = typeof jsonData === "string" ? JSON.parse(jsonData) : jsonData;
+  if (!source) return;
+
+  const data = migrateBoard(source);
+  const errors = validateBoard(data);
+  if (errors.length) {
+    throw new BoardValidationError(errors);
+  }
+
+  const { traces = [], components = [], holes = [], vias = [], zones = [], silkscreen = [] } = data;
+  const filePads = data.pads || [];
+  const pads = [...filePads, ...generateComponentPads(components, filePads)];
 
   // Helper: normalize 2D/3D positions into [x, y, z]
   const toVec3 = (p, defaultY = 0.8) => {
-    if (Array.isArray(p)) {
-      if (p.length === 3) return p;
-      if (p.length === 2) return [p[0], defaultY, p[1]];
-    }
-    return [0, defaultY, 0];
+    if (p.length === 3) return p;
+    return [p[0], defaultY, p[1]];
   };
 
-  // 1. Rebuild the Board if present
-  if (data.board) {
-    // Support both { width, height, thickness } and nested { dimensions: { ... } }
-    const boardConfig =
-      data.board.dimensions && (data.board.dimensions.width || data.board.dimensions.height)
-        ? {
-            width:
-              data.board.dimensions.width ??
-              data.board.width ??
-              undefined,
-            height:
-              data.board.dimensions.height ??
-              data.board.height ??
-              undefined,
-            thickness:
-              data.board.dimensions.thickness ??
-              data.board.thickness ??
-              undefined,
-          }
-        : data.board;
-
-    engine.setBoard(boardConfig);
-  }
+  // Helper: 2D/3D position placed at height y
+  const onSurface = (p, y) => [p[0], y, p.length === 3 ? p[2] : p[1]];
 
-  // 2. Clear previous pads / traces / components
+  // 1. Rebuild the Board (and its stackup)
+  engine.setBoard(data.board);
+  // Keep the original board record (layers, materials, ...) for export
+  if (engine.board) engine.board.userData.raw = data.board;
+
+  // 2. Clear previous pads / traces / components (and the edits made to them)
+  if (engine.history) engine.history.clear();
+  if (engine.interactionManager) engine.interactionManager.clearSelection();
+  if (engine.interactionManager?.router) engine.interactionManager.router.cancel();
+  if (engine.drcMarkers) engine.setDrcMarkers([]);
   if (engine.padsGroup) {
     engine.scene.remove(engine.padsGroup);
     if (engine._disposeObject) engine._disposeObject(engine.padsGroup);
@@ -59,6 +71,14 @@ export function loadBoard(engine, jsonData) {
     engine.traces = [];
   }
 
+  if (Array.isArray(engine.zones) && engine.zones.length) {
+    engine.zones.forEach((z) => {
+      engine.scene.remove(z);
+      if (engine._disposeObject) engine._disposeObject(z);
+    });
+    engine.zones = [];
+  }
+
   if (Array.isArray(engine.components) && engine.components.length) {
     engine.components.forEach((c) => {
       engine.scene.remove(c);
@@ -67,127 +87,123 @@ export function loadBoard(engine, jsonData) {
     engine.components = [];
   }
 
-  // 3. Pads (from `pads` array or components with type "pad")
-  const padsSource = [];
-  if (Array.isArray(data.pads)) {
-    padsSource.push(...data.pads);
-  }
-  if (Array.isArray(data.components)) {
-    padsSource.push(...data.components.filter((c) => c.type === "pad"));
-  }
-
-  if (padsSource.length > 0) {
-    const padArray = padsSource.map((p, index) => {
-      const pos = p.pos || p.position;
-      const position = toVec3(pos, 0.8);
-
-      const sizeSource =
-        p.size || [p.w || p.width || 1, p.h || p.height || 1];
-      const size = Array.isArray(sizeSource) ? sizeSource : [1, 1];
-
-      return {
-        id: p.id || `pad_${index}`,
-        position,
-        size,
-        raw: p,
-      };
-    });
-
-    engine.addPads(padArray);
-  }
-
-  // 4. Traces (supports `points`, `path`, or `start`/`end`)
-  const tracesSource = [];
-  if (Array.isArray(data.traces)) {
-    tracesSource.push(...data.traces);
-  }
-  if (Array.isArray(data.components)) {
-    tracesSource.push(...data.components.filter((c) => c.type === "trace"));
+  // 3. Pads
+  if (pads.length > 0) {
+    engine.addPads(
+      pads.map((p) => {
+        const side = resolveBoardSide(p.layer);
+        return {
+          id: p.id,
+          position: onSurface(p.position, engine.getSurfaceY(side)),
+          size: p.size,
+          side,
+          rotation: p.rotation,
+          raw: p,
+        };
+      })
+    );
   }
 
-  const processedSegments = [];
-
-  tracesSource.forEach((t) => {
-    const width = t.width || t.thickness || 0.5;
-
-    // Advanced format: points: [[x,z], [x,z], ...]
-    if (Array.isArray(t.points) && t.points.length >= 2) {
-      for (let i = 0; i < t.points.length - 1; i++) {
-        const start = toVec3(t.points[i], 0.81);
-        const end = toVec3(t.points[i + 1], 0.81);
-        processedSegments.push({
-          start,
-          end,
-          width,
-          raw: t,
-        });
-      }
-    }
-    // Path format: path: [[x,y,z] or [x,z], ...]
-    else if (Array.isArray(t.path) && t.path.length >= 2) {
-      for (let i = 0; i < t.path.length - 1; i++) {
-        const start = toVec3(t.path[i], 0.81);
-        const end = toVec3(t.path[i + 1], 0.81);
-        processedSegments.push({
-          start,
-          end,
-          width,
-          raw: t,
-        });
-      }
-    }
-    // Simple format: start/end
-    else if (t.start && t.end) {
-      const start = toVec3(t.start, 0.81);
-      const end = toVec3(t.end, 0.81);
-      processedSegments.push({
-        start,
-        end,
-        width,
-        raw: t,
-      });
-    }
+  // 4. Traces: one mesh per polyline
+  const processedTraces = traces.map((t) => {
+    const layer = resolveCopperLayer(t.layer, engine.stackup.copperCount);
+    const y = engine.getCopperY(layer, TRACE_LIFT);
+    return {
+      points: t.path.map((p) => onSurface(p, y)),
+      width: t.width,
+      side: layer === BOARD_SIDES.BOTTOM ? BOARD_SIDES.BOTTOM : BOARD_SIDES.TOP,
+      layer,
+      raw: t,
+    };
   });
 
-  if (processedSegments.length > 0) {
-    engine.addTraces(processedSegments);
+  if (processedTraces.length > 0) {
+    engine.addTraces(processedTraces);
   }
 
-  // 5. Components (ICs, connectors, capacitors, vias, holes, etc.)
-  const componentsSource = [];
-  if (Array.isArray(data.components)) {
-    componentsSource.push(...data.components);
-  }
-  if (Array.isArray(data.holes)) {
-    componentsSource.push(...data.holes);
-  }
-  if (Array.isArray(data.vias)) {
-    componentsSource.push(
-      ...data.vias.map((v) => ({ ...v, type: v.type || "via" }))
-    );
-  }
-
-  componentsSource.forEach((c) => {
-    const rawType = c.type || "component";
+  // 5. Components (ICs, connectors, capacitors, ...), holes and vias.
+  // `source` records which top-level array an entry came from so that
+  // serializeBoard can write it back to the same place.
+  const componentsSource = [
+    ...components.map((c) => ({ record: c, source: "components" })),
+    ...holes.map((h) => ({ record: h, source: "holes", defaultType: "hole" })),
+    ...vias.map((v) => ({ record: v, source: "vias", defaultType: "via" })),
+  ];
+
+  componentsSource.forEach(({ record: c, source, defaultType }) => {
+    const rawType = c.type || defaultType || "component";
     const type =
       rawType === "hole"
         ? "via" // treat holes as vias in current geometry model
         : rawType;
 
-    const pos = c.pos || c.position;
-    const position = toVec3(pos, 0.8);
-
-    const size = Array.isArray(c.size) ? c.size : [4, 2, 2];
+    const footprint = source === "components" ? resolveFootprint(c) : null;
+    const body = componentBody(c, footprint);
 
     engine.addComponent({
       type,
       id: c.id,
-      position,
-      size,
+      position: toVec3(c.position, 0.8),
+      ...body,
+      package: footprint?.name,
+      // Mounting holes are non-plated unless marked, vias plated unless marked
+      plated: source === "holes" ? c.plated === true : c.plated !== false,
+      ring: typeof c.annular_ring === "number" ? c.annular_ring : undefined,
       rotation: c.rotation,
-      radius: c.radius || c.drill,
+      radius: c.radius,
+      side: resolveBoardSide(c.layer),
+      source,
       raw: c,
     });
   });
+
+  // 6. Drill the substrate for vias, mounting holes and through-hole pads
+  engine.refreshHoles();
+
+  // 7. Copper zones, filled around everything above
+  if (zones.length > 0) {
+    engine.addZones(
+      zones.map((z) => ({
+        points: z.path.map((p) => [p[0], p.length === 3 ? p[2] : p[1]]),
+        layer: resolveCopperLayer(z.layer, engine.stackup.copperCount),
+        raw: z,
+      }))
+    );
+  }
+
+  // 8. Silkscreen (free items + outlines / refdes of the components above)
+  engine.setSilkscreen(silkscreen, engine.stackup.colors.silkscreen);
 }
 
+/**
+ * Body of a component record as addComponent takes it:
+ * { shape, size: [w, h, t], color?, material?, standoff }.
+ * `body.size` is [x, height, z]; `body.radius` + `body.height` make a
+ * cylinder; a top-level `size` is already [w, h, t].
+ */
+function componentBody(record, footprint) {
+  const body = record.body && typeof record.body === "object" ? record.body : {};
+  const fallback = footprint?.body.size ?? [4, 2, 2];
+  const positive = (v) => typeof v === "number" && v > 0;
+
+  let shape = BODY_SHAPES.BOX;
+  let size = fallback;
+  if (Array.isArray(body.size) && body.size.length === 3) {
+    size = [body.size[0], body.size[2], body.size[1]];
+  } else if (Array.isArray(record.size)) {
+    size = record.size;
+  } else if (positive(body.radius)) {
+    shape = BODY_SHAPES.CYLINDER;
+    size = [body.radius * 2, body.radius * 2, positive(body.height) ? body.height : fallback[2]];
+  } else if (positive(body.height)) {
+    size = [fallback[0], fallback[1], body.height];
+  }
+
+  return {
+    shape,
+    size,
+    color: body.color ?? footprint?.body.color,
+    material: body.material ?? footprint?.body.material,
+    standoff: positive(body.standoff) ? body.standoff : 0,
+  };
+}
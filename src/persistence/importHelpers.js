@@ -0,0 +1,44 @@
+/**
+ * Import helpers
+ * --------------
+ * Geometry shared by the importers that build a design in the canonical
+ * schema from another format (kicad.js, fabrication/importFabrication.js).
+ */
+
+/**
+ * Every position and path point of a design's pads, holes, vias, traces and
+ * zones: Array<[x, z]>.
+ */
+export function allPoints({ pads, traces, holes, vias, zones }) {
+  return [
+    ...[...pads, ...holes, ...vias].map((item) => item.position),
+    ...[...traces, ...zones].flatMap((item) => item.path),
+  ];
+}
+
+/**
+ * Axis-aligned bounds { minX, maxX, minZ, maxZ } of the points, or null
+ * when there are none.
+ */
+export function boundsOf(points) {
+  if (!points.length) return null;
+  const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  points.forEach(([x, z]) => {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.minZ = Math.min(bounds.minZ, z);
+    bounds.maxZ = Math.max(bounds.maxZ, z);
+  });
+  return bounds;
+}
+
+export function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * mm to four decimals, without floating point noise.
+ */
+export function round(value) {
+  return Number(value.toFixed(4));
+}
@@ -0,0 +1,591 @@
+import { child, children, parseSexpr } from "./sexpr";
+import { allPoints, boundsOf, distance, round } from "./importHelpers";
+import { SCHEMA_VERSION } from "./schema";
+import { circumcenter } from "../engine/Outline";
+import { normalizeAngle, rotatePoint } from "../engine/Rotation";
+
+/**
+ * KiCad import
+ * ------------
+ * Converts a KiCad board (.kicad_pcb, KiCad 5 and later) into a design in
+ * the canonical schema (schema.js), ready for loadBoard:
+ *
+ *   Edge.Cuts lines, arcs, rectangles, polygons, circles   board.outline: the
+ *       largest closed loop is the path (arcs kept as { through, to }), the
+ *       others are cutouts
+ *   footprint            component (id = reference, body sized by the courtyard)
+ *     pad smd / thru_hole    pads (`pad_type`, `drill`, `net`, `component`, `pin`)
+ *     pad np_thru_hole       non-plated holes
+ *     silkscreen lines / text   silkscreen items
+ *   segment / arc        traces, connected pieces of one net, layer and width
+ *                        chained into one path
+ *   via                  vias (blind / micro vias are drilled through)
+ *   zone                 zones (one per copper layer; rule areas and
+ *                        zones without a net are skipped)
+ *   gr_* on a silkscreen layer   silkscreen lines and text
+ *
+ * KiCad's Y axis points down the page, which is board +Z, and its angles
+ * are counter-clockwise as seen from the top, like `rotation`. Pad and text
+ * angles in a board file already include the footprint's. The design is
+ * moved so the board is centred on the origin.
+ */
+
+// Component body height (mm) by footprint kind, as KiCad files carry none
+const SMD_HEIGHT = 1;
+const THT_HEIGHT = 3;
+// Maximum angle (radians) covered by one straight piece of an arc
+const ARC_STEP = Math.PI / 24;
+// Ends closer than this (mm) are joined
+const JOIN_DISTANCE = 0.001;
+// Board margin (mm) around the copper when there is no Edge.Cuts outline
+const FALLBACK_MARGIN = 1;
+// Graphic items, without their gr_ / fp_ prefix
+const GRAPHICS = ["line", "arc", "circle", "rect", "poly", "text"];
+
+/**
+ * Design of a .kicad_pcb file's text:
+ * { data (canonical board), warnings: string[] }. Throws when the text is
+ * not a KiCad board.
+ */
+export function importKicad(text) {
+  const root = parseSexpr(text);
+  if (root[0] !== "kicad_pcb") throw new Error("Not a KiCad board file (kicad_pcb)");
+
+  const warnings = [];
+  const warn = (message) => {
+    if (!warnings.includes(message)) warnings.push(message);
+  };
+
+  // Copper layer names in stack order: F.Cu, In1.Cu, …, B.Cu
+  const copperNames = (child(root, "layers") ?? [])
+    .slice(1)
+    .filter((layer) => Array.isArray(layer) && /\.Cu$/.test(layer[1]))
+    .map((layer) => layer[1]);
+  const copperCount = Math.max(2, copperNames.length);
+
+  // Net names by number (KiCad 9 and earlier refer to nets by number)
+  const netNames = new Map(children(root, "net").map((net) => [net[1], net[2]]));
+  const netOf = (node) => {
+    const net = child(node, "net");
+    if (!net) return null;
+    const name = net.length > 2 ? net[2] : netNames.get(net[1]) ?? net[1];
+    return name || null;
+  };
+
+  const design = { pads: [], traces: [], components: [], holes: [], vias: [], zones: [], silkscreen: [] };
+  const edges = [];
+  const trackPieces = [];
+  const ids = new Set();
+  const uniqueId = (wanted) => {
+    let id = wanted;
+    for (let n = 2; ids.has(id); n++) id = `${wanted}_${n}`;
+    ids.add(id);
+    return id;
+  };
+
+  // Board graphics: outline and silkscreen
+  root.forEach((node) => {
+    if (!Array.isArray(node) || !node[0].startsWith("gr_") || !GRAPHICS.includes(node[0].slice(3))) return;
+    addGraphic(node, (p) => p, design, edges, warn);
+  });
+
+  // Footprints (called modules before KiCad 6)
+  [...children(root, "footprint"), ...children(root, "module")].forEach((footprint) => {
+    addFootprint(footprint, { design, edges, netOf, uniqueId, warn });
+  });
+
+  // Tracks
+  root.forEach((node) => {
+    if (!Array.isArray(node) || (node[0] !== "segment" && node[0] !== "arc")) return;
+    const layer = copperLayer(layerOf(node), copperNames);
+    if (!layer) return;
+    const start = point(child(node, "start"));
+    const end = point(child(node, "end"));
+    const points = node[0] === "arc" ? arcPoints(start, point(child(node, "mid")), end) : [start, end];
+    trackPieces.push({ points, width: number(child(node, "width")?.[1], 0.25), layer, net: netOf(node) });
+  });
+  chainTracks(trackPieces).forEach((trace) => design.traces.push(trace));
+
+  children(root, "via").forEach((via) => {
+    if (via.includes("blind") || via.includes("micro")) warn("Blind and micro vias are drilled through the board");
+    const size = number(child(via, "size")?.[1], 0.6);
+    const drill = number(child(via, "drill")?.[1], 0.3);
+    const net = netOf(via);
+    design.vias.push({
+      position: point(child(via, "at")),
+      radius: drill / 2,
+      annular_ring: round(Math.max(0, (size - drill) / 2)),
+      ...(net ? { net } : {}),
+    });
+  });
+
+  children(root, "zone").forEach((zone) => addZone(zone, { design, copperNames, netOf, warn }));
+
+  // Board shape
+  const loops = outlineLoops(edges);
+  let outline;
+  if (loops.length) {
+    loops.sort((a, b) => b.area - a.area);
+    outline = { path: loops[0].path, cutouts: loops.slice(1).map((loop) => loop.cutout) };
+    if (loops.some((loop) => loop.open)) warn("The Edge.Cuts outline is not closed; its ends were joined");
+  } else {
+    const bounds = boundsOf(allPoints(design));
+    if (!bounds) throw new Error("The board has no Edge.Cuts outline and no copper");
+    warn("No Edge.Cuts outline; the board is the extent of the copper");
+    const { minX, maxX, minZ, maxZ } = bounds;
+    const m = FALLBACK_MARGIN;
+    outline = {
+      path: [
+        [minX - m, minZ - m],
+        [maxX + m, minZ - m],
+        [maxX + m, maxZ + m],
+        [minX - m, maxZ + m],
+      ],
+    };
+  }
+
+  // Centre the board on the origin
+  const bounds = boundsOf(pathPoints(outline.path));
+  const [cx, cz] = [(bounds.minX + bounds.maxX) / 2, (bounds.minZ + bounds.maxZ) / 2];
+  const shift = ([x, z]) => [round(x - cx), round(z - cz)];
+  const shiftPath = (path) =>
+    path.map((p) => (Array.isArray(p) ? shift(p) : { through: shift(p.through), to: shift(p.to) }));
+  outline.path = shiftPath(outline.path);
+  (outline.cutouts ?? []).forEach((cutout) => {
+    if (cutout.circle) cutout.circle.center = shift(cutout.circle.center);
+    else cutout.path = shiftPath(cutout.path);
+  });
+  ["pads", "components", "holes", "vias"].forEach((key) => {
+    design[key].forEach((item) => (item.position = shift(item.position)));
+  });
+  ["traces", "zones"].forEach((key) => design[key].forEach((item) => (item.path = item.path.map(shift))));
+  design.silkscreen.forEach((item) => {
+    if (item.position) item.position = shift(item.position);
+    else item.path = item.path.map(shift);
+  });
+
+  const thickness = number(child(child(root, "general") ?? [], "thickness")?.[1], 1.6);
+  const board = {
+    width: round(bounds.maxX - bounds.minX),
+    height: round(bounds.maxZ - bounds.minZ),
+    thickness,
+    outline,
+    ...(copperCount > 2 ? { stackup: { copper_layers: copperCount + (copperCount % 2) } } : {}),
+  };
+  return { data: { version: SCHEMA_VERSION, board, ...design }, warnings };
+}
+
+/**
+ * A footprint: its component, pads, holes and silkscreen / Edge.Cuts
+ * graphics, placed on the board.
+ */
+function addFootprint(footprint, { design, edges, netOf, uniqueId, warn }) {
+  const at = child(footprint, "at");
+  const origin = point(at);
+  const angle = number(at?.[3], 0);
+  const place = ([x, z]) => rotatePoint([origin[0] + x, origin[1] + z], origin, angle);
+  const bottom = /^B\./.test(layerOf(footprint) ?? "");
+
+  // Reference and value: properties (KiCad 8) or fp_text
+  const textOf = (kind) =>
+    children(footprint, "property").find((p) => p[1] === (kind === "reference" ? "Reference" : "Value"))?.[2] ??
+    children(footprint, "fp_text").find((t) => t[1] === kind)?.[2];
+  const reference = textOf("reference");
+  const value = textOf("value");
+  const id = uniqueId(reference && !reference.includes("*") ? reference : "FP");
+
+  // Silkscreen / outline graphics, and the texts on silkscreen layers
+  const extent = { courtyard: [], fab: [] };
+  footprint.forEach((node) => {
+    if (!Array.isArray(node)) return;
+    const kind = node[0].replace(/^fp_/, "");
+    if (node[0] === "property" || node[0] === "fp_text") {
+      addText(node, place, design, reference);
+    } else if (node[0].startsWith("fp_") && GRAPHICS.includes(kind)) {
+      const layer = layerOf(node) ?? "";
+      if (/CrtYd|Courtyard/.test(layer)) extent.courtyard.push(...graphicExtent(node));
+      else if (/Fab$/.test(layer)) extent.fab.push(...graphicExtent(node));
+      else addGraphic(node, place, design, edges, warn);
+    }
+  });
+
+  // Pads and mechanical holes
+  const padExtent = [];
+  let owned = 0;
+  children(footprint, "pad").forEach((pad, i) => {
+    const [, padNumber, type, shape] = pad;
+    const padAt = child(pad, "at");
+    const local = point(padAt);
+    const size = point(child(pad, "size"));
+    const drill = drillOf(pad, warn);
+    padExtent.push([local[0] - size[0] / 2, local[1] - size[1] / 2], [local[0] + size[0] / 2, local[1] + size[1] / 2]);
+    const position = place(local);
+
+    if (type === "np_thru_hole") {
+      if (drill > 0) design.holes.push({ position, radius: drill / 2 });
+      return;
+    }
+    const layers = (child(pad, "layers") ?? []).slice(1);
+    const through = type === "thru_hole" || layers.includes("*.Cu");
+    const onBottom = !through && layers.some((layer) => /^B\.Cu$/.test(layer));
+    const rotation = normalizeAngle(number(padAt?.[3], 0));
+    const net = netOf(pad);
+    if (shape === "custom") warn("Custom pad shapes are imported as their anchor pad");
+    owned++;
+    design.pads.push({
+      id: uniqueId(`${id}_${padNumber || i + 1}`),
+      position,
+      size: shape === "circle" ? [size[0], size[0]] : size,
+      ...(rotation ? { rotation } : {}),
+      component: id,
+      pin: padNumber || String(i + 1),
+      pad_type: through ? "TH" : "SMD",
+      ...(through && drill > 0 ? { drill } : {}),
+      ...(onBottom ? { layer: "bottom" } : {}),
+      ...(net ? { net } : {}),
+      ...(shape && shape !== "rect" ? { shape } : {}),
+    });
+  });
+
+  // Body over the courtyard (else the fab outline, else the pads)
+  const outline = [extent.courtyard, extent.fab, padExtent].find((points) => points.length);
+  if (!outline || !owned) return;
+  const { minX, maxX, minZ, maxZ } = boundsOf(outline);
+  const tht = footprint.some((node) => Array.isArray(node) && node[0] === "attr" && node.includes("through_hole"));
+  design.components.push({
+    id,
+    type: "footprint",
+    footprint: footprint[1],
+    ...(value ? { value } : {}),
+    position: place([(minX + maxX) / 2, (minZ + maxZ) / 2]),
+    ...(normalizeAngle(angle) ? { rotation: normalizeAngle(angle) } : {}),
+    ...(bottom ? { layer: "bottom" } : {}),
+    body: { size: [round(maxX - minX), tht ? THT_HEIGHT : SMD_HEIGHT, round(maxZ - minZ)] },
+  });
+}
+
+/**
+ * A graphic item (gr_* or fp_*, points placed with `place`): Edge.Cuts
+ * pieces go to `edges`, silkscreen ones become silkscreen lines or text.
+ */
+function addGraphic(node, place, design, edges, warn) {
+  const layer = layerOf(node) ?? "";
+  const kind = node[0].replace(/^(gr|fp)_/, "");
+  if (kind === "text") {
+    addText(node, place, design, null);
+    return;
+  }
+  const edge = layer === "Edge.Cuts";
+  const silk = /\.(SilkS|Silkscreen)$/.test(layer);
+  if (!edge && !silk) return;
+
+  const pieces = graphicPieces(node, place);
+  if (edge) {
+    edges.push(...pieces);
+    return;
+  }
+  const width = strokeWidth(node, 0.15);
+  const face = layer.startsWith("B.") ? { layer: "bottom" } : {};
+  if (child(node, "fill") && ["solid", "yes"].includes(child(node, "fill")[1])) {
+    warn("Filled silkscreen shapes are imported as their outline");
+  }
+  chainPieces(pieces).forEach((points) => design.silkscreen.push({ path: points, width, ...face }));
+}
+
+/**
+ * Straight / arc pieces { from, to, through? } of a line, arc, rectangle or
+ * polygon, and a circle as two half arcs (marked with `circle`).
+ */
+function graphicPieces(node, place) {
+  const kind = node[0].replace(/^(gr|fp)_/, "");
+  if (kind === "line") return [{ from: place(point(child(node, "start"))), to: place(point(child(node, "end"))) }];
+  if (kind === "arc") {
+    const [from, through, to] = arcOf(node);
+    return [{ from: place(from), through: place(through), to: place(to) }];
+  }
+  if (kind === "circle") {
+    const center = point(child(node, "center"));
+    const end = point(child(node, "end"));
+    const opposite = [2 * center[0] - end[0], 2 * center[1] - end[1]];
+    const side = (sign) => [center[0] - sign * (end[1] - center[1]), center[1] + sign * (end[0] - center[0])];
+    const circle = { center: place(center), radius: distance(center, end) };
+    return [
+      { from: place(end), through: place(side(1)), to: place(opposite), circle },
+      { from: place(opposite), through: place(side(-1)), to: place(end), circle },
+    ];
+  }
+  const corners =
+    kind === "rect"
+      ? rectCorners(point(child(node, "start")), point(child(node, "end")))
+      : polygonPoints(child(node, "pts"));
+  const placed = corners.map(place);
+  return placed.map((from, i) => ({ from, to: placed[(i + 1) % placed.length] }));
+}
+
+// Points of a graphic item (local), for the footprint body's extent
+function graphicExtent(node) {
+  return graphicPieces(node, (p) => p).flatMap((piece) => [piece.from, piece.to, piece.through].filter(Boolean));
+}
+
+// [start, mid, end] of an arc: KiCad 6 writes them, KiCad 5 the centre
+// (start), the start point (end) and the angle
+function arcOf(node) {
+  const start = point(child(node, "start"));
+  const end = point(child(node, "end"));
+  const mid = child(node, "mid");
+  if (mid) return [start, point(mid), end];
+  const angle = number(child(node, "angle")?.[1], 0);
+  const turn = (degrees) => rotatePoint(end, start, -degrees);
+  return [end, turn(angle / 2), turn(angle)];
+}
+
+// Silkscreen text of a gr_text / fp_text / property placed with `place`
+function addText(node, place, design, reference) {
+  const layer = layerOf(node) ?? "";
+  if (!/\.(SilkS|Silkscreen)$/.test(layer)) return;
+  const effects = child(node, "effects") ?? [];
+  const hidden = [node, effects].some((list) => list.includes("hide") || child(list, "hide")?.[1] === "yes");
+  if (hidden) return;
+  const text = (node[0] === "gr_text" ? node[1] : node[2])?.replace(/\$\{REFERENCE\}/g, reference ?? "");
+  if (!text) return;
+  const at = child(node, "at");
+  const size = number(child(child(effects, "font") ?? [], "size")?.[1], 1);
+  const rotation = normalizeAngle(number(at?.[3], 0));
+  design.silkscreen.push({
+    text,
+    position: place(point(at)),
+    size,
+    ...(rotation ? { rotation } : {}),
+    ...(layer.startsWith("B.") ? { layer: "bottom" } : {}),
+  });
+}
+
+/**
+ * Zones of a KiCad zone, one per copper layer it fills.
+ */
+function addZone(zone, { design, copperNames, netOf, warn }) {
+  if (child(zone, "keepout")) {
+    warn("Rule areas (keepouts) are skipped");
+    return;
+  }
+  const net = netOf(zone) ?? child(zone, "net_name")?.[1];
+  if (!net) {
+    warn("Zones without a net are skipped");
+    return;
+  }
+  const path = polygonPoints(child(child(zone, "polygon") ?? [], "pts"));
+  if (path.length < 3) return;
+
+  const names = child(zone, "layers")?.slice(1) ?? [layerOf(zone)];
+  const expanded = names.flatMap((name) => (name === "*.Cu" ? copperNames : [name]));
+  const connect = child(zone, "connect_pads");
+  const fill = child(zone, "fill") ?? [];
+  const clearance = number(child(connect ?? [], "clearance")?.[1], 0);
+  const thermalGap = number(child(fill, "thermal_gap")?.[1], 0);
+  const spokeWidth = number(child(fill, "thermal_bridge_width")?.[1], 0);
+  if (connect?.[1] === "no") warn("Zones that leave pads unconnected are poured with thermal reliefs");
+
+  expanded.forEach((name) => {
+    const layer = copperLayer(name, copperNames);
+    if (!layer) return;
+    design.zones.push({
+      net,
+      layer,
+      path,
+      ...(clearance > 0 ? { clearance } : {}),
+      ...(thermalGap > 0 ? { thermal_gap: thermalGap } : {}),
+      ...(spokeWidth > 0 ? { spoke_width: spokeWidth } : {}),
+      ...(connect?.[1] === "yes" ? { connection: "solid" } : {}),
+    });
+  });
+}
+
+// Hole diameter of a pad: (drill d) or (drill oval w h), 0 without one
+function drillOf(pad, warn) {
+  const drill = child(pad, "drill");
+  if (!drill) return 0;
+  const values = drill.slice(1).filter((v) => !Array.isArray(v));
+  if (values[0] === "oval") {
+    warn("Oval (slot) drills are imported as round holes of their width");
+    return Math.min(number(values[1], 0), number(values[2] ?? values[1], 0));
+  }
+  return number(values[0], 0);
+}
+
+/**
+ * Closed loops of Edge.Cuts pieces: { path (with { through, to } arcs),
+ * cutout: { path } | { circle }, area (of the bounds), open? }.
+ */
+function outlineLoops(pieces) {
+  const remaining = [...pieces];
+  const loops = [];
+  while (remaining.length) {
+    const first = remaining.shift();
+    const chain = [first];
+    let end = first.to;
+    while (distance(end, first.from) >= JOIN_DISTANCE) {
+      const next = remaining.findIndex(
+        (piece) => distance(piece.from, end) < JOIN_DISTANCE || distance(piece.to, end) < JOIN_DISTANCE
+      );
+      if (next < 0) break;
+      let [piece] = remaining.splice(next, 1);
+      if (distance(piece.from, end) >= JOIN_DISTANCE) piece = { ...piece, from: piece.to, to: piece.from };
+      chain.push(piece);
+      end = piece.to;
+    }
+    const open = distance(end, first.from) >= JOIN_DISTANCE;
+    const path = [first.from, ...chain.map(({ through, to }) => (through ? { through, to } : to))];
+    if (pathPoints(path).length < 3) continue;
+    const { minX, maxX, minZ, maxZ } = boundsOf(pathPoints(path));
+    const circle = chain.length === 2 && chain[0].circle === chain[1].circle ? chain[0].circle : null;
+    loops.push({
+      path,
+      cutout: circle ? { circle } : { path },
+      area: (maxX - minX) * (maxZ - minZ),
+      ...(open ? { open } : {}),
+    });
+  }
+  return loops;
+}
+
+// Polylines of connected pieces (arcs discretised), for silkscreen lines
+function chainPieces(pieces) {
+  return chainPolylines(
+    pieces.map((piece) => (piece.through ? arcPoints(piece.from, piece.through, piece.to) : [piece.from, piece.to]))
+  );
+}
+
+/**
+ * Traces of track pieces: pieces of one layer, width and net that meet end
+ * to end are chained into one path.
+ */
+function chainTracks(pieces) {
+  const groups = new Map();
+  pieces.forEach((piece) => {
+    const key = `${piece.layer}|${piece.width}|${piece.net ?? ""}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(piece);
+  });
+  return [...groups.values()].flatMap((group) => {
+    const { layer, width, net } = group[0];
+    return chainPolylines(group.map((piece) => piece.points)).map((path) => ({
+      path,
+      width,
+      layer,
+      ...(net ? { net } : {}),
+    }));
+  });
+}
+
+// Joins polylines whose ends meet, through an index of their end points
+function chainPolylines(polylines) {
+  const key = ([x, z]) => `${Math.round(x / JOIN_DISTANCE)}:${Math.round(z / JOIN_DISTANCE)}`;
+  const byEnd = new Map();
+  polylines.forEach((points, i) => {
+    [points[0], points[points.length - 1]].forEach((p) => {
+      if (!byEnd.has(key(p))) byEnd.set(key(p), new Set());
+      byEnd.get(key(p)).add(i);
+    });
+  });
+  const used = new Set();
+  const take = (p) => {
+    const candidates = byEnd.get(key(p));
+    const next = candidates && [...candidates].find((i) => !used.has(i));
+    if (next === undefined) return null;
+    used.add(next);
+    const points = polylines[next];
+    return key(points[0]) === key(p) ? points : [...points].reverse();
+  };
+
+  const chains = [];
+  polylines.forEach((points, i) => {
+    if (used.has(i)) return;
+    used.add(i);
+    const chain = [...points];
+    for (let next = take(chain[chain.length - 1]); next; next = take(chain[chain.length - 1])) {
+      chain.push(...next.slice(1));
+    }
+    for (let previous = take(chain[0]); previous; previous = take(chain[0])) {
+      chain.unshift(...[...previous].reverse().slice(0, -1));
+    }
+    chains.push(chain);
+  });
+  return chains;
+}
+
+// Points from `from` through `through` to `to` along their circle
+function arcPoints(from, through, to) {
+  const center = circumcenter(from, through, to);
+  if (!center) return [from, to];
+  const radius = distance(center, from);
+  const angle = (p) => Math.atan2(p[1] - center[1], p[0] - center[0]);
+  const a0 = angle(from);
+  const sweepTo = (p) => {
+    let a = angle(p) - a0;
+    while (a < 0) a += 2 * Math.PI;
+    return a;
+  };
+  // Counter-clockwise in (x, z) unless `through` is not on that way round
+  let sweep = sweepTo(to);
+  if (sweepTo(through) > sweep) sweep -= 2 * Math.PI;
+  const steps = Math.max(2, Math.ceil(Math.abs(sweep) / ARC_STEP));
+  const points = [];
+  for (let k = 0; k <= steps; k++) {
+    const a = a0 + (sweep * k) / steps;
+    points.push(k === steps ? to : [center[0] + radius * Math.cos(a), center[1] + radius * Math.sin(a)]);
+  }
+  return points;
+}
+
+// "top", "bottom" or "innerN" of a KiCad copper layer name, or null
+function copperLayer(name, copperNames) {
+  if (name === "F.Cu") return "top";
+  if (name === "B.Cu") return "bottom";
+  const inner = /^In(\d+)\.Cu$/.exec(name ?? "");
+  if (inner && copperNames.includes(name)) return `inner${inner[1]}`;
+  return null;
+}
+
+function layerOf(node) {
+  return child(node, "layer")?.[1] ?? null;
+}
+
+function strokeWidth(node, fallback) {
+  return number(child(node, "width")?.[1] ?? child(child(node, "stroke") ?? [], "width")?.[1], fallback);
+}
+
+// Points of (pts (xy x y) … (arc (start) (mid) (end)) …)
+function polygonPoints(pts) {
+  if (!pts) return [];
+  return children(pts, "xy").length === pts.length - 1
+    ? pts.slice(1).map(point)
+    : pts.slice(1).flatMap((item) => {
+        if (item[0] === "xy") return [point(item)];
+        if (item[0] === "arc") return arcPoints(...arcOf(item)).slice(0, -1);
+        return [];
+      });
+}
+
+function rectCorners([x0, z0], [x1, z1]) {
+  return [
+    [x0, z0],
+    [x1, z0],
+    [x1, z1],
+    [x0, z1],
+  ];
+}
+
+// Points of a path, arcs by their through and end points
+function pathPoints(path) {
+  return path.flatMap((p) => (Array.isArray(p) ? [p] : [p.through, p.to]));
+}
+
+// [x, y] of an (at x y …) / (xy x y) / (start x y) node
+function point(node) {
+  return [number(node?.[1], 0), number(node?.[2], 0)];
+}
+
+function number(value, fallback) {
+  const parsed = typeof value === "string" ? parseFloat(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
@@ -0,0 +1,242 @@
+import { BoardValidationError, SCHEMA_VERSION } from "./schema";
+
+/**
+ * Ordered list of schema upgrades. Each step takes a board object at
+ * version `from` and returns a new object at version `to`; inputs are never
+ * mutated. Files without a `version` field are treated as version 0.
+ */
+const MIGRATIONS = [
+  { from: 0, to: 1, migrate: migrateLegacy },
+  { from: 1, to: 2, migrate: hoistComponentPins },
+  { from: 2, to: 3, migrate: rotationInDegrees },
+];
+
+const DEFAULT_BOARD = { width: 100, height: 80, thickness: 1.6 };
+
+/**
+ * migrateBoard
+ * ------------
+ * Upgrade any supported design file shape to the canonical schema
+ * (see schema.js). The result still has to be checked with validateBoard.
+ */
+export function migrateBoard(data) {
+  if (data === null || typeof data !== "object" || Array.isArray(data)) return data;
+
+  let version = typeof data.version === "number" ? data.version : 0;
+  if (version > SCHEMA_VERSION) {
+    throw new BoardValidationError([
+      {
+        path: "version",
+        message: `${version} is newer than the supported version ${SCHEMA_VERSION}`,
+      },
+    ]);
+  }
+
+  let result = data;
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version);
+    if (!step) {
+      throw new BoardValidationError([
+        { path: "version", message: `no migration available from version ${version}` },
+      ]);
+    }
+    result = step.migrate(result);
+    version = step.to;
+  }
+  return result;
+}
+
+/**
+ * Version 0 → 1: the unversioned shapes found in src/Designs/*.json.
+ * - `board.dimensions` → flat `board`
+ * - `pos` → `position`
+ * - traces with `points` or `start`/`end` → `path`, `thickness` → `width`
+ * - `components` entries typed "pad" / "trace" → `pads` / `traces`
+ * - `mounting_holes` → `holes`, hole `drill` → `radius`
+ * - silkscreen `pos` → `position`
+ */
+function migrateLegacy(data) {
+  const {
+    board,
+    pads = [],
+    traces = [],
+    components = [],
+    holes = [],
+    mounting_holes: mountingHoles = [],
+    vias = [],
+    silkscreen = [],
+    ...rest
+  } = data;
+
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const legacyComponents = list(components);
+
+  return {
+    ...rest,
+    version: 1,
+    board: migrateBoardConfig(board),
+    pads: [...list(pads), ...legacyComponents.filter((c) => c?.type === "pad")].map(migratePad),
+    traces: [...list(traces), ...legacyComponents.filter((c) => c?.type === "trace")].map(
+      migrateTrace
+    ),
+    components: legacyComponents
+      .filter((c) => c?.type !== "pad" && c?.type !== "trace")
+      .map(migrateComponent),
+    holes: [...list(holes), ...list(mountingHoles)].map(migrateHole),
+    vias: list(vias).map(migrateHole),
+    silkscreen: list(silkscreen).map((item) =>
+      item && typeof item === "object" ? withPosition(item) : item
+    ),
+  };
+}
+
+/**
+ * Version 1 → 2: pads listed inside a component (`pins: [...]` or
+ * `pads: [...]`) move to the top-level `pads` array with `component` set to
+ * the owner's id. They inherit the component's `layer` and get a 1-based
+ * `pin` number from their order when they have none. Numeric `pins` counts
+ * stay on the component.
+ */
+function hoistComponentPins(data) {
+  const pads = Array.isArray(data.pads) ? [...data.pads] : data.pads;
+  const components = Array.isArray(data.components)
+    ? data.components.map((component) => {
+        if (!component || typeof component !== "object") return component;
+
+        const { pins, pads: nested, ...rest } = component;
+        const owned = [pins, nested].filter(Array.isArray).flat();
+        if (!owned.length || !Array.isArray(pads)) return component;
+
+        owned.forEach((pin, index) => {
+          if (!pin || typeof pin !== "object") return;
+          const pad = withPosition(pin);
+          pads.push(
+            migratePad(
+              {
+                ...pad,
+                component: pad.component ?? component.id,
+                pin: pad.pin ?? index + 1,
+                ...(pad.layer === undefined && component.layer !== undefined
+                  ? { layer: component.layer }
+                  : {}),
+              },
+              pads.length
+            )
+          );
+        });
+        return typeof pins === "number" ? { ...rest, pins } : rest;
+      })
+    : data.components;
+
+  return { ...data, version: 2, pads, components };
+}
+
+/**
+ * Version 2 → 3: component `rotation` as Euler angles [rx, ry, rz]
+ * (radians) → degrees about the board normal (ry; the tilt is dropped).
+ */
+function rotationInDegrees(data) {
+  const convert = (record) => {
+    if (!record || typeof record !== "object" || !Array.isArray(record.rotation)) return record;
+    const ry = record.rotation[1];
+    const { rotation: _rotation, ...rest } = record;
+    return typeof ry === "number" && ry !== 0 ? { ...rest, rotation: (ry * 180) / Math.PI } : rest;
+  };
+  const components = Array.isArray(data.components) ? data.components.map(convert) : data.components;
+  return { ...data, version: 3, components };
+}
+
+function migrateBoardConfig(board) {
+  if (!board || typeof board !== "object") return { ...DEFAULT_BOARD };
+
+  const { dimensions, ...rest } = board;
+  const merged = dimensions && typeof dimensions === "object" ? { ...rest, ...dimensions } : rest;
+  return {
+    ...merged,
+    width: merged.width ?? DEFAULT_BOARD.width,
+    height: merged.height ?? DEFAULT_BOARD.height,
+    thickness: merged.thickness ?? DEFAULT_BOARD.thickness,
+  };
+}
+
+function withPosition(record) {
+  const { pos, ...rest } = record;
+  const position = pos ?? record.position;
+  return position === undefined ? rest : { ...rest, position };
+}
+
+function migratePad(pad, index) {
+  if (!pad || typeof pad !== "object") return pad;
+
+  const { w, h, width, height, ...rest } = withPosition(pad);
+  const result = { ...rest, id: pad.id ?? `pad_${index}` };
+  if (pad.size === undefined) {
+    result.size = [w ?? width ?? 1, h ?? height ?? 1];
+  } else {
+    Object.assign(result, stripUndefined({ w, h, width, height }));
+  }
+  return result;
+}
+
+function migrateTrace(trace) {
+  if (!trace || typeof trace !== "object") return trace;
+
+  const { points, start, end, thickness, ...rest } = trace;
+  const result = { ...rest };
+
+  if (trace.path === undefined) {
+    if (Array.isArray(points)) {
+      result.path = points;
+    } else if (start !== undefined && end !== undefined) {
+      result.path = [start, end];
+    }
+  }
+  if (trace.width === undefined) {
+    result.width = thickness ?? 0.5;
+  } else if (thickness !== undefined) {
+    result.thickness = thickness;
+  }
+  return result;
+}
+
+function migrateComponent(component, index) {
+  if (!component || typeof component !== "object") return component;
+
+  const result = withPosition(component);
+  result.type = component.type ?? "component";
+  result.id = component.id ?? `${result.type}_${index}`;
+
+  // Connectors in older files only list their pads; place the body at their centroid
+  if (result.position === undefined) {
+    const nested = [component.pads, component.pins].find(Array.isArray) || [];
+    const points = nested.map((p) => p && (p.pos ?? p.position)).filter(Array.isArray);
+    result.position = points.length ? centroid(points) : [0, 0];
+  }
+  return result;
+}
+
+function migrateHole(hole) {
+  if (!hole || typeof hole !== "object") return hole;
+
+  const result = withPosition(hole);
+  if (result.radius === undefined && result.drill !== undefined) {
+    result.radius = result.drill;
+  }
+  return result;
+}
+
+function centroid(points) {
+  const is3d = points.every((p) => p.length === 3);
+  const sum = [0, 0, 0];
+  points.forEach((p) => {
+    sum[0] += p[0];
+    sum[1] += is3d ? p[1] : 0;
+    sum[2] += is3d ? p[2] : p[1];
+  });
+  const n = points.length;
+  return is3d ? [sum[0] / n, sum[1] / n, sum[2] / n] : [sum[0] / n, sum[2] / n];
+}
+
+function stripUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, v]) => v !== undefined));
+}
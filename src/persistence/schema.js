@@ -0,0 +1,130 @@
+/**
+ * Canonical board schema
+ * ----------------------
+ * The single JSON shape that `loadBoard` hydrates from and `serializeBoard`
+ * writes. Older / hand-written shapes are upgraded by `migrateBoard` first.
+ *
+ * Vec = [x, z] | [x, y, z]   (2D points lie on the board surface)
+ *
+ * {
+ *   version: 3,
+ *   board: { width: number, height: number, thickness: number, outline?: Outline, ...meta },
+ *   pads: [{ id: string|number, position: Vec, size: [w, h], rotation?: number (deg),
+ *           component?, pin?, drill?, ...meta }],
+ *   traces: [{ id?: string|number, path: Vec[] (>= 2 points), width: number, ...meta }],
+ *   components: [{ id: string|number, type: string, position: Vec, size?: [w, h, t],
+ *                  rotation?: number (deg), body?: Body, pins?: number, package?: string, ...meta }],
+ *   holes: [{ id?: string|number, position: Vec, radius: number, plated?, annular_ring?, ...meta }],
+ *   vias: [{ id?: string|number, position: Vec, radius: number, plated?, annular_ring?, ...meta }],
+ *   zones: [{ id?: string|number, net: string, path: Vec[] (>= 3 points), layer?,
+ *             clearance?, thermal_gap?, spoke_width?, connection?: "thermal" | "solid",
+ *             fixed?: boolean, ...meta }],
+ *   silkscreen: [
+ *     { text: string, position: Vec, size?: number (mm), rotation?: number (deg) }
+ *     | { path: Vec[], width?: number }
+ *   ]
+ * }
+ *
+ * Outline = {            (see engine/Outline.js)
+ *   path?: Array<Vec | { through: Vec, to: Vec }>   closed polyline, `{ through, to }` = arc,
+ *   corner_radius?: number,                         rounds the corners between straight edges,
+ *   cutouts?: Array<{ path, corner_radius? } | { circle: { center: Vec, radius } }>
+ * }
+ * Without `path` the board is the width × height rectangle centred on the
+ * origin; with one, `width` / `height` may be omitted and are written back
+ * as the outline's bounding size.
+ *
+ * The silkscreen ink colour comes from `board.layers.silkscreen.color`.
+ *
+ * `board.stackup` optionally describes the layer stackup (see engine/Stackup.js):
+ *   { copper_layers?: even number >= 2, copper_thickness?, dielectric?: number[],
+ *     mask_thickness?, silk_thickness? }
+ * Traces may then use inner layers: `layer: "inner1"` (or "In1.Cu", "L2", ...).
+ *
+ * `board.rules` optionally sets the design rules (mm, see engine/Drc.js):
+ *   { clearance?, min_trace_width?, min_drill?, min_annular_ring?, edge_clearance?,
+ *     net_classes?: Array<{ name, nets: string[], ...the same keys }> }
+ * A net class overrides the board values for the nets it lists.
+ *
+ * Zones are copper pours on one copper layer (`layer`, default "top"),
+ * filled inside the closed `path` on load (see engine/ZoneFill.js):
+ * `clearance` (mm, default: the net's rule) from other nets' copper, and
+ * same-net pads joined by `thermal_gap` reliefs with `spoke_width` spokes
+ * (0.5 mm each by default) unless `connection` is "solid". A `fixed` zone
+ * is copper exactly as its path is drawn, with no clearances or reliefs.
+ *
+ * `rotation` turns a pad or component about the board normal, in degrees
+ * counter-clockwise seen from the top (see engine/Rotation.js). A
+ * component's footprint pads turn with it.
+ *
+ * `layer` on pads, traces, components and silkscreen items picks the board
+ * face: "top" (default) or "bottom". Names such as "Top Copper", "Bottom
+ * Copper" or "B.Cu" are understood as well.
+ *
+ * Body = {
+ *   size?: [x, height, z] | radius?: number + height?: number (cylinder),
+ *   color?: string, material?: "plastic" | "metal" | "ceramic",
+ *   standoff?: number (mm between the board and the underside of the body)
+ * }
+ * `body.size` takes precedence over the older top-level `size` ([w, h, t],
+ * with h along Z and t the height).
+ *
+ * Holes and vias are drilled through the board: `radius` is the hole radius,
+ * `plated` defaults to false for holes and true for vias, and plated ones get
+ * `annular_ring` mm of copper (default 0.25) around them on both faces.
+ * Through-hole pads are drilled too: `drill` is the hole diameter, defaulting
+ * to 55% of the smaller pad side for `pad_type: "TH"`.
+ *
+ * A pad belongs to a component when its `component` matches that component's
+ * id. Components whose `package` (or `type`) is in the footprint library
+ * (footprints/library.js) and own no pads get the footprint's pads on load,
+ * `pins: 40` setting the pin count; those pads are written back as
+ * ordinary pads.
+ *
+ * `...meta` is any extra metadata (net, pin, pad_type, color, description, ...)
+ * which is carried through untouched.
+ */
+
+export const SCHEMA_VERSION = 3;
+
+// Top-level arrays of the canonical schema, in export order.
+export const RECORD_ARRAYS = ["pads", "traces", "components", "holes", "vias", "zones", "silkscreen"];
+
+// Design rules (mm) of `board.rules` and their defaults (see engine/Drc.js).
+export const DEFAULT_RULES = {
+  clearance: 0.2,
+  min_trace_width: 0.15,
+  min_drill: 0.3,
+  min_annular_ring: 0.13,
+  edge_clearance: 0.3,
+};
+
+export const RULE_KEYS = Object.keys(DEFAULT_RULES);
+
+// Values of a zone's `connection` (see engine/ZoneFill.js).
+export const ZONE_CONNECTIONS = { THERMAL: "thermal", SOLID: "solid" };
+
+/**
+ * Thrown by loadBoard when a design cannot be migrated into a valid
+ * canonical board. `errors` is the list returned by `validateBoard`.
+ */
+export class BoardValidationError extends Error {
+  constructor(errors) {
+    const preview = errors
+      .slice(0, 3)
+      .map((e) => formatValidationError(e))
+      .join("; ");
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : "";
+    super(`Invalid board file: ${preview}${more}`);
+    this.name = "BoardValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Render a `{ path, message }` validation error as a single line,
+ * e.g. "traces[3].path[1] must have 2 or 3 numbers".
+ */
+export function formatValidationError(error) {
+  return error.path ? `${error.path} ${error.message}` : error.message;
+}
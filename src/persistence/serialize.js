@@ -1,65 +1,117 @@
+import { SCHEMA_VERSION } from "./schema";
+import { tracePath } from "../primitives/Traces";
+import { zoneOutline } from "../primitives/Zones";
+import { normalizeAngle } from "../engine/Rotation";
+
 /**
  * serializeBoard
  * ---------------
  * Extracts the current PCB state from the engine into a JSON-serializable object.
  *
- * Schema:
+ * Every record keeps the metadata it was imported with (net, pin, pad_type,
+ * color, description, ...) so that import → export → import is lossless.
+ * Only the geometric fields the editor can change are overwritten.
+ *
+ * Schema: canonical board, see schema.js
  * {
- *   board: { width: number, height: number, thickness: number },
- *   components: [
- *     { type: "pad", id: string, position: [x,y,z], size: [w,h] },
- *     { type: "trace", id?: string, start: [x,y,z], end: [x,y,z], width: number }
- *   ]
+ *   version: number,
+ *   board: { width: number, height: number, thickness: number, ...meta },
+ *   pads: [{ id: string, position: [x,y,z], size: [w,h], rotation?: deg, ...meta }],
+ *   traces: [{ id?: string, path: [[x,y,z], ...], width: number, ...meta }],
+ *   components: [{ id, type, position: [x,y,z], rotation?: deg, ...meta }],
+ *   holes: [{ id?, position: [x,y,z], radius: number, ...meta }],
+ *   vias: [{ id?, position: [x,y,z], radius: number, ...meta }],
+ *   zones: [{ id?, net, path: [[x,z], ...], ...meta }],
+ *   silkscreen: [{ text, position, ... } | { path, width? }]
  * }
  */
 export function serializeBoard(engine) {
   const result = {
+    version: SCHEMA_VERSION,
     board: { width: 100, height: 80, thickness: 1.6 },
+    pads: [],
+    traces: [],
     components: [],
+    holes: [],
+    vias: [],
+    zones: [],
+    silkscreen: [],
   };
 
-  // Board dimensions
+  // Board dimensions (extra metadata such as `layers` preserved)
   if (engine.board && engine.board.userData && engine.board.userData.boardConfig) {
-    result.board = { ...engine.board.userData.boardConfig };
+    result.board = { ...engine.board.userData.raw, ...engine.board.userData.boardConfig };
   }
 
-  // Pads (InstancedMesh)
-  if (engine.padsGroup) {
-    const padsMesh = engine.padsGroup.children.find(
-      (c) => c.userData && c.userData.type === "pads_copper"
-    );
-    if (padsMesh && padsMesh.userData && padsMesh.userData.idMap) {
-      const idMap = padsMesh.userData.idMap;
-      Object.keys(idMap).forEach((key) => {
-        const pad = idMap[key];
-        if (!pad) return;
-        result.components.push({
-          type: "pad",
-          id: pad.id,
-          position: pad.position,
-          size: pad.size,
-        });
+  // Pads (one InstancedMesh per board side)
+  engine.getPadMeshes().forEach((padsMesh) => {
+    const idMap = padsMesh.userData.idMap || {};
+    Object.keys(idMap).forEach((key) => {
+      const pad = idMap[key];
+      if (!pad) return;
+      result.pads.push({
+        ...withRotation(withPosition(pad.raw || {}, pad.position), pad.rotation),
+        id: pad.id,
+        size: pad.size.slice(),
       });
-    }
-  }
+    });
+  });
 
-  // Traces
+  // Traces: one mesh per polyline, written back as its `path`
   if (Array.isArray(engine.traces)) {
     engine.traces.forEach((trace) => {
-      if (!trace || !trace.userData) return;
-      const { start, end, width } = trace.userData;
-      if (!start || !end || width == null) return;
+      if (!trace || !trace.userData || !trace.userData.points) return;
+      const { points, width } = tracePath(trace);
+      const { points: _points, start: _start, end: _end, path: _path, ...meta } = trace.userData.raw || {};
+      result.traces.push({ ...meta, width, path: points });
+    });
+  }
 
-      result.components.push({
-        type: "trace",
-        id: trace.userData.id || undefined,
-        start,
-        end,
-        width,
-      });
+  // Components, holes and vias go back to the array they were loaded from
+  if (Array.isArray(engine.components)) {
+    engine.components.forEach((mesh) => {
+      if (!mesh || !mesh.userData) return;
+      const raw = mesh.userData.raw || {};
+      const target = result[mesh.userData.source] || result.components;
+      let record = withPosition(raw, mesh.position.toArray());
+      if (target === result.components) {
+        record = withRotation(record, (mesh.rotation.y * 180) / Math.PI);
+        record.type = raw.type ?? mesh.userData.type;
+      }
+      target.push(record);
+    });
+  }
+
+  // Zones: their outline; the fill is recomputed on load
+  if (Array.isArray(engine.zones)) {
+    engine.zones.forEach((zone) => {
+      const { path: _path, ...meta } = zone.userData.raw || {};
+      result.zones.push({ ...meta, path: zoneOutline(zone) });
     });
   }
 
+  // Free silkscreen items; outlines / refdes are regenerated on load
+  if (Array.isArray(engine.silkscreenItems)) {
+    result.silkscreen = engine.silkscreenItems.map((item) => ({ ...item }));
+  }
+
   return result;
 }
 
+/**
+ * Replace `rotation` on a record with the given angle (degrees), left out
+ * when it is 0.
+ */
+function withRotation(record, degrees) {
+  const { rotation: _rotation, ...rest } = record;
+  const angle = normalizeAngle(degrees ?? 0);
+  return angle ? { ...rest, rotation: angle } : rest;
+}
+
+/**
+ * Replace `pos`/`position` on a record with the given position.
+ */
+function withPosition(record, position) {
+  const { pos: _pos, ...rest } = record;
+  return { ...rest, position: position.slice() };
+}
@@ -0,0 +1,77 @@
+/**
+ * S-expressions
+ * -------------
+ * Reader for the S-expression files KiCad writes (.kicad_pcb, .kicad_mod):
+ *
+ *   (pad "1" smd rect (at 1.5 0 90) (size 1 1.2))
+ *   → ["pad", "1", "smd", "rect", ["at", "1.5", "0", "90"], ["size", "1", "1.2"]]
+ *
+ * A list becomes an array, every atom a string (quoted or not, with the
+ * escapes of quoted strings resolved); numbers are left to the caller.
+ */
+
+/**
+ * The first expression of `text`. Throws on unbalanced parentheses or an
+ * unterminated string, with the character offset.
+ */
+export function parseSexpr(text) {
+  const stack = [];
+  let root = null;
+  let i = 0;
+
+  const push = (value) => {
+    if (!stack.length) throw new Error(`Unexpected atom at offset ${i}`);
+    stack[stack.length - 1].push(value);
+  };
+
+  while (i < text.length && root === null) {
+    const c = text[i];
+    if (c === "(") {
+      stack.push([]);
+      i++;
+    } else if (c === ")") {
+      const list = stack.pop();
+      if (!list) throw new Error(`Unbalanced ")" at offset ${i}`);
+      if (stack.length) stack[stack.length - 1].push(list);
+      else root = list;
+      i++;
+    } else if (c === '"') {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === "n" ? "\n" : next === "t" ? "\t" : next;
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw new Error("Unterminated string");
+      push(value);
+      i++;
+    } else if (/\s/.test(c)) {
+      i++;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+      push(text.slice(start, i));
+    }
+  }
+  if (root === null) throw new Error(stack.length ? "Unbalanced \"(\": the file ends inside a list" : "No expression");
+  return root;
+}
+
+/**
+ * First child list of `node` headed `name`, or null.
+ */
+export function child(node, name) {
+  return node.find((item) => Array.isArray(item) && item[0] === name) ?? null;
+}
+
+/**
+ * Every child list of `node` headed `name`.
+ */
+export function children(node, name) {
+  return node.filter((item) => Array.isArray(item) && item[0] === name);
+}
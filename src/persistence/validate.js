@@ -0,0 +1,305 @@
+import { RECORD_ARRAYS, RULE_KEYS, SCHEMA_VERSION, ZONE_CONNECTIONS } from "./schema";
+
+/**
+ * validateBoard
+ * -------------
+ * Checks a canonical board object (see schema.js) and returns a list of
+ * `{ path, message }` errors, where `path` is a JSON path such as
+ * "traces[3].path[1]". An empty list means the board can be hydrated.
+ */
+export function validateBoard(data) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!isObject(data)) {
+    fail("", "board file must be a JSON object");
+    return errors;
+  }
+
+  if (data.version !== SCHEMA_VERSION) {
+    fail("version", `must be ${SCHEMA_VERSION}`);
+  }
+
+  if (!isObject(data.board)) {
+    fail("board", "must be an object");
+  } else {
+    // A board with an outline path takes its extent from the outline
+    const hasPath = Array.isArray(data.board.outline?.path);
+    ["width", "height", "thickness"].forEach((key) => {
+      if (hasPath && key !== "thickness" && data.board[key] === undefined) return;
+      checkPositive(data.board[key], `board.${key}`, fail);
+    });
+    if (data.board.outline !== undefined) {
+      checkOutline(data.board.outline, "board.outline", fail);
+    }
+    if (data.board.stackup !== undefined) {
+      checkStackup(data.board.stackup, "board.stackup", fail);
+    }
+    if (data.board.rules !== undefined) {
+      checkRules(data.board.rules, "board.rules", fail);
+    }
+  }
+
+  RECORD_ARRAYS.forEach((key) => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      fail(key, "must be an array");
+    }
+  });
+
+  eachRecord(data.pads, "pads", fail, (pad, path) => {
+    checkId(pad.id, `${path}.id`, fail, true);
+    checkVec(pad.position, `${path}.position`, fail);
+    if (!Array.isArray(pad.size) || pad.size.length !== 2) {
+      fail(`${path}.size`, "must be [width, height]");
+    } else {
+      pad.size.forEach((v, i) => checkPositive(v, `${path}.size[${i}]`, fail));
+    }
+    if (pad.drill !== undefined) checkPositive(pad.drill, `${path}.drill`, fail);
+    if (pad.rotation !== undefined) checkAngle(pad.rotation, `${path}.rotation`, fail);
+  });
+
+  eachRecord(data.traces, "traces", fail, (trace, path) => {
+    checkId(trace.id, `${path}.id`, fail, false);
+    checkPositive(trace.width, `${path}.width`, fail);
+    if (!Array.isArray(trace.path) || trace.path.length < 2) {
+      fail(`${path}.path`, "must be an array of at least 2 points");
+    } else {
+      trace.path.forEach((p, i) => checkVec(p, `${path}.path[${i}]`, fail));
+    }
+  });
+
+  eachRecord(data.components, "components", fail, (component, path) => {
+    checkId(component.id, `${path}.id`, fail, true);
+    if (typeof component.type !== "string" || !component.type) {
+      fail(`${path}.type`, "must be a non-empty string");
+    }
+    checkVec(component.position, `${path}.position`, fail);
+    if (component.size !== undefined) {
+      if (!Array.isArray(component.size) || component.size.length < 2 || component.size.length > 3) {
+        fail(`${path}.size`, "must have 2 or 3 numbers");
+      } else {
+        component.size.forEach((v, i) => checkPositive(v, `${path}.size[${i}]`, fail));
+      }
+    }
+    if (component.body !== undefined) {
+      checkBody(component.body, `${path}.body`, fail);
+    }
+    if (component.rotation !== undefined) checkAngle(component.rotation, `${path}.rotation`, fail);
+    if (component.pins !== undefined && (!Number.isInteger(component.pins) || component.pins < 1)) {
+      fail(`${path}.pins`, "must be a positive integer (pin arrays belong in `pads`)");
+    }
+  });
+
+  ["holes", "vias"].forEach((key) => {
+    eachRecord(data[key], key, fail, (hole, path) => {
+      checkId(hole.id, `${path}.id`, fail, false);
+      checkVec(hole.position, `${path}.position`, fail);
+      checkPositive(hole.radius, `${path}.radius`, fail);
+      if (hole.plated !== undefined && typeof hole.plated !== "boolean") {
+        fail(`${path}.plated`, "must be true or false");
+      }
+      if (hole.annular_ring !== undefined) {
+        checkNonNegative(hole.annular_ring, `${path}.annular_ring`, fail);
+      }
+    });
+  });
+
+  eachRecord(data.zones, "zones", fail, (zone, path) => {
+    checkId(zone.id, `${path}.id`, fail, false);
+    if (typeof zone.net !== "string" || !zone.net) fail(`${path}.net`, "must be a non-empty string");
+    if (!Array.isArray(zone.path) || zone.path.length < 3) {
+      fail(`${path}.path`, "must be an array of at least 3 points");
+    } else {
+      zone.path.forEach((p, i) => checkVec(p, `${path}.path[${i}]`, fail));
+    }
+    ["clearance", "thermal_gap", "spoke_width"].forEach((key) => {
+      if (zone[key] !== undefined) checkPositive(zone[key], `${path}.${key}`, fail);
+    });
+    if (zone.connection !== undefined && !Object.values(ZONE_CONNECTIONS).includes(zone.connection)) {
+      fail(`${path}.connection`, `must be one of ${Object.values(ZONE_CONNECTIONS).join(", ")}`);
+    }
+    if (zone.fixed !== undefined && typeof zone.fixed !== "boolean") {
+      fail(`${path}.fixed`, "must be true or false");
+    }
+  });
+
+  eachRecord(data.silkscreen, "silkscreen", fail, (item, path) => {
+    if (typeof item.text === "string") {
+      if (!item.text.length) fail(`${path}.text`, "must be a non-empty string");
+      checkVec(item.position, `${path}.position`, fail);
+      if (item.size !== undefined) checkPositive(item.size, `${path}.size`, fail);
+    } else if (Array.isArray(item.path)) {
+      if (item.path.length < 2) fail(`${path}.path`, "must be an array of at least 2 points");
+      item.path.forEach((p, i) => checkVec(p, `${path}.path[${i}]`, fail));
+      if (item.width !== undefined) checkPositive(item.width, `${path}.width`, fail);
+    } else {
+      fail(path, "must have `text` and `position`, or a `path`");
+    }
+  });
+
+  return errors;
+}
+
+function checkOutline(outline, path, fail) {
+  if (!isObject(outline)) {
+    fail(path, "must be an object");
+    return;
+  }
+  if (outline.path !== undefined) checkOutlinePath(outline.path, `${path}.path`, fail);
+  if (outline.corner_radius !== undefined) {
+    checkNonNegative(outline.corner_radius, `${path}.corner_radius`, fail);
+  }
+  if (outline.cutouts === undefined) return;
+  if (!Array.isArray(outline.cutouts)) {
+    fail(`${path}.cutouts`, "must be an array");
+    return;
+  }
+  outline.cutouts.forEach((cutout, i) => {
+    const at = `${path}.cutouts[${i}]`;
+    if (isObject(cutout) && isObject(cutout.circle)) {
+      checkVec(cutout.circle.center, `${at}.circle.center`, fail);
+      checkPositive(cutout.circle.radius, `${at}.circle.radius`, fail);
+    } else if (isObject(cutout) && cutout.path !== undefined) {
+      checkOutlinePath(cutout.path, `${at}.path`, fail);
+      if (cutout.corner_radius !== undefined) {
+        checkNonNegative(cutout.corner_radius, `${at}.corner_radius`, fail);
+      }
+    } else {
+      fail(at, "must have a `path` or a `circle`");
+    }
+  });
+}
+
+// Closed polyline: points and `{ through, to }` arcs, at least 3 vertices
+function checkOutlinePath(points, path, fail) {
+  if (!Array.isArray(points) || points.length < 3) {
+    fail(path, "must be an array of at least 3 points");
+    return;
+  }
+  points.forEach((entry, i) => {
+    if (Array.isArray(entry)) {
+      checkVec(entry, `${path}[${i}]`, fail);
+    } else if (isObject(entry) && entry.to !== undefined) {
+      checkVec(entry.to, `${path}[${i}].to`, fail);
+      checkVec(entry.through, `${path}[${i}].through`, fail);
+    } else {
+      fail(`${path}[${i}]`, "must be a point or an arc { through, to }");
+    }
+  });
+}
+
+function checkBody(body, path, fail) {
+  if (!isObject(body)) {
+    fail(path, "must be an object");
+    return;
+  }
+  if (body.size !== undefined) {
+    if (!Array.isArray(body.size) || body.size.length !== 3) {
+      fail(`${path}.size`, "must be [x, height, z]");
+    } else {
+      body.size.forEach((v, i) => checkPositive(v, `${path}.size[${i}]`, fail));
+    }
+  }
+  ["radius", "height"].forEach((key) => {
+    if (body[key] !== undefined) checkPositive(body[key], `${path}.${key}`, fail);
+  });
+  if (body.standoff !== undefined) checkNonNegative(body.standoff, `${path}.standoff`, fail);
+  ["color", "material"].forEach((key) => {
+    if (body[key] !== undefined && typeof body[key] !== "string" && typeof body[key] !== "number") {
+      fail(`${path}.${key}`, "must be a string");
+    }
+  });
+}
+
+function checkStackup(stackup, path, fail) {
+  if (!isObject(stackup)) {
+    fail(path, "must be an object");
+    return;
+  }
+  const count = stackup.copper_layers ?? 2;
+  if (!Number.isInteger(count) || count < 2 || count % 2 !== 0) {
+    fail(`${path}.copper_layers`, "must be an even integer of at least 2");
+  }
+  ["copper_thickness", "mask_thickness", "silk_thickness"].forEach((key) => {
+    if (stackup[key] !== undefined) checkPositive(stackup[key], `${path}.${key}`, fail);
+  });
+  if (stackup.dielectric !== undefined) {
+    if (!Array.isArray(stackup.dielectric) || stackup.dielectric.length !== count - 1) {
+      fail(`${path}.dielectric`, `must have ${count - 1} thicknesses (one per gap between copper layers)`);
+    } else {
+      stackup.dielectric.forEach((v, i) => checkPositive(v, `${path}.dielectric[${i}]`, fail));
+    }
+  }
+}
+
+function checkRules(rules, path, fail) {
+  if (!isObject(rules)) {
+    fail(path, "must be an object");
+    return;
+  }
+  const checkValues = (source, at) => {
+    RULE_KEYS.forEach((key) => {
+      if (source[key] !== undefined) checkNonNegative(source[key], `${at}.${key}`, fail);
+    });
+  };
+  checkValues(rules, path);
+  if (rules.net_classes === undefined) return;
+  if (!Array.isArray(rules.net_classes)) {
+    fail(`${path}.net_classes`, "must be an array");
+    return;
+  }
+  eachRecord(rules.net_classes, `${path}.net_classes`, fail, (netClass, at) => {
+    if (typeof netClass.name !== "string" || !netClass.name) fail(`${at}.name`, "must be a non-empty string");
+    if (!Array.isArray(netClass.nets)) fail(`${at}.nets`, "must be an array of net names");
+    checkValues(netClass, at);
+  });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function eachRecord(list, key, fail, check) {
+  if (!Array.isArray(list)) return;
+  list.forEach((record, i) => {
+    const path = `${key}[${i}]`;
+    if (!isObject(record)) {
+      fail(path, "must be an object");
+      return;
+    }
+    check(record, path);
+  });
+}
+
+function checkVec(value, path, fail) {
+  const ok =
+    Array.isArray(value) &&
+    (value.length === 2 || value.length === 3) &&
+    value.every((v) => typeof v === "number" && Number.isFinite(v));
+  if (!ok) fail(path, "must have 2 or 3 numbers");
+}
+
+function checkNonNegative(value, path, fail) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    fail(path, "must be a number >= 0");
+  }
+}
+
+function checkAngle(value, path, fail) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    fail(path, "must be an angle in degrees");
+  }
+}
+
+function checkPositive(value, path, fail) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    fail(path, "must be a positive number");
+  }
+}
+
+function checkId(value, path, fail, required) {
+  if (value === undefined && !required) return;
+  if (typeof value !== "string" && typeof value !== "number") {
+    fail(path, "must be a string or number");
+  }
+}
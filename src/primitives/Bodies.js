@@ -0,0 +1,74 @@
+import * as THREE from "three";
+
+/**
+ * Component bodies
+ * ----------------
+ * Box or cylinder (electrolytic / ceramic disc capacitors) meshes for
+ * component packages, with material presets for the usual package
+ * finishes.
+ *
+ * body: {
+ *   shape?: "box" | "cylinder",
+ *   size: [w, h, t],     X extent, Z extent (the diameter for cylinders) and height
+ *   color?: string | number,
+ *   material?: "plastic" | "metal" | "ceramic"
+ * }
+ */
+
+export const BODY_SHAPES = { BOX: "box", CYLINDER: "cylinder" };
+
+export const BODY_MATERIALS = {
+  plastic: { metalness: 0.2, roughness: 0.7 },
+  metal: { metalness: 0.85, roughness: 0.3 },
+  ceramic: { metalness: 0.0, roughness: 0.45 },
+};
+
+export const DEFAULT_BODY_COLOR = "#222222";
+
+/**
+ * Map a design-file material hint ("Plastic", "metal can", "aluminium",
+ * "ceramic", ...) onto a BODY_MATERIALS key. Unknown hints are plastic.
+ */
+export function resolveBodyMaterial(hint) {
+  const name = String(hint ?? "").toLowerCase();
+  if (/metal|\bcan\b|alumin|steel/.test(name)) return "metal";
+  if (/ceramic|porcelain/.test(name)) return "ceramic";
+  return "plastic";
+}
+
+/**
+ * Geometry for a body of the given shape and [w, h, t] size.
+ */
+export function createBodyGeometry(shape, size) {
+  const [w, h, t] = size;
+  if (shape === BODY_SHAPES.CYLINDER) {
+    const r = Math.max(w, h) / 2;
+    return new THREE.CylinderGeometry(r, r, t || 1, 32);
+  }
+  return new THREE.BoxGeometry(w, t || 1, h);
+}
+
+/**
+ * Create a body mesh centred on the origin (its height along Y).
+ */
+export function createBody({ shape = BODY_SHAPES.BOX, size, color, material } = {}) {
+  const preset = BODY_MATERIALS[resolveBodyMaterial(material)];
+  const mat = new THREE.MeshStandardMaterial({
+    color: color ?? DEFAULT_BODY_COLOR,
+    ...preset,
+  });
+  return new THREE.Mesh(createBodyGeometry(shape, size), mat);
+}
+
+/**
+ * Restyle an existing body mesh in place from a full body description
+ * (the geometry is rebuilt).
+ */
+export function updateBody(mesh, { shape = BODY_SHAPES.BOX, size, color, material }) {
+  mesh.geometry.dispose();
+  mesh.geometry = createBodyGeometry(shape, size);
+  mesh.material.color.set(color ?? DEFAULT_BODY_COLOR);
+  const preset = BODY_MATERIALS[resolveBodyMaterial(material)];
+  mesh.material.metalness = preset.metalness;
+  mesh.material.roughness = preset.roughness;
+}
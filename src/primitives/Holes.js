@@ -1,16 +1,110 @@
 import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils";
+import { BOARD_SIDES } from "../engine/Layers";
 
-export function createHoles(holesData) {
-  const group = new THREE.Group();
-  const material = new THREE.MeshBasicMaterial({ color: 0x111111 }); // Dark hole interior
+/**
+ * Drilled holes
+ * -------------
+ * The substrate itself is drilled (see engine/Board.js); these meshes show
+ * what lines the hole:
+ * - plated holes (vias, plated mounting holes): a tinned barrel through the
+ *   board with an annular ring on both outer copper layers
+ * - non-plated holes: the bare fibreglass wall
+ * - through-hole pads: a barrel and the ring on the face opposite the pad
+ *   (the pad itself is the ring on its own face)
+ */
 
-  holesData.forEach(hole => {
-    // Standard thickness is 1.6mm [cite: 37]
-    const geometry = new THREE.CylinderGeometry(hole.radius, hole.radius, 1.62, 32);
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(hole.pos[0], 0, hole.pos[2]);
-    group.add(mesh);
+// Annular ring width (mm) when the design does not give one
+export const DEFAULT_ANNULAR_RING = 0.25;
+
+const PLATING_COLOR = 0xd0d0d0;
+const WALL_COLOR = 0xc9c29a;
+// Rings sit just off the substrate so they don't z-fight with it
+const RING_LIFT = 0.005;
+
+/**
+ * Mesh for a via or mounting hole centred on the origin.
+ * options: { radius, thickness, plated?: boolean, ring?: number (mm) }
+ */
+export function createDrilledHole({ radius, thickness, plated = true, ring = DEFAULT_ANNULAR_RING }) {
+  const parts = [barrelGeometry(radius, thickness)];
+  if (plated && ring > 0) {
+    parts.push(
+      ringGeometry(radius, radius + ring, thickness, BOARD_SIDES.TOP),
+      ringGeometry(radius, radius + ring, thickness, BOARD_SIDES.BOTTOM)
+    );
+  }
+  const geometry = mergeParts(parts);
+
+  const material = plated
+    ? new THREE.MeshStandardMaterial({
+        color: PLATING_COLOR,
+        metalness: 0.8,
+        roughness: 0.3,
+        side: THREE.DoubleSide,
+      })
+    : new THREE.MeshStandardMaterial({
+        color: WALL_COLOR,
+        metalness: 0,
+        roughness: 0.95,
+        side: THREE.DoubleSide,
+      });
+
+  return new THREE.Mesh(geometry, material);
+}
+
+/**
+ * Barrels and back-side rings for through-hole pads, merged into one mesh.
+ * pads: Array<{ position: [x, y, z], size: [w, h], side, drill: number (diameter) }>
+ * Returns null when no pad is drilled.
+ */
+export function createPadPlating(pads, thickness) {
+  const parts = [];
+  pads.forEach((pad) => {
+    if (!(pad.drill > 0)) return;
+    const radius = pad.drill / 2;
+    const outer = Math.min(pad.size[0], pad.size[1]) / 2;
+    const [x, , z] = pad.position;
+
+    const barrel = barrelGeometry(radius, thickness);
+    barrel.translate(x, 0, z);
+    parts.push(barrel);
+
+    if (outer > radius) {
+      const back = pad.side === BOARD_SIDES.BOTTOM ? BOARD_SIDES.TOP : BOARD_SIDES.BOTTOM;
+      const ring = ringGeometry(radius, outer, thickness, back);
+      ring.translate(x, 0, z);
+      parts.push(ring);
+    }
+  });
+  if (!parts.length) return null;
+
+  const material = new THREE.MeshStandardMaterial({
+    color: PLATING_COLOR,
+    metalness: 0.8,
+    roughness: 0.3,
+    side: THREE.DoubleSide,
   });
+  const mesh = new THREE.Mesh(mergeParts(parts), material);
+  mesh.userData.type = "pad_plating";
+  return mesh;
+}
+
+function barrelGeometry(radius, thickness) {
+  return new THREE.CylinderGeometry(radius, radius, thickness, 24, 1, true);
+}
+
+function ringGeometry(inner, outer, thickness, side) {
+  const ring = new THREE.RingGeometry(inner, outer, 24);
+  const top = side !== BOARD_SIDES.BOTTOM;
+  ring.rotateX(top ? -Math.PI / 2 : Math.PI / 2);
+  ring.translate(0, (top ? 1 : -1) * (thickness / 2 + RING_LIFT), 0);
+  return ring;
+}
 
-  return group;
-}
\ No newline at end of file
+function mergeParts(parts) {
+  if (parts.length === 1) return parts[0];
+  const merged = mergeGeometries(parts);
+  parts.forEach((g) => g.dispose());
+  return merged;
+}
@@ -1,11 +1,18 @@
 import * as THREE from "three";
 import { createCopperMaterial } from "../shaders/CopperShader";
-import { PCB_LAYERS } from "../engine/Layers";
+import { BOARD_SIDES, PCB_LAYERS } from "../engine/Layers";
 
 /**
  * Create an instanced set of rectangular SMD pads and their edge outlines.
  *
- * data: Array<{ id?: string, position: [x, y, z], size: [w, h] }>
+ * data: Array<{ id?: string, position: [x, y, z], size: [w, h], side?: "top" | "bottom",
+ *               rotation?: number (degrees about the board normal, see engine/Rotation.js),
+ *               drill?: number (hole diameter, mm) }>
+ *
+ * Drilled (through-hole) pads have their hole cut out by the copper shader.
+ *
+ * Top pads face +Y and bottom pads face -Y, so each is only drawn from its
+ * own side of the board.
  *
  * Returns a THREE.Group containing:
  * - instanced copper pads mesh (ShaderMaterial)
@@ -25,6 +32,7 @@ export function createPads(data = []) {
   padGeometry.computeBoundingSphere();
   const copperMaterial = createCopperMaterial({
     layer: PCB_LAYERS.TOP_COPPER,
+    drilled: true,
   });
 
   const padMesh = new THREE.InstancedMesh(
@@ -38,19 +46,32 @@ export function createPads(data = []) {
   // Add instance ID attribute for per-instance shader picking
   // InstancedBufferAttribute must be added to the InstancedMesh, not the base geometry
   const instanceIds = new Float32Array(data.length);
+  const drillRadii = new Float32Array(data.length);
   for (let i = 0; i < data.length; i++) {
     instanceIds[i] = i;
+    drillRadii[i] = (data[i].drill || 0) / 2;
   }
   padMesh.geometry.setAttribute("instanceId", new THREE.InstancedBufferAttribute(instanceIds, 1));
+  padMesh.geometry.setAttribute("instanceDrill", new THREE.InstancedBufferAttribute(drillRadii, 1));
+  // Selection flags (1 = selected), written by the InteractionManager, and
+  // net highlight state (1 lit, -1 dimmed), written by Engine.highlightNet
+  padMesh.geometry.setAttribute(
+    "instanceSelected",
+    new THREE.InstancedBufferAttribute(new Float32Array(data.length), 1)
+  );
+  padMesh.geometry.setAttribute(
+    "instanceNet",
+    new THREE.InstancedBufferAttribute(new Float32Array(data.length), 1)
+  );
 
   data.forEach((pad, i) => {
     const [x, y, z] = pad.position;
     const [w, h] = pad.size;
 
-    // Place pads on the top surface of the board: lying in XZ plane
+    // Place pads on their board surface: lying in XZ plane
     dummy.position.set(x, y, z);
     dummy.scale.set(w, h, 1);
-    dummy.rotation.x = -Math.PI / 2;
+    orientPad(dummy, pad);
     dummy.updateMatrix();
 
     padMesh.setMatrixAt(i, dummy.matrix);
@@ -58,6 +79,8 @@ export function createPads(data = []) {
       id: pad.id ?? `pad_${i}`,
       size: [w, h],
       position: [x, y, z],
+      side: pad.side ?? BOARD_SIDES.TOP,
+      rotation: pad.rotation ?? 0,
       instanceId: i,
       raw: pad.raw || pad,
     };
@@ -90,7 +113,7 @@ export function createPads(data = []) {
 
     dummy.position.set(x, y, z + 0.0005); // minimal visual nudge
     dummy.scale.set(w, h, 1);
-    dummy.rotation.x = -Math.PI / 2;
+    orientPad(dummy, pad);
     dummy.updateMatrix();
 
     edgeMesh.setMatrixAt(i, dummy.matrix);
@@ -107,4 +130,63 @@ export function createPads(data = []) {
   group.add(edgeMesh);
 
   return group;
-}
\ No newline at end of file
+}
+
+/**
+ * Re-place instance `i` of a pad mesh made by createPads, and its edge
+ * outline, from a pad record ({ position, size, side, rotation?, drill? }).
+ */
+export function setPadInstance(padMesh, i, pad) {
+  const [x, y, z] = pad.position;
+  const [w, h] = pad.size;
+  const dummy = new THREE.Object3D();
+  dummy.scale.set(w, h, 1);
+  orientPad(dummy, pad);
+
+  dummy.position.set(x, y, z);
+  dummy.updateMatrix();
+  padMesh.setMatrixAt(i, dummy.matrix);
+  padMesh.instanceMatrix.needsUpdate = true;
+  padMesh.computeBoundingBox();
+  padMesh.computeBoundingSphere();
+
+  const drill = padMesh.geometry.getAttribute("instanceDrill");
+  if (drill && pad.drill !== undefined) {
+    drill.setX(i, (pad.drill || 0) / 2);
+    drill.needsUpdate = true;
+  }
+
+  const edges = padMesh.parent?.children.find((c) => c.userData.type === "pads_edges");
+  if (edges) {
+    dummy.position.set(x, y, z + 0.0005);
+    dummy.updateMatrix();
+    edges.setMatrixAt(i, dummy.matrix);
+    edges.instanceMatrix.needsUpdate = true;
+    edges.computeBoundingSphere();
+  }
+}
+
+// Lay the unit plane flat on the pad's side, then turn it about the board normal
+function orientPad(dummy, pad) {
+  dummy.rotation.set(padFacing(pad.side), THREE.MathUtils.degToRad(pad.rotation ?? 0), 0, "YXZ");
+}
+
+/**
+ * X rotation that lays the unit plane flat, facing away from the board on
+ * the given side.
+ */
+export function padFacing(side) {
+  return side === BOARD_SIDES.BOTTOM ? Math.PI / 2 : -Math.PI / 2;
+}
+/**
+ * Hole diameter (mm) of a pad record: its `drill`, or for through-hole
+ * pads (`pad_type` "TH" / "PTH") without one, 55% of the smaller pad side.
+ * 0 for SMD pads.
+ */
+export function padDrill(record) {
+  if (!record) return 0;
+  if (typeof record.drill === "number") return record.drill > 0 ? record.drill : 0;
+  const type = String(record.pad_type ?? record.padType ?? "");
+  if (!/^(TH|PTH|THT|through)/i.test(type) || !Array.isArray(record.size)) return 0;
+  return Math.round(Math.min(record.size[0], record.size[1]) * 0.55 * 100) / 100;
+}
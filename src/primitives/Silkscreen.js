@@ -0,0 +1,217 @@
+import * as THREE from "three";
+import {
+  applyLayerPolygonOffset,
+  BOARD_SIDES,
+  boardSurfaceY,
+  PCB_LAYERS,
+  resolveBoardSide,
+} from "../engine/Layers";
+
+const DEFAULT_TEXT_SIZE = 1.5; // mm, cap height of silkscreen text
+const DEFAULT_STROKE_WIDTH = 0.15; // mm, typical silkscreen line width
+const OUTLINE_MARGIN = 0.3; // mm, gap between component body and its outline
+
+/**
+ * Create the silkscreen layer: white ink printed on top of the solder mask.
+ *
+ * items: Array<
+ *   | { text: string, position: [x, z] | [x, y, z], size?: number, rotation?: number, layer? }
+ *   | { path: Array<[x, z] | [x, y, z]>, width?: number, layer? }
+ * >
+ * components: engine component meshes; each gets a body outline and, unless a
+ *   text item already starts with its id, a reference designator label, on
+ *   the side of the board the component is mounted on.
+ * options: { color, thickness, lift } where `lift` is the ink height above the
+ *   copper surface (solder mask + half the ink thickness)
+ *
+ * Returns a THREE.Group tagged `silkscreen`.
+ */
+export function createSilkscreen(items = [], components = [], options = {}) {
+  const { color = "#ffffff", thickness = 1.6, lift = 0.005 } = options;
+  const inkY = (side) => boardSurfaceY(side, thickness, lift);
+
+  const group = new THREE.Group();
+  group.userData.type = "silkscreen";
+
+  const ink = new THREE.Color(color);
+  const { polylines, labels } = silkscreenShapes(items, components);
+
+  [BOARD_SIDES.TOP, BOARD_SIDES.BOTTOM].forEach((side) => {
+    const onSide = polylines.filter((p) => p.side === side);
+    if (!onSide.length) return;
+
+    // Quads are wound per segment direction, so render both faces
+    const strokeMaterial = new THREE.MeshBasicMaterial({ color: ink, side: THREE.DoubleSide });
+    applyLayerPolygonOffset(strokeMaterial, PCB_LAYERS.SILKSCREEN);
+    const strokes = new THREE.Mesh(createStrokeGeometry(onSide, inkY(side)), strokeMaterial);
+    strokes.userData.type = "silkscreen_strokes";
+    strokes.userData.side = side;
+    strokes.userData.layer = `silk_${side}`;
+    group.add(strokes);
+  });
+
+  labels.forEach((label) => {
+    const mesh = createTextMesh(label, ink);
+    mesh.position.set(label.x, inkY(label.side), label.z);
+    group.add(mesh);
+  });
+
+  return group;
+}
+
+/**
+ * What the silkscreen layer prints, in board coordinates:
+ * {
+ *   polylines: Array<{ points: Array<[x, z]>, width, side }>,
+ *   labels: Array<{ text, x, z, size, rotation, side }>   centred on [x, z]
+ * }
+ * (see createSilkscreen for `items` / `components`).
+ */
+export function silkscreenShapes(items = [], components = []) {
+  const polylines = [];
+  const labels = [];
+
+  items.forEach((item) => {
+    if (typeof item.text === "string" && item.text.length) {
+      labels.push({
+        text: item.text,
+        x: item.position[0],
+        z: item.position.length === 3 ? item.position[2] : item.position[1],
+        size: item.size ?? DEFAULT_TEXT_SIZE,
+        rotation: item.rotation ?? 0,
+        side: resolveBoardSide(item.layer),
+      });
+    } else if (Array.isArray(item.path)) {
+      polylines.push({
+        points: item.path.map((p) => (p.length === 3 ? [p[0], p[2]] : [p[0], p[1]])),
+        width: item.width ?? DEFAULT_STROKE_WIDTH,
+        side: resolveBoardSide(item.layer),
+      });
+    }
+  });
+
+  const labelled = new Set(labels.map((l) => l.text.split(/\s+/)[0]));
+
+  components.forEach((mesh) => {
+    const type = mesh.userData.type;
+    if (type === "via" || type === "hole") return;
+
+    const side = mesh.userData.side ?? BOARD_SIDES.TOP;
+    const [w, h] = outlineSize(mesh.userData.size);
+    const corners = rectCorners(mesh, w / 2 + OUTLINE_MARGIN, h / 2 + OUTLINE_MARGIN);
+    polylines.push({ points: [...corners, corners[0]], width: DEFAULT_STROKE_WIDTH, side });
+
+    const id = mesh.userData.id;
+    if (id != null && !labelled.has(String(id))) {
+      // Reference designator just beyond the outline's -Z edge
+      const [lx, lz] = localToBoard(mesh, 0, -(h / 2 + OUTLINE_MARGIN + DEFAULT_TEXT_SIZE));
+      labels.push({ text: String(id), x: lx, z: lz, size: DEFAULT_TEXT_SIZE, rotation: 0, side });
+    }
+  });
+
+  return { polylines, labels };
+}
+
+function outlineSize(size = [4, 2, 2]) {
+  // Component size is [w, h, t] where h runs along Z (see Engine.addComponent)
+  return [size[0], size.length === 3 ? size[2] : size[1]];
+}
+
+function localToBoard(mesh, lx, lz) {
+  const angle = mesh.rotation.y;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [mesh.position.x + lx * cos + lz * sin, mesh.position.z - lx * sin + lz * cos];
+}
+
+function rectCorners(mesh, hw, hh) {
+  return [
+    localToBoard(mesh, -hw, -hh),
+    localToBoard(mesh, hw, -hh),
+    localToBoard(mesh, hw, hh),
+    localToBoard(mesh, -hw, hh),
+  ];
+}
+
+/**
+ * Flat ribbon geometry (one quad per segment) for a set of 2D polylines in
+ * the XZ plane at height y.
+ */
+function createStrokeGeometry(polylines, y) {
+  const positions = [];
+  const indices = [];
+
+  polylines.forEach(({ points, width }) => {
+    const half = width / 2;
+    for (let i = 0; i < points.length - 1; i++) {
+      const [x1, z1] = points[i];
+      const [x2, z2] = points[i + 1];
+      const len = Math.hypot(x2 - x1, z2 - z1);
+      if (len === 0) continue;
+
+      // Perpendicular, extended by half a width at both ends so corners close
+      const nx = (-(z2 - z1) / len) * half;
+      const nz = ((x2 - x1) / len) * half;
+      const ex = ((x2 - x1) / len) * half;
+      const ez = ((z2 - z1) / len) * half;
+
+      const base = positions.length / 3;
+      positions.push(
+        x1 - ex + nx, y, z1 - ez + nz,
+        x1 - ex - nx, y, z1 - ez - nz,
+        x2 + ex - nx, y, z2 + ez - nz,
+        x2 + ex + nx, y, z2 + ez + nz
+      );
+      indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+/**
+ * Text label as a flat textured plane; glyphs are drawn white into a canvas
+ * and tinted by the ink colour.
+ */
+function createTextMesh({ text, size, rotation, side }, ink) {
+  const fontPx = 64;
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  const font = `bold ${fontPx}px monospace`;
+  ctx.font = font;
+  const textWidth = Math.ceil(ctx.measureText(text).width) + 8;
+
+  canvas.width = textWidth;
+  canvas.height = Math.ceil(fontPx * 1.25);
+  ctx.font = font;
+  ctx.fillStyle = "#ffffff";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, 4, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.anisotropy = 4;
+
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    color: ink,
+    transparent: true,
+    depthWrite: false,
+  });
+  applyLayerPolygonOffset(material, PCB_LAYERS.SILKSCREEN);
+
+  const height = size * 1.25;
+  const geometry = new THREE.PlaneGeometry((height * canvas.width) / canvas.height, height);
+  const mesh = new THREE.Mesh(geometry, material);
+  // Bottom text faces down so it reads correctly when viewed from below
+  const facing = side === BOARD_SIDES.BOTTOM ? Math.PI / 2 : -Math.PI / 2;
+  mesh.rotation.set(facing, 0, (rotation * Math.PI) / 180);
+  mesh.userData.type = "silkscreen_text";
+  mesh.userData.side = side;
+  mesh.userData.layer = `silk_${side}`;
+  mesh.userData.text = text;
+  return mesh;
+}
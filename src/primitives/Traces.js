@@ -1,26 +1,30 @@
 import * as THREE from "three";
 import { createCopperMaterial } from "../shaders/CopperShader";
-import { PCB_LAYERS } from "../engine/Layers";
+import { BOARD_SIDES, copperLayerForSide } from "../engine/Layers";
+
+// Pieces of a half circle in round joins / end caps
+const ARC_STEPS = 12;
+const EPSILON = 1e-9;
 
 /**
- * Create a single copper trace between two points using a flat rectangular mesh.
+ * Create a copper trace along a polyline as a single flat mesh: a band of
+ * `width` with round joins at the corners and round end caps.
  *
- * start, end: [x, y, z] in world space (typically y at top copper height)
+ * points: Array<[x, y, z]> in world space (the first point's y is used for the whole trace)
  * width: trace width in world units
  * raw: original JSON description (for sidebar metadata)
+ * side: "top" | "bottom" board face the trace is routed on
+ *
+ * The mesh sits at the centre of the points; userData.points holds them as
+ * [x, z] relative to the mesh, so moving the mesh moves the whole trace.
+ * Returns null when the points don't span any length.
  */
-export function createTrace(start, end, width, raw) {
-  const p1 = new THREE.Vector3().fromArray(start);
-  const p2 = new THREE.Vector3().fromArray(end);
-
-  const distance = p1.distanceTo(p2);
-  if (distance === 0) {
+export function createTrace(points, width, raw, side = BOARD_SIDES.TOP) {
+  const path = withoutRepeats(points.map((p) => [p[0], p[2]]));
+  if (path.length < 2) {
     return null;
   }
 
-  // PlaneGeometry: width (X) x length (Y), then rotated into XZ plane
-  const geometry = new THREE.PlaneGeometry(width, distance);
-
   // Allow per-trace color override (e.g. to highlight specific nets)
   let colorOption = undefined;
   if (raw && raw.color) {
@@ -32,34 +36,151 @@ export function createTrace(start, end, width, raw) {
   }
 
   const material = createCopperMaterial({
-    layer: PCB_LAYERS.TOP_COPPER,
+    layer: copperLayerForSide(side),
     ...(colorOption ? { baseColor: colorOption } : {}),
   });
 
-  const mesh = new THREE.Mesh(geometry, material);
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
   mesh.userData.type = "trace";
   mesh.userData.exportable = true;
-  mesh.userData.start = start;
-  mesh.userData.end = end;
   mesh.userData.width = width;
+  mesh.userData.side = side;
   mesh.userData.raw = raw || {
     type: "trace",
-    start,
-    end,
+    path: points,
     width,
   };
+  mesh.position.y = points[0][1];
+  setTracePoints(mesh, path);
 
-  // Position at midpoint
-  const mid = new THREE.Vector3().addVectors(p1, p2).multiplyScalar(0.5);
-  mesh.position.copy(mid);
+  return mesh;
+}
 
-  // Rotate into XZ plane
-  mesh.rotation.x = -Math.PI / 2;
+/**
+ * Replace the polyline of a trace mesh (points: Array<[x, z]> in world
+ * space) and rebuild its geometry around their centre.
+ */
+export function setTracePoints(mesh, points) {
+  const path = withoutRepeats(points);
+  const xs = path.map((p) => p[0]);
+  const zs = path.map((p) => p[1]);
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cz = (Math.min(...zs) + Math.max(...zs)) / 2;
 
-  // Rotate around Y to align with start/end
-  const dir = new THREE.Vector3().subVectors(p2, p1);
-  const angle = Math.atan2(dir.x, dir.z);
-  mesh.rotation.y = angle;
+  mesh.position.x = cx;
+  mesh.position.z = cz;
+  mesh.userData.points = path.map(([x, z]) => [x - cx, z - cz]);
 
-  return mesh;
-}
\ No newline at end of file
+  const previous = mesh.geometry;
+  mesh.geometry = createTraceGeometry(mesh.userData.points, mesh.userData.width, mesh.userData.side);
+  if (previous) previous.dispose();
+}
+
+/**
+ * Polyline of a trace mesh in world space, including any drag offset:
+ * { id, width, points: Array<[x, y, z]> }.
+ */
+export function tracePath(trace) {
+  const { points, width, id } = trace.userData;
+  const { x, y, z } = trace.position;
+  return {
+    id,
+    width,
+    points: points.map(([px, pz]) => [px + x, y, pz + z]),
+  };
+}
+
+/**
+ * Length of a polyline (Array<[x, y, z]> or Array<[x, z]>).
+ */
+export function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    length += Math.hypot(b[0] - a[0], b[b.length - 1] - a[a.length - 1]);
+  }
+  return length;
+}
+
+/**
+ * Flat band geometry (y = 0) of a polyline (Array<[x, z]>): one quad per
+ * segment, a fan on the outer side of each corner and half discs at the
+ * ends. Faces point up (+Y) on the top side and down on the bottom side.
+ */
+export function createTraceGeometry(points, width, side = BOARD_SIDES.TOP) {
+  const h = width / 2;
+  const positions = [];
+  const uvs = [];
+  const facing = side === BOARD_SIDES.BOTTOM ? -1 : 1;
+
+  // u runs across the trace (0..1), v along it, for the brushed effect
+  const triangle = (a, b, c, normal) => {
+    // Keep every face on the trace's side of the board
+    const ny = (b[1] - a[1]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[1] - a[1]);
+    const corners = ny * facing >= 0 ? [a, b, c] : [a, c, b];
+    corners.forEach((p) => {
+      positions.push(p[0], 0, p[1]);
+      uvs.push(0.5 + (p[0] * normal[0] + p[1] * normal[1]) / width, (p[0] * -normal[1] + p[1] * normal[0]) / width);
+    });
+  };
+  const fan = (center, from, sweep, normal) => {
+    const steps = Math.max(1, Math.ceil((Math.abs(sweep) / Math.PI) * ARC_STEPS));
+    const at = (s) => {
+      const a = from + (sweep * s) / steps;
+      return [center[0] + h * Math.cos(a), center[1] + h * Math.sin(a)];
+    };
+    for (let s = 0; s < steps; s++) triangle(center, at(s), at(s + 1), normal);
+  };
+
+  const directions = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [ax, az] = points[i];
+    const [bx, bz] = points[i + 1];
+    const length = Math.hypot(bx - ax, bz - az);
+    directions.push([(bx - ax) / length, (bz - az) / length]);
+  }
+  const normalOf = (d) => [-d[1], d[0]];
+
+  directions.forEach((d, i) => {
+    const n = normalOf(d);
+    const a = points[i];
+    const b = points[i + 1];
+    const a1 = [a[0] + n[0] * h, a[1] + n[1] * h];
+    const a2 = [a[0] - n[0] * h, a[1] - n[1] * h];
+    const b1 = [b[0] + n[0] * h, b[1] + n[1] * h];
+    const b2 = [b[0] - n[0] * h, b[1] - n[1] * h];
+    triangle(a1, a2, b2, n);
+    triangle(a1, b2, b1, n);
+  });
+
+  // Round joins on the outer side of each corner
+  for (let i = 1; i < points.length - 1; i++) {
+    const d1 = directions[i - 1];
+    const d2 = directions[i];
+    const cross = d1[0] * d2[1] - d1[1] * d2[0];
+    const turn = Math.atan2(cross, d1[0] * d2[0] + d1[1] * d2[1]);
+    if (Math.abs(turn) < EPSILON) continue;
+    const n = normalOf(d1);
+    const outer = cross > 0 ? [-n[0], -n[1]] : n;
+    fan(points[i], Math.atan2(outer[1], outer[0]), turn, n);
+  }
+
+  // Round end caps
+  const first = normalOf(directions[0]);
+  const last = normalOf(directions[directions.length - 1]);
+  fan(points[0], Math.atan2(first[1], first[0]), Math.PI, first);
+  fan(points[points.length - 1], Math.atan2(-last[1], -last[0]), Math.PI, last);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+function withoutRepeats(points) {
+  return points.filter(
+    (p, i) => i === 0 || Math.hypot(p[0] - points[i - 1][0], p[1] - points[i - 1][1]) > EPSILON
+  );
+}
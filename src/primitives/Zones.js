@@ -0,0 +1,157 @@
+import * as THREE from "three";
+import { createCopperMaterial } from "../shaders/CopperShader";
+import { BOARD_SIDES, copperLayerForSide } from "../engine/Layers";
+
+// Dashed outline of a zone, drawn just above its fill
+const OUTLINE_COLOR = 0xd08a3c;
+const OUTLINE_LIFT = 0.02;
+// Texture coordinates per mm of the brushed effect
+const UV_SCALE = 0.1;
+
+/**
+ * Create a copper zone (pour): a flat mesh over its outline, drawn with the
+ * copper shader where its fill mask is set (see setZoneFill), and a dashed
+ * outline so an empty zone can still be seen.
+ *
+ * points: Array<[x, z]> closed outline in world space
+ * y: height of the copper layer
+ * side: "top" | "bottom" board face the zone faces
+ * raw: original JSON description (net, clearance, ...)
+ *
+ * Like a trace, the mesh sits at the centre of the outline and
+ * userData.points holds the corners as [x, z] relative to it.
+ */
+export function createZone(points, { y, side = BOARD_SIDES.TOP, raw } = {}) {
+  const material = createCopperMaterial({ layer: copperLayerForSide(side), masked: true });
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+  mesh.userData.type = "zone";
+  mesh.userData.exportable = true;
+  mesh.userData.side = side;
+  mesh.userData.raw = raw || { type: "zone", path: points };
+  mesh.userData.id = mesh.userData.raw.id;
+  mesh.userData.fill = null;
+  mesh.position.y = y;
+
+  const outline = new THREE.LineLoop(
+    new THREE.BufferGeometry(),
+    new THREE.LineDashedMaterial({ color: OUTLINE_COLOR, dashSize: 0.6, gapSize: 0.4 })
+  );
+  outline.position.y = side === BOARD_SIDES.BOTTOM ? -OUTLINE_LIFT : OUTLINE_LIFT;
+  outline.userData.type = "zone_outline";
+  // Picking goes to the zone itself
+  outline.raycast = () => {};
+  mesh.add(outline);
+
+  setZonePoints(mesh, points);
+  return mesh;
+}
+
+/**
+ * Replace the outline of a zone (points: Array<[x, z]> in world space) and
+ * rebuild its geometry. The fill stays where it was until the zone is
+ * refilled.
+ */
+export function setZonePoints(mesh, points) {
+  const xs = points.map((p) => p[0]);
+  const zs = points.map((p) => p[1]);
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cz = (Math.min(...zs) + Math.max(...zs)) / 2;
+
+  // Keep the mask in place in the world while the centre moves
+  const bounds = mesh.material.uniforms.uMaskBounds?.value;
+  if (bounds) {
+    const dx = mesh.position.x - cx;
+    const dz = mesh.position.z - cz;
+    bounds.set(bounds.x + dx, bounds.y + dz, bounds.z + dx, bounds.w + dz);
+  }
+
+  mesh.position.x = cx;
+  mesh.position.z = cz;
+  mesh.userData.points = points.map(([x, z]) => [x - cx, z - cz]);
+
+  const previous = mesh.geometry;
+  mesh.geometry = createZoneGeometry(mesh.userData.points, mesh.userData.side);
+  if (previous) previous.dispose();
+
+  const outline = mesh.children.find((child) => child.userData.type === "zone_outline");
+  if (outline) {
+    outline.geometry.dispose();
+    outline.geometry = new THREE.BufferGeometry().setFromPoints(
+      mesh.userData.points.map(([x, z]) => new THREE.Vector3(x, 0, z))
+    );
+    outline.computeLineDistances();
+  }
+}
+
+/**
+ * Show a fill computed by engine/ZoneFill.js on the zone mesh.
+ */
+export function setZoneFill(mesh, fill) {
+  const { uniforms } = mesh.material;
+  const texture = new THREE.DataTexture(fill.mask, fill.columns, fill.rows, THREE.RedFormat, THREE.UnsignedByteType);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  // Rows are tightly packed bytes
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+  if (uniforms.uMask.value) uniforms.uMask.value.dispose();
+  uniforms.uMask.value = texture;
+
+  const { x, z } = mesh.position;
+  const { minX, minZ, maxX, maxZ } = fill.bounds;
+  uniforms.uMaskBounds.value.set(minX - x, minZ - z, maxX - x, maxZ - z);
+  mesh.userData.fill = { area: fill.area, regions: fill.regions };
+}
+
+/**
+ * Fill shown on a zone mesh as a raster in world space, or null while it
+ * is unfilled: { mask: Uint8Array (255 = copper, rows from minZ up),
+ * columns, rows, bounds: { minX, minZ, maxX, maxZ } }.
+ */
+export function zoneFillRaster(mesh) {
+  const { uMask, uMaskBounds } = mesh.material.uniforms;
+  const image = uMask.value?.image;
+  if (!image) return null;
+  const { x, z } = mesh.position;
+  const bounds = uMaskBounds.value;
+  return {
+    mask: image.data,
+    columns: image.width,
+    rows: image.height,
+    bounds: { minX: bounds.x + x, minZ: bounds.y + z, maxX: bounds.z + x, maxZ: bounds.w + z },
+  };
+}
+
+/**
+ * Outline of a zone mesh in world space, including any drag offset:
+ * Array<[x, z]>.
+ */
+export function zoneOutline(mesh) {
+  const { x, z } = mesh.position;
+  return mesh.userData.points.map(([px, pz]) => [px + x, pz + z]);
+}
+
+/**
+ * Flat geometry (y = 0) of a closed outline (Array<[x, z]>), facing up on
+ * the top side and down on the bottom side.
+ */
+export function createZoneGeometry(points, side = BOARD_SIDES.TOP) {
+  const facing = side === BOARD_SIDES.BOTTOM ? -1 : 1;
+  const contour = points.map(([x, z]) => new THREE.Vector2(x, z));
+  const positions = [];
+  const uvs = [];
+  THREE.ShapeUtils.triangulateShape(contour, []).forEach(([a, b, c]) => {
+    const [pa, pb, pc] = [points[a], points[b], points[c]];
+    const ny = (pb[1] - pa[1]) * (pc[0] - pa[0]) - (pb[0] - pa[0]) * (pc[1] - pa[1]);
+    (ny * facing >= 0 ? [pa, pb, pc] : [pa, pc, pb]).forEach(([x, z]) => {
+      positions.push(x, 0, z);
+      uvs.push(x * UV_SCALE, z * UV_SCALE);
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.computeVertexNormals();
+  return geometry;
+}
@@ -5,25 +5,75 @@ import { applyLayerPolygonOffset, PCB_LAYERS } from "../engine/Layers";
  * Factory for a brushed copper ShaderMaterial used for pads and traces.
  * Supports:
  * - InstancedMesh via instanceMatrix
- * - Interaction uniforms: uHovered, uSelected
+ * - Hover: uHoveredInstanceId (one instance of the hovered mesh)
+ * - Selection: any number of instances flagged by the per-instance
+ *   `instanceSelected` attribute (1 = selected), or the whole mesh via
+ *   uSelected (single meshes such as traces)
+ * - Net highlight: per-instance `instanceNet` / whole-mesh uNet, 1 lights the
+ *   copper up in uNetColor, -1 dims it
  * - Time-based brushed effect via uTime
+ * - Layer opacity via uOpacity (set `transparent` when below 1)
+ * - Drilled pads (`drilled: true`): a per-instance `instanceDrill` radius
+ *   (mm) cut out of the centre of each instance
+ * - Masked copper (`masked: true`, zone fills): only drawn where the uMask
+ *   texture is set; uMaskBounds = (minX, minZ, maxX, maxZ) is the extent of
+ *   the texture in the mesh's local XZ plane
  */
 export function createCopperMaterial(options = {}) {
   const {
     baseColor = new THREE.Color(0.72, 0.45, 0.2),
     hoverColor = new THREE.Color(1.0, 0.7, 0.3),
     selectedColor = new THREE.Color(1.0, 0.5, 0.0),
+    netColor = new THREE.Color(0.35, 0.95, 1.0),
     layer = PCB_LAYERS.TOP_COPPER,
+    drilled = false,
+    masked = false,
   } = options;
 
   const vertexShader = `
     attribute float instanceId;
     varying vec2 vUv;
     varying float vInstanceId;
+    varying float vSelected;
+    varying float vNet;
+
+    #ifdef USE_INSTANCING
+      attribute float instanceSelected;
+      attribute float instanceNet;
+    #endif
+
+    #ifdef USE_DRILL
+      attribute float instanceDrill;
+      varying vec2 vLocal;
+      varying float vDrill;
+    #endif
+
+    #ifdef USE_MASK
+      uniform vec4 uMaskBounds;
+      varying vec2 vMaskUv;
+    #endif
 
     void main() {
       vUv = uv;
       vInstanceId = instanceId;
+      #ifdef USE_INSTANCING
+        vSelected = instanceSelected;
+        vNet = instanceNet;
+      #else
+        vSelected = 0.0;
+        vNet = 0.0;
+      #endif
+
+      #ifdef USE_DRILL
+        // Unit plane scaled per instance: local position in mm
+        vec2 scale = vec2(length(instanceMatrix[0].xyz), length(instanceMatrix[1].xyz));
+        vLocal = (uv - 0.5) * scale;
+        vDrill = instanceDrill;
+      #endif
+
+      #ifdef USE_MASK
+        vMaskUv = (position.xz - uMaskBounds.xy) / (uMaskBounds.zw - uMaskBounds.xy);
+      #endif
 
       #ifdef USE_INSTANCING
         vec4 worldPosition = instanceMatrix * vec4(position, 1.0);
@@ -37,15 +87,30 @@ export function createCopperMaterial(options = {}) {
 
   const fragmentShader = `
     uniform float uTime;
+    uniform float uOpacity;
     uniform float uHoveredInstanceId;
-    uniform float uSelectedInstanceId;
+    uniform float uSelected;
+    uniform float uNet;
 
     uniform vec3 uColor;
     uniform vec3 uHoverColor;
     uniform vec3 uSelectedColor;
+    uniform vec3 uNetColor;
 
     varying vec2 vUv;
     varying float vInstanceId;
+    varying float vSelected;
+    varying float vNet;
+
+    #ifdef USE_DRILL
+      varying vec2 vLocal;
+      varying float vDrill;
+    #endif
+
+    #ifdef USE_MASK
+      uniform sampler2D uMask;
+      varying vec2 vMaskUv;
+    #endif
 
     // Simple brushed effect using directional stripes and time
     float brushedNoise(vec2 uv, float time) {
@@ -54,23 +119,40 @@ export function createCopperMaterial(options = {}) {
     }
 
     void main() {
+      #ifdef USE_DRILL
+        if (vDrill > 0.0 && length(vLocal) < vDrill) discard;
+      #endif
+
+      #ifdef USE_MASK
+        if (any(lessThan(vMaskUv, vec2(0.0))) || any(greaterThan(vMaskUv, vec2(1.0)))) discard;
+        if (texture2D(uMask, vMaskUv).r < 0.5) discard;
+      #endif
+
       float grain = brushedNoise(vUv, uTime);
       vec3 base = uColor * (0.8 + 0.2 * grain);
 
       // Instance-level interaction states
       vec3 color = base;
 
+      // Net highlight: lit on the highlighted net, dimmed off it
+      float net = vNet + uNet;
+      if (net > 0.5) {
+        color = mix(color, uNetColor, 0.55);
+      } else if (net < -0.5) {
+        color *= 0.25;
+      }
+
       // Check if this instance is hovered (uHoveredInstanceId >= 0 means something is hovered)
       if (uHoveredInstanceId >= 0.0 && abs(vInstanceId - uHoveredInstanceId) < 0.5) {
         color = mix(color, uHoverColor, 0.5);
       }
 
-      // Check if this instance is selected
-      if (uSelectedInstanceId >= 0.0 && abs(vInstanceId - uSelectedInstanceId) < 0.5) {
+      // Selected instance (or the whole mesh)
+      if (max(vSelected, uSelected) > 0.5) {
         color = mix(color, uSelectedColor, 0.8);
       }
 
-      gl_FragColor = vec4(color, 1.0);
+      gl_FragColor = vec4(color, uOpacity);
     }
   `;
 
@@ -79,13 +161,18 @@ export function createCopperMaterial(options = {}) {
     fragmentShader,
     uniforms: {
       uTime: { value: 0 },
+      uOpacity: { value: 1 },
       uHoveredInstanceId: { value: -1 },
-      uSelectedInstanceId: { value: -1 },
+      uSelected: { value: 0 },
+      uNet: { value: 0 },
       uColor: { value: baseColor },
       uHoverColor: { value: hoverColor },
       uSelectedColor: { value: selectedColor },
+      uNetColor: { value: netColor },
+      ...(masked ? { uMask: { value: null }, uMaskBounds: { value: new THREE.Vector4(0, 0, 1, 1) } } : {}),
     },
     transparent: false,
+    defines: { ...(drilled ? { USE_DRILL: "" } : {}), ...(masked ? { USE_MASK: "" } : {}) },
   });
 
   applyLayerPolygonOffset(material, layer);
@@ -0,0 +1,83 @@
+import { CheckCircle2, RefreshCw, ShieldAlert, X } from "lucide-react";
+
+const RULE_LABELS = {
+  short: "Short",
+  clearance: "Clearance",
+  trace_width: "Width",
+  drill: "Drill",
+  annular_ring: "Ring",
+  edge_clearance: "Edge",
+};
+
+/**
+ * DrcPanel
+ * --------
+ * Results of the last design rule check. Clicking a violation frames the
+ * camera on it.
+ *
+ * Props:
+ * - violations: Array<{ rule, message }> | null   // null hides the panel
+ * - activeIndex: number | null                    // violation being looked at
+ * - onSelect: (index: number) => void
+ * - onRun: () => void                             // Check again
+ * - onClose: () => void
+ */
+export default function DrcPanel({ violations, activeIndex, onSelect, onRun, onClose }) {
+  if (!violations) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-30 w-80 rounded-md bg-black/80 backdrop-blur-md border border-gray-800 text-gray-200 font-mono shadow-lg">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-800">
+        <div className="flex items-center gap-2">
+          <ShieldAlert size={14} className={violations.length ? "text-red-400" : "text-green-400"} />
+          <span className="text-xs font-semibold tracking-[0.2em] text-green-400 uppercase">DRC</span>
+          <span className="text-[10px] px-1.5 py-0.5 rounded bg-gray-800 text-gray-200">
+            {violations.length} {violations.length === 1 ? "issue" : "issues"}
+          </span>
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={onRun}
+            className="inline-flex items-center justify-center rounded bg-gray-900/70 hover:bg-gray-800 px-2 py-1 text-xs text-gray-300"
+            aria-label="Run the design rule check again"
+          >
+            <RefreshCw size={14} />
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex items-center justify-center rounded bg-gray-900/70 hover:bg-gray-800 px-2 py-1 text-xs text-gray-300"
+            aria-label="Close design rule check"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      {violations.length === 0 ? (
+        <div className="flex items-center gap-2 px-3 py-3 text-[11px] text-green-400">
+          <CheckCircle2 size={14} />
+          <span>No design rule violations</span>
+        </div>
+      ) : (
+        <ul className="max-h-72 overflow-y-auto py-1 text-[11px]">
+          {violations.map((violation, i) => (
+            <li key={i}>
+              <button
+                type="button"
+                onClick={() => onSelect(i)}
+                className={`w-full flex items-start gap-2 px-3 py-1 text-left hover:bg-gray-800/80 ${
+                  i === activeIndex ? "bg-gray-800 text-yellow-300" : "text-gray-300"
+                }`}
+              >
+                <span className="shrink-0 w-16 text-red-400">{RULE_LABELS[violation.rule] ?? violation.rule}</span>
+                <span className="wrap-break-word">{violation.message}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
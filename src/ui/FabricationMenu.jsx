@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { FileArchive } from "lucide-react";
+import { DRILL_UNITS, DRILL_ZEROS } from "../fabrication/excellon";
+
+const SELECT_CLASS = "rounded bg-gray-800 border border-gray-700 px-1 py-0.5 text-[11px] focus:outline-none";
+
+/**
+ * FabricationMenu
+ * ---------------
+ * Download of the manufacturing outputs (Gerber + Excellon drill files, as
+ * one zip), shown in the MenuBar, with the drill file format.
+ *
+ * Props:
+ * - drill: { units: "metric" | "inch", zeros: "leading" | "trailing" }   // see fabrication/excellon.js
+ * - onDrillChange: (drill) => void
+ * - onExport: () => void
+ */
+export default function FabricationMenu({ drill, onDrillChange, onExport }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((v) => !v)}
+        title="Gerber and drill files"
+        className={`inline-flex items-center gap-1 rounded px-2 py-1 text-xs transition-colors ${
+          isOpen ? "bg-gray-700" : "bg-gray-800 hover:bg-gray-700"
+        }`}
+      >
+        <FileArchive size={14} />
+        <span>Fab Outputs</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full z-40 mt-1 w-56 space-y-2 rounded-md border border-gray-800 bg-black/90 px-3 py-2 font-mono text-[11px] text-gray-300 shadow-lg">
+          <label className="flex items-center justify-between">
+            <span className="text-gray-500">Drill units</span>
+            <select
+              value={drill.units}
+              onChange={(e) => onDrillChange({ ...drill, units: e.target.value })}
+              className={SELECT_CLASS}
+            >
+              <option value={DRILL_UNITS.METRIC}>mm (3.3)</option>
+              <option value={DRILL_UNITS.INCH}>inch (2.4)</option>
+            </select>
+          </label>
+          <label className="flex items-center justify-between">
+            <span className="text-gray-500">Zeros kept</span>
+            <select
+              value={drill.zeros}
+              onChange={(e) => onDrillChange({ ...drill, zeros: e.target.value })}
+              className={SELECT_CLASS}
+            >
+              <option value={DRILL_ZEROS.LEADING}>leading (LZ)</option>
+              <option value={DRILL_ZEROS.TRAILING}>trailing (TZ)</option>
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => {
+              onExport();
+              setIsOpen(false);
+            }}
+            className="w-full rounded bg-green-700 px-2 py-1 text-xs text-white hover:bg-green-600"
+          >
+            Download zip
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { Grid3x3, Magnet } from "lucide-react";
+import { UNITS, fromUnit, toUnit } from "../engine/Units";
+
+const CONTROL_CLASS = "rounded px-2 py-1 text-xs transition-colors";
+
+/**
+ * GridControls
+ * ------------
+ * Placement grid and display units, shown in the MenuBar.
+ *
+ * Props:
+ * - unit: "mm" | "mil"                              // Unit lengths are shown in
+ * - grid: { pitch (mm), snap: boolean }
+ * - onUnitChange: (unit) => void
+ * - onGridChange: (grid) => void
+ */
+export default function GridControls({ unit, grid, onUnitChange, onGridChange }) {
+  const { grids } = UNITS[unit];
+  // Presets are in the display unit; compare in it to find the current one
+  const current = grids.find((g) => Math.abs(g - toUnit(grid.pitch, unit)) < 1e-6);
+
+  return (
+    <div className="flex items-center gap-1">
+      <label
+        title="Placement grid pitch"
+        className="inline-flex items-center gap-1 rounded bg-gray-800 pl-2 text-xs text-gray-300"
+      >
+        <Grid3x3 size={14} />
+        <select
+          value={current ?? ""}
+          onChange={(e) => onGridChange({ ...grid, pitch: fromUnit(parseFloat(e.target.value), unit) })}
+          className="bg-gray-800 py-1 pr-1 text-xs focus:outline-none"
+        >
+          {current === undefined && <option value="">—</option>}
+          {grids.map((g) => (
+            <option key={g} value={g}>
+              {g} {unit}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        onClick={() => onGridChange({ ...grid, snap: !grid.snap })}
+        title={grid.snap ? "Snapping to the grid (click to turn off)" : "Not snapping to the grid (click to turn on)"}
+        className={`inline-flex items-center ${CONTROL_CLASS} ${
+          grid.snap ? "bg-green-700 hover:bg-green-600" : "bg-gray-800 hover:bg-gray-700"
+        }`}
+      >
+        <Magnet size={14} />
+      </button>
+      <div className="inline-flex overflow-hidden rounded border border-gray-700">
+        {Object.keys(UNITS).map((id) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => onUnitChange(id)}
+            className={`px-2 py-1 text-xs ${
+              unit === id ? "bg-gray-700 text-green-400" : "bg-gray-800 text-gray-400 hover:bg-gray-700"
+            }`}
+          >
+            {id}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
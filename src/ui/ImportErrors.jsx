@@ -0,0 +1,41 @@
+import { AlertTriangle, X } from "lucide-react";
+
+/**
+ * ImportErrors
+ * ------------
+ * Lists the problems found while importing a design file.
+ *
+ * Props:
+ * - title: string                 // e.g. "Could not import board.json"
+ * - errors: string[]              // one line per problem, e.g. "traces[3].path[1] must have 2 or 3 numbers"
+ * - onDismiss: () => void
+ */
+export default function ImportErrors({ title, errors, onDismiss }) {
+  if (!errors || errors.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 left-4 right-4 md:left-auto md:w-96 z-40 rounded-md bg-black/85 backdrop-blur-md border border-red-900 text-gray-200 font-mono shadow-lg">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-red-900">
+        <div className="flex items-center gap-2 text-red-400">
+          <AlertTriangle size={14} />
+          <span className="text-xs font-semibold">{title}</span>
+        </div>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="inline-flex items-center justify-center rounded bg-gray-900/70 hover:bg-gray-800 px-2 py-1 text-xs text-gray-300"
+          aria-label="Dismiss import errors"
+        >
+          <X size={14} />
+        </button>
+      </div>
+      <ul className="max-h-48 overflow-y-auto px-3 py-2 space-y-1 text-[11px]">
+        {errors.map((error, i) => (
+          <li key={i} className="text-gray-300 wrap-break-word">
+            {error}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
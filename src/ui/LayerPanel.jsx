@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { ChevronRight, Eye, EyeOff, Layers, X } from "lucide-react";
+
+/**
+ * LayerPanel
+ * ----------
+ * Per-layer visibility / opacity toggles for the board stackup, so inner
+ * copper layers can be inspected by hiding or fading the layers above them.
+ *
+ * Props:
+ * - layers: Array<{ id, name, kind, visible: boolean, opacity: number }>
+ * - onToggle: (id: string, visible: boolean) => void
+ * - onOpacity: (id: string, opacity: number) => void
+ */
+export default function LayerPanel({ layers, onToggle, onOpacity }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!layers || layers.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 left-4 z-30 w-64 rounded-md bg-black/80 backdrop-blur-md border border-gray-800 text-gray-200 font-mono shadow-lg">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-800">
+        <div className="flex items-center gap-2">
+          <Layers size={14} className="text-green-400" />
+          <span className="text-xs font-semibold tracking-[0.2em] text-green-400 uppercase">
+            Layers
+          </span>
+        </div>
+        <button
+          type="button"
+          onClick={() => setIsOpen((v) => !v)}
+          className="inline-flex items-center justify-center rounded bg-gray-900/70 hover:bg-gray-800 px-2 py-1 text-xs text-gray-300"
+          aria-label={isOpen ? "Hide layers" : "Show layers"}
+        >
+          {isOpen ? <X size={14} /> : <ChevronRight size={14} />}
+        </button>
+      </div>
+
+      {isOpen && (
+        <ul className="max-h-72 overflow-y-auto px-3 py-2 space-y-2 text-[11px]">
+          {layers.map((layer) => (
+            <li key={layer.id} className="space-y-1">
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => onToggle(layer.id, !layer.visible)}
+                  className={`inline-flex items-center gap-2 ${layer.visible ? "text-gray-200" : "text-gray-500"}`}
+                  aria-label={`${layer.visible ? "Hide" : "Show"} ${layer.name}`}
+                >
+                  {layer.visible ? <Eye size={12} /> : <EyeOff size={12} />}
+                  <span>{layer.name}</span>
+                </button>
+                <span className="text-gray-500">{Math.round(layer.opacity * 100)}%</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={layer.opacity}
+                disabled={!layer.visible}
+                onChange={(e) => onOpacity(layer.id, parseFloat(e.target.value))}
+                className="w-full accent-green-500"
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
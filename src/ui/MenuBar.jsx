@@ -1,4 +1,7 @@
-import { Save, Upload, Layers } from "lucide-react";
+import { Save, Upload, Layers, Undo2, Redo2, ShieldCheck, Spline, PaintBucket, RefreshCw } from "lucide-react";
+import GridControls from "./GridControls";
+import RatsnestCounter from "./RatsnestCounter";
+import FabricationMenu from "./FabricationMenu";
 
 /**
  * MenuBar
@@ -7,10 +10,44 @@ import { Save, Upload, Layers } from "lucide-react";
  *
  * Props:
  * - onExport: () => void        // Export current PCB state to JSON
- * - onImport: () => void        // Import PCB state from JSON file
+ * - onExportFabrication: () => void   // Download the Gerber and drill files as a zip
+ * - drill, onDrillChange        // Drill file format (see FabricationMenu)
+ * - onImport: () => void        // Import PCB state from a JSON file, a KiCad board or Gerber / drill files
  * - onLoadDemo: () => void      // Load a predefined demo PCB layout
+ * - onUndo / onRedo: () => void // Step back / forward through the edit history
+ * - canUndo / canRedo: boolean  // Whether there is a step to undo / redo
+ * - onRunDrc: () => void        // Run the design rule check
+ * - onToggleRouting: () => void // Enter / leave trace routing mode
+ * - routing: boolean            // Whether routing mode is on
+ * - onAddZone: () => void       // Pour a zone on the selected net
+ * - canAddZone: boolean         // Whether the selection is on a single net
+ * - onRefillZones: () => void   // Refill every copper zone
+ * - unit, grid, onUnitChange, onGridChange   // Display unit and placement grid (see GridControls)
+ * - unrouted: Array<{ net, unrouted }>        // Unrouted connections per net (see RatsnestCounter)
  */
-export default function MenuBar({ onExport, onImport, onLoadDemo }) {
+export default function MenuBar({
+  onExport,
+  onExportFabrication,
+  drill,
+  onDrillChange,
+  onImport,
+  onLoadDemo,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  onRunDrc,
+  onToggleRouting,
+  routing,
+  onAddZone,
+  canAddZone,
+  onRefillZones,
+  unit,
+  grid,
+  onUnitChange,
+  onGridChange,
+  unrouted,
+}) {
   return (
     <div className="absolute top-0 left-0 w-full bg-gray-900/90 backdrop-blur-sm text-white px-4 py-2 flex justify-between items-center border-b border-gray-800 z-20">
       <div className="flex items-center gap-3">
@@ -23,6 +60,61 @@ export default function MenuBar({ onExport, onImport, onLoadDemo }) {
       </div>
 
       <div className="flex items-center gap-2">
+        <RatsnestCounter nets={unrouted} />
+        <GridControls unit={unit} grid={grid} onUnitChange={onUnitChange} onGridChange={onGridChange} />
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+          className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-gray-800"
+        >
+          <Undo2 size={14} />
+          <span>Undo</span>
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+          className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-gray-800"
+        >
+          <Redo2 size={14} />
+          <span>Redo</span>
+        </button>
+        <button
+          onClick={onToggleRouting}
+          title="Route traces between pads"
+          className={`inline-flex items-center gap-1 rounded px-2 py-1 text-xs transition-colors ${
+            routing ? "bg-green-700 hover:bg-green-600" : "bg-gray-800 hover:bg-gray-700"
+          }`}
+        >
+          <Spline size={14} />
+          <span>Route</span>
+        </button>
+        <button
+          onClick={onAddZone}
+          disabled={!canAddZone}
+          title="Pour a copper zone over the board on the selected net"
+          className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-gray-800"
+        >
+          <PaintBucket size={14} />
+          <span>Pour</span>
+        </button>
+        <button
+          onClick={onRefillZones}
+          title="Refill copper zones (B)"
+          className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors"
+        >
+          <RefreshCw size={14} />
+          <span>Refill</span>
+        </button>
+        <button
+          onClick={onRunDrc}
+          title="Design rule check"
+          className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors"
+        >
+          <ShieldCheck size={14} />
+          <span>Run DRC</span>
+        </button>
         <button
           onClick={onExport}
           className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors"
@@ -30,12 +122,14 @@ export default function MenuBar({ onExport, onImport, onLoadDemo }) {
           <Save size={14} />
           <span>Export JSON</span>
         </button>
+        <FabricationMenu drill={drill} onDrillChange={onDrillChange} onExport={onExportFabrication} />
         <button
           onClick={onImport}
+          title="Design JSON, KiCad board (.kicad_pcb), or Gerber and drill files (or their zip)"
           className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors"
         >
           <Upload size={14} />
-          <span>Import JSON</span>
+          <span>Import</span>
         </button>
         <button
           onClick={onLoadDemo}
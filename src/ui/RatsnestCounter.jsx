@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { Cable } from "lucide-react";
+
+/**
+ * RatsnestCounter
+ * ---------------
+ * Number of unrouted connections (airwires), shown in the MenuBar; clicking
+ * it lists them per net.
+ *
+ * Props:
+ * - nets: Array<{ net, unrouted: number }>   // see Engine.refreshRatsnest
+ */
+export default function RatsnestCounter({ nets }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const total = nets.reduce((sum, { unrouted }) => sum + unrouted, 0);
+  // Nets still to route first
+  const listed = [...nets].sort((a, b) => (b.unrouted > 0) - (a.unrouted > 0));
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((v) => !v)}
+        disabled={!nets.length}
+        title="Unrouted connections"
+        className="inline-flex items-center gap-1 rounded px-2 py-1 text-xs bg-gray-800 hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:hover:bg-gray-800"
+      >
+        <Cable size={14} className={total ? "text-yellow-300" : "text-green-400"} />
+        <span>{total} unrouted</span>
+      </button>
+
+      {isOpen && nets.length > 0 && (
+        <ul className="absolute right-0 top-full z-40 mt-1 max-h-72 w-56 overflow-y-auto rounded-md border border-gray-800 bg-black/90 py-1 font-mono text-[11px] text-gray-300 shadow-lg">
+          {listed.map(({ net, unrouted }) => (
+            <li key={net} className="flex items-center justify-between px-3 py-0.5">
+              <span className="truncate">{net}</span>
+              <span className={unrouted ? "text-yellow-300" : "text-green-400"}>{unrouted || "routed"}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
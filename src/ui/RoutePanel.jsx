@@ -0,0 +1,102 @@
+import { Spline, X } from "lucide-react";
+import { ROUTE_ANGLES } from "../interaction/RouteTool";
+
+const INPUT_CLASS =
+  "rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500";
+
+/**
+ * RoutePanel
+ * ----------
+ * Settings and status of the trace routing tool, shown while routing.
+ *
+ * Props:
+ * - options: { width, angle, grid, layer }      // see RouteTool
+ * - status: { routing, net, layer, corners } | null
+ * - layers: Array<{ id, name }>                 // copper layers
+ * - onChange: (options) => void
+ * - onClose: () => void                         // Leave routing mode
+ */
+export default function RoutePanel({ options, status, layers, onChange, onClose }) {
+  // Traces need a positive width; a grid of 0 turns snapping off
+  const setNumber = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    const valid = key === "width" ? value > 0 : value >= 0;
+    if (Number.isFinite(value) && valid) onChange({ ...options, [key]: value });
+  };
+  const layerName = (id) => layers.find((layer) => layer.id === id)?.name ?? id;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 w-md max-w-[calc(100vw-2rem)] rounded-md bg-black/80 backdrop-blur-md border border-gray-800 text-gray-200 font-mono shadow-lg">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-800">
+        <div className="flex items-center gap-2">
+          <Spline size={14} className="text-green-400" />
+          <span className="text-xs font-semibold tracking-[0.2em] text-green-400 uppercase">Route</span>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex items-center justify-center rounded bg-gray-900/70 hover:bg-gray-800 px-2 py-1 text-xs text-gray-300"
+          aria-label="Stop routing"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-4 gap-2 px-3 py-2 text-xs">
+        <label className="flex flex-col gap-1">
+          <span className="text-[10px] text-gray-500">Width (mm)</span>
+          <input type="number" min="0.01" step="0.05" value={options.width} onChange={setNumber("width")} className={INPUT_CLASS} />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-[10px] text-gray-500">Grid (mm)</span>
+          <input type="number" min="0" step="0.05" value={options.grid} onChange={setNumber("grid")} className={INPUT_CLASS} />
+        </label>
+        <div className="flex flex-col gap-1">
+          <span className="text-[10px] text-gray-500">Angle</span>
+          <div className="flex gap-1">
+            {ROUTE_ANGLES.map((angle) => (
+              <button
+                key={angle}
+                type="button"
+                onClick={() => onChange({ ...options, angle })}
+                className={`flex-1 rounded border px-1 py-1 text-[11px] ${
+                  options.angle === angle
+                    ? "border-green-500 text-green-400 bg-gray-900"
+                    : "border-gray-700 text-gray-300 bg-black/70 hover:bg-gray-800"
+                }`}
+              >
+                {angle}°
+              </button>
+            ))}
+          </div>
+        </div>
+        <label className="flex flex-col gap-1">
+          <span className="text-[10px] text-gray-500">Layer (TH)</span>
+          <select
+            value={options.layer}
+            onChange={(e) => onChange({ ...options, layer: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            {layers.map((layer) => (
+              <option key={layer.id} value={layer.id}>
+                {layer.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="px-3 pb-2 text-[11px] text-gray-400">
+        {status?.routing ? (
+          <span>
+            <span className="text-green-400">{status.net ?? "No net"}</span> on {layerName(status.layer)} ·{" "}
+            {status.corners} {status.corners === 1 ? "leg" : "legs"} · click a pad to finish, Backspace removes a
+            corner, Esc cancels
+          </span>
+        ) : (
+          <span>Click a pad to start a trace</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 /* eslint-disable */
 import { useEffect, useState } from "react";
 import { ChevronRight, Info, X } from "lucide-react";
+import { UNITS, formatLength, fromUnit, toUnit } from "../engine/Units";
 
 /**
  * Sidebar (Property Inspector)
@@ -10,21 +11,43 @@ import { ChevronRight, Info, X } from "lucide-react";
  * Props:
  * - selected: {
  *     id: string,
- *     type: "pad" | "trace",
+ *     type: "pad" | "trace" | "via" | "zone" | string (component type),
  *     position: [x, y, z],
  *     size?: [w, h],
+ *     rotation?: number (degrees about the board normal; pads and components),
  *     width?: number,
- *     area?: number
+ *     area?: number (filled area of a zone),
+ *     side?: "top" | "bottom",
+ *     component?: string | number (owning component of a pad),
+ *     pin?: number | string,
+ *     package?: string (footprint of a component, e.g. "DIP-40"),
+ *     body?: { shape: "box" | "cylinder", color: string, material: string, standoff: number }
+ *       (components; `size` is then [w, h, t] of the body)
+ *   } | {
+ *     type: "multiple", count, items: [selection payloads], itemType?: shared type,
+ *     position: centre, size?: shared entries (null where they differ),
+ *     body?, net?, layer?, side?, rotation?: only when shared
  *   } | null
- * - onUpdate: (update: { x?, z?, width?, height? }) => void
+ * - onUpdate: (update: { x?, z?, width?, height?, side?, rotation?,
+ *     body?: { size?: [w, h, t] (null = unchanged), color?, material?, standoff? },
+ *     align?: "minX" | "midX" | "maxX" | "minZ" | "midZ" | "maxZ" }) => void
+ * - unit: "mm" | "mil"  // Unit lengths are shown and typed in; updates are always in mm
+ *
+ * With several items selected the shared values are shown (blank when they
+ * differ) and every edit applies to all of them.
  */
-export default function Sidebar({ selected, onUpdate }) {
+export default function Sidebar({ selected, unit = "mm", onUpdate }) {
   const [isOpen, setIsOpen] = useState(true);
 
   const [xValue, setXValue] = useState("");
   const [zValue, setZValue] = useState("");
   const [wValue, setWValue] = useState("");
   const [hValue, setHValue] = useState("");
+  const [bodyWValue, setBodyWValue] = useState("");
+  const [bodyDValue, setBodyDValue] = useState("");
+  const [bodyTValue, setBodyTValue] = useState("");
+  const [standoffValue, setStandoffValue] = useState("");
+  const [rotationValue, setRotationValue] = useState("");
 
   // Sync local form state when selection changes
   useEffect(() => {
@@ -33,45 +56,81 @@ export default function Sidebar({ selected, onUpdate }) {
       setZValue("");
       setWValue("");
       setHValue("");
+      setBodyWValue("");
+      setBodyDValue("");
+      setBodyTValue("");
+      setStandoffValue("");
+      setRotationValue("");
       return;
     }
 
-    const [x, , z] = selected.position || [0, 0, 0];
-    const baseX = Number.isFinite(x) ? x : 0;
-    const baseZ = Number.isFinite(z) ? z : 0;
+    const [x, , z] = sharedPosition(selected);
+    const baseX = Number.isFinite(x) ? x : "";
+    const baseZ = Number.isFinite(z) ? z : "";
 
     const baseW =
-      selected.type === "pad" && selected.size && Number.isFinite(selected.size[0])
+      (selected.type === "pad" || selected.itemType === "pad") && selected.size && Number.isFinite(selected.size[0])
         ? selected.size[0]
         : "";
     const baseH =
-      selected.type === "pad" && selected.size && Number.isFinite(selected.size[1])
+      (selected.type === "pad" || selected.itemType === "pad") && selected.size && Number.isFinite(selected.size[1])
         ? selected.size[1]
         : "";
 
-    const nextX = baseX === "" ? "" : baseX.toFixed(2);
-    const nextZ = baseZ === "" ? "" : baseZ.toFixed(2);
-    const nextW = baseW === "" ? "" : baseW.toFixed(2);
-    const nextH = baseH === "" ? "" : baseH.toFixed(2);
+    const nextX = baseX === "" ? "" : formatLength(baseX, unit);
+    const nextZ = baseZ === "" ? "" : formatLength(baseZ, unit);
+    const nextW = baseW === "" ? "" : formatLength(baseW, unit);
+    const nextH = baseH === "" ? "" : formatLength(baseH, unit);
 
     setXValue(nextX);
     setZValue(nextZ);
+    setRotationValue(Number.isFinite(selected.rotation) ? String(Number(selected.rotation.toFixed(2))) : "");
     setWValue(nextW);
     setHValue(nextH);
-  }, [selected]);
+
+    const bodySize = selected.body && Array.isArray(selected.size) ? selected.size : null;
+    const fixed = (v) => (Number.isFinite(v) ? formatLength(v, unit) : "");
+    setBodyWValue(bodySize ? fixed(bodySize[0]) : "");
+    setBodyDValue(bodySize ? fixed(bodySize[1]) : "");
+    setBodyTValue(bodySize ? fixed(bodySize[2]) : "");
+    setStandoffValue(
+      selected.body ? fixed(selected.body.standoff ?? (selected.type === "multiple" ? NaN : 0)) : ""
+    );
+  }, [selected, unit]);
 
   const handleNumberChange = (setter, field) => (e) => {
     const raw = e.target.value;
     setter(raw);
     if (!selected || !onUpdate) return;
 
-    const value = parseFloat(raw);
-    if (Number.isNaN(value)) return;
+    const number = parseFloat(raw);
+    if (Number.isNaN(number)) return;
+    // Degrees; every other field is a length in the display unit
+    if (field === "rotation") {
+      onUpdate({ rotation: number });
+      return;
+    }
+    const value = fromUnit(number, unit);
 
     if (field === "x") onUpdate({ x: value });
     if (field === "z") onUpdate({ z: value });
-    if (field === "w") onUpdate({ width: value });
-    if (field === "h") onUpdate({ height: value });
+    // Sizes must stay positive for the design to validate
+    if (field === "w" && value > 0) onUpdate({ width: value });
+    if (field === "h" && value > 0) onUpdate({ height: value });
+
+    if (selected.body && Array.isArray(selected.size)) {
+      const size = selected.size.slice();
+      const isCylinder = selected.body.shape === "cylinder";
+      if (value <= 0 && field !== "standoff") return;
+      if (field === "bodyW") {
+        size[0] = value;
+        if (isCylinder) size[1] = value;
+      }
+      if (field === "bodyD") size[1] = value;
+      if (field === "bodyT") size[2] = value;
+      if (["bodyW", "bodyD", "bodyT"].includes(field)) onUpdate({ body: { size } });
+      if (field === "standoff") onUpdate({ body: { standoff: value } });
+    }
   };
 
   const area =
@@ -79,14 +138,39 @@ export default function Sidebar({ selected, onUpdate }) {
       ? selected.size[0] * selected.size[1]
       : selected?.area ?? 0;
 
-  const isPad = selected?.type === "pad";
+  // Input steps: the unit's last shown digit, and ten times that for bodies
+  const { decimals } = UNITS[unit];
+  const step = String(10 ** -decimals);
+  const coarseStep = String(10 ** (1 - decimals));
+  const areaInUnit = toUnit(toUnit(area, unit), unit);
+
+  const isMultiple = selected?.type === "multiple";
+  const isPad = selected?.type === "pad" || selected?.itemType === "pad";
+  const isComponent =
+    selected &&
+    (isMultiple ? selected.items : [selected]).every((item) => !["pad", "trace", "via", "zone"].includes(item.type));
+  const canRotate = selected && (isMultiple ? selected.items : [selected]).every((item) => typeof item.rotation === "number");
+  const typeLabel = !selected
+    ? ""
+    : isMultiple
+      ? `${selected.count} Selected`
+      : selected.type === "pad"
+      ? "Pad"
+      : selected.type === "trace"
+        ? "Trace"
+        : selected.type === "via"
+          ? "Via"
+          : selected.type === "zone"
+            ? "Zone"
+            : "Component";
   const hasDescription = selected && typeof selected.description === "string" && selected.description.trim().length > 0;
   const hasNet = selected && typeof selected.net === "string" && selected.net.trim().length > 0;
   const hasLayer = selected && typeof selected.layer === "string" && selected.layer.trim().length > 0;
   const hasComponentRef =
     selected &&
-    (typeof selected.component === "string" || typeof selected.refdes === "string") &&
+    ["string", "number"].includes(typeof (selected.component ?? selected.refdes)) &&
     String(selected.component ?? selected.refdes).trim().length > 0;
+  const hasPackage = selected && !isPad && typeof selected.package === "string" && selected.package.trim().length > 0;
   const hasPin = selected && (typeof selected.pin === "number" || typeof selected.pin === "string") && String(selected.pin).trim().length > 0;
   const padType = selected?.pad_type ?? selected?.padType;
   const hasPadType = selected && typeof padType === "string" && padType.trim().length > 0;
@@ -107,7 +191,7 @@ export default function Sidebar({ selected, onUpdate }) {
             </span>
             {selected && (
               <span className="text-[10px] px-1.5 py-0.5 rounded bg-gray-800 text-gray-200">
-                {selected.type === "pad" ? "Pad" : "Trace"}
+                {typeLabel}
               </span>
             )}
           </div>
@@ -123,8 +207,8 @@ export default function Sidebar({ selected, onUpdate }) {
 
         {/* Collapsible content */}
         <div
-          className={`px-4 pb-3 pt-2 text-xs transition-[max-height,opacity] duration-200 ease-out overflow-hidden ${
-            isOpen ? "max-h-96 opacity-100" : "max-h-0 opacity-0"
+          className={`px-4 pb-3 pt-2 text-xs transition-[max-height,opacity] duration-200 ease-out ${
+            isOpen ? "max-h-[70vh] opacity-100 overflow-y-auto" : "max-h-0 opacity-0 overflow-hidden"
           }`}
         >
           {!selected && (
@@ -134,6 +218,9 @@ export default function Sidebar({ selected, onUpdate }) {
               <span className="mt-1 text-[11px] italic">
                 Click a pad or trace to inspect properties
               </span>
+              <span className="mt-1 text-[11px] italic">
+                Shift / Ctrl-click or drag to select several
+              </span>
             </div>
           )}
 
@@ -146,7 +233,7 @@ export default function Sidebar({ selected, onUpdate }) {
                     Metadata
                   </span>
                   <span className="text-[10px] px-1.5 py-0.5 rounded bg-gray-800 text-gray-200">
-                    {selected.type === "pad" ? "Pad" : "Trace"}
+                    {typeLabel}
                   </span>
                 </div>
                 <div className="text-[11px] text-gray-300 space-y-1">
@@ -174,6 +261,12 @@ export default function Sidebar({ selected, onUpdate }) {
                       </span>
                     </div>
                   )}
+                  {hasPackage && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-500 mr-2">Package</span>
+                      <span className="text-gray-200 truncate max-w-36">{selected.package}</span>
+                    </div>
+                  )}
                   {hasPin && (
                     <div className="flex justify-between">
                       <span className="text-gray-500 mr-2">Pin</span>
@@ -190,7 +283,7 @@ export default function Sidebar({ selected, onUpdate }) {
                     <div className="flex justify-between mt-1">
                       <span className="text-gray-500 mr-2">Length</span>
                       <span className="text-green-400">
-                        {selected.length_mm.toFixed(2)} <span className="text-gray-500">mm</span>
+                        {formatLength(selected.length_mm, unit)} <span className="text-gray-500">{unit}</span>
                       </span>
                     </div>
                   )}
@@ -202,11 +295,19 @@ export default function Sidebar({ selected, onUpdate }) {
                       </span>
                     </div>
                   )}
-                  {isPad && (
+                  {isPad && !isMultiple && (
                     <div className="flex justify-between mt-1">
                       <span className="text-gray-500 mr-2">Area</span>
                       <span className="text-green-400">
-                        {area.toFixed(2)} <span className="text-gray-500">mm²</span>
+                        {areaInUnit.toFixed(decimals)} <span className="text-gray-500">{unit}²</span>
+                      </span>
+                    </div>
+                  )}
+                  {selected.type === "zone" && (
+                    <div className="flex justify-between mt-1">
+                      <span className="text-gray-500 mr-2">Filled</span>
+                      <span className="text-green-400">
+                        {areaInUnit.toFixed(decimals)} <span className="text-gray-500">{unit}²</span>
                       </span>
                     </div>
                   )}
@@ -214,7 +315,7 @@ export default function Sidebar({ selected, onUpdate }) {
                     <div className="flex justify-between mt-1">
                       <span className="text-gray-500 mr-2">Width</span>
                       <span className="text-green-400">
-                        {selected.width.toFixed(2)} <span className="text-gray-500">mm</span>
+                        {formatLength(selected.width, unit)} <span className="text-gray-500">{unit}</span>
                       </span>
                     </div>
                   )}
@@ -224,15 +325,16 @@ export default function Sidebar({ selected, onUpdate }) {
               {/* Transform */}
               <div className="space-y-2 bg-white/5 rounded border border-gray-800 px-3 py-2">
                 <span className="text-[10px] text-gray-400 uppercase tracking-widest">
-                  Transform (World)
+                  Transform (World, {unit})
                 </span>
                 <div className="grid grid-cols-2 gap-2 mt-1">
                   <label className="flex flex-col gap-1">
                     <span className="text-[10px] text-gray-500">X</span>
                     <input
                       type="number"
-                      step="0.01"
+                      step={step}
                       value={xValue}
+                      placeholder={isMultiple ? "Mixed" : undefined}
                       onChange={handleNumberChange(setXValue, "x")}
                       className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
                     />
@@ -241,28 +343,160 @@ export default function Sidebar({ selected, onUpdate }) {
                     <span className="text-[10px] text-gray-500">Z</span>
                     <input
                       type="number"
-                      step="0.01"
+                      step={step}
                       value={zValue}
+                      placeholder={isMultiple ? "Mixed" : undefined}
                       onChange={handleNumberChange(setZValue, "z")}
                       className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
                     />
                   </label>
+                  {canRotate && (
+                    <label className="flex flex-col gap-1 col-span-2">
+                      <span className="text-[10px] text-gray-500">Rotation (°, R / Shift+R turns 90°)</span>
+                      <input
+                        type="number"
+                        step="1"
+                        value={rotationValue}
+                        placeholder={isMultiple ? "Mixed" : undefined}
+                        onChange={handleNumberChange(setRotationValue, "rotation")}
+                        className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                      />
+                    </label>
+                  )}
+                  {isComponent && (
+                    <label className="flex flex-col gap-1 col-span-2">
+                      <span className="text-[10px] text-gray-500">Board Side</span>
+                      <select
+                        value={selected.side === "bottom" ? "bottom" : selected.side ? "top" : ""}
+                        onChange={(e) => onUpdate && onUpdate({ side: e.target.value })}
+                        className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                      >
+                        {!selected.side && <option value="" disabled>Mixed</option>}
+                        <option value="top">Top</option>
+                        <option value="bottom">Bottom</option>
+                      </select>
+                    </label>
+                  )}
                 </div>
               </div>
 
+              {/* Align (multi-selection) */}
+              {isMultiple && (
+                <div className="space-y-2 bg-white/5 rounded border border-gray-800 px-3 py-2">
+                  <span className="text-[10px] text-gray-400 uppercase tracking-widest">
+                    Align
+                  </span>
+                  <div className="grid grid-cols-3 gap-1 mt-1">
+                    {ALIGN_MODES.map(({ mode, label }) => (
+                      <button
+                        key={mode}
+                        type="button"
+                        onClick={() => onUpdate && onUpdate({ align: mode })}
+                        className="rounded bg-gray-900/70 hover:bg-gray-800 border border-gray-700 px-2 py-1 text-[10px] text-gray-300"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Body (components) */}
+              {isComponent && selected.body && (
+                <div className="space-y-2 bg-white/5 rounded border border-gray-800 px-3 py-2">
+                  <span className="text-[10px] text-gray-400 uppercase tracking-widest">
+                    Body ({unit})
+                  </span>
+                  <div className="grid grid-cols-2 gap-2 mt-1">
+                    <label className="flex flex-col gap-1">
+                      <span className="text-[10px] text-gray-500">
+                        {selected.body.shape === "cylinder" ? "Diameter" : "Width (X)"}
+                      </span>
+                      <input
+                        type="number"
+                        step={coarseStep}
+                        value={bodyWValue}
+                        placeholder={isMultiple ? "Mixed" : undefined}
+                        onChange={handleNumberChange(setBodyWValue, "bodyW")}
+                        className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                      />
+                    </label>
+                    {selected.body.shape !== "cylinder" && (
+                      <label className="flex flex-col gap-1">
+                        <span className="text-[10px] text-gray-500">Depth (Z)</span>
+                        <input
+                          type="number"
+                          step={coarseStep}
+                          value={bodyDValue}
+                          placeholder={isMultiple ? "Mixed" : undefined}
+                          onChange={handleNumberChange(setBodyDValue, "bodyD")}
+                          className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                        />
+                      </label>
+                    )}
+                    <label className="flex flex-col gap-1">
+                      <span className="text-[10px] text-gray-500">Height</span>
+                      <input
+                        type="number"
+                        step={coarseStep}
+                        value={bodyTValue}
+                        placeholder={isMultiple ? "Mixed" : undefined}
+                        onChange={handleNumberChange(setBodyTValue, "bodyT")}
+                        className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-[10px] text-gray-500">Above Board</span>
+                      <input
+                        type="number"
+                        step={coarseStep}
+                        min="0"
+                        value={standoffValue}
+                        placeholder={isMultiple ? "Mixed" : undefined}
+                        onChange={handleNumberChange(setStandoffValue, "standoff")}
+                        className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-[10px] text-gray-500">Color</span>
+                      <input
+                        type="color"
+                        value={selected.body.color ?? "#000000"}
+                        onChange={(e) => onUpdate && onUpdate({ body: { color: e.target.value } })}
+                        className="h-7 w-full rounded bg-black/70 border border-gray-700"
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-[10px] text-gray-500">Material</span>
+                      <select
+                        value={selected.body.material ?? ""}
+                        onChange={(e) => onUpdate && onUpdate({ body: { material: e.target.value } })}
+                        className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
+                      >
+                        {!selected.body.material && <option value="" disabled>Mixed</option>}
+                        <option value="plastic">Plastic</option>
+                        <option value="metal">Metal Can</option>
+                        <option value="ceramic">Ceramic</option>
+                      </select>
+                    </label>
+                  </div>
+                </div>
+              )}
+
               {/* Dimensions (pads only) */}
               {isPad && (
                 <div className="space-y-2 bg-white/5 rounded border border-gray-800 px-3 py-2">
                   <span className="text-[10px] text-gray-400 uppercase tracking-widest">
-                    Dimensions
+                    Dimensions ({unit})
                   </span>
                   <div className="grid grid-cols-2 gap-2 mt-1">
                     <label className="flex flex-col gap-1">
                       <span className="text-[10px] text-gray-500">Width</span>
                       <input
                         type="number"
-                        step="0.01"
+                        step={step}
                         value={wValue}
+                      placeholder={isMultiple ? "Mixed" : undefined}
                         onChange={handleNumberChange(setWValue, "w")}
                         className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
                       />
@@ -271,8 +505,9 @@ export default function Sidebar({ selected, onUpdate }) {
                       <span className="text-[10px] text-gray-500">Height</span>
                       <input
                         type="number"
-                        step="0.01"
+                        step={step}
                         value={hValue}
+                      placeholder={isMultiple ? "Mixed" : undefined}
                         onChange={handleNumberChange(setHValue, "h")}
                         className="rounded bg-black/70 border border-gray-700 px-2 py-1 text-[11px] focus:outline-none focus:border-green-500"
                       />
@@ -286,4 +521,23 @@ export default function Sidebar({ selected, onUpdate }) {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+const ALIGN_MODES = [
+  { mode: "minX", label: "X Min" },
+  { mode: "midX", label: "X Centre" },
+  { mode: "maxX", label: "X Max" },
+  { mode: "minZ", label: "Z Min" },
+  { mode: "midZ", label: "Z Centre" },
+  { mode: "maxZ", label: "Z Max" },
+];
+
+// Position shown in the form: the selection's own, or for several items the
+// coordinates they all share (NaN where they differ)
+function sharedPosition(selected) {
+  if (selected.type !== "multiple") return selected.position || [0, 0, 0];
+  return [0, 1, 2].map((axis) => {
+    const value = selected.items[0].position[axis];
+    return selected.items.every((item) => item.position[axis] === value) ? value : NaN;
+  });
+}